@@ -0,0 +1,187 @@
+// Head-and-shoulders framing of base photos before generation (CommonJS)
+const sharp = require('sharp');
+const { numberReader } = require('./env-options.js');
+const { SubjectMatting } = require('./subject-matting.js');
+
+const DEFAULT_CROP_OPTIONS = {
+  headroom: 0.1,     // space above the head, as a share of the crop side
+  headSize: 0.4,     // head height as a share of the crop side; larger zooms in
+  outputSize: 1024,  // side of the prepared photo
+  maxUpscale: 4,     // crops are never tighter than outputSize / maxUpscale pixels
+  detectSize: 256    // the subject is found at this size
+};
+const MIN_CROP_SIZE = 32;
+
+// BASE_CROP=off keeps base photos as they are; BASE_CROP_HEADROOM, BASE_CROP_HEAD_SIZE, BASE_CROP_SIZE.
+// A value that is not a number keeps its default
+function optionsFromEnv(env = process.env) {
+  const read = numberReader(env);
+  return {
+    enabled: !/^(0|false|off)$/i.test(env.BASE_CROP || ''),
+    ...read('BASE_CROP_HEADROOM', 'headroom'),
+    ...read('BASE_CROP_HEAD_SIZE', 'headSize'),
+    ...read('BASE_CROP_SIZE', 'outputSize')
+  };
+}
+
+class BaseCropper {
+  constructor({ enabled = true, ...options } = {}) {
+    this.enabled = enabled;
+    this.options = { ...DEFAULT_CROP_OPTIONS, ...options };
+  }
+
+  // Where the subject is: { width, height, source, subject, head } in pixels of the upright
+  // photo. source is 'mask' (the matting found a subject), 'skin' (the largest skin-toned
+  // region, for photos the matting cannot separate) or 'none'; boxes are { left, top, width, height }
+  async detect(buffer) {
+    const upright = await sharp(buffer).rotate().toBuffer();
+    const { width, height } = await this.dimensions(upright);
+    const small = await sharp(upright)
+      .flatten({ background: '#ffffff' })
+      .resize(this.options.detectSize, this.options.detectSize, { fit: 'inside' })
+      .png()
+      .toBuffer();
+    const { data: rgb, info } = await sharp(small).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const scale = width / info.width;
+
+    const matting = new SubjectMatting({ workingSize: this.options.detectSize, feather: 0 });
+    const alpha = await sharp(await matting.extract(small)).extractChannel(3).raw().toBuffer();
+    let mask = Uint8Array.from(alpha, v => (v >= 128 ? 1 : 0));
+    let source = 'mask';
+    const coverage = mask.reduce((sum, v) => sum + v, 0) / mask.length;
+    // Nothing found, or everything: the backdrop was not told apart from the person
+    if (coverage < 0.02 || coverage > 0.95) {
+      mask = matting.largestComponent(this.skinMask(rgb, info.width, info.height), info.width, info.height);
+      source = 'skin';
+    }
+
+    const subject = this.bounds(mask, info.width, info.height);
+    if (!subject || subject.width * subject.height < mask.length * 0.005) {
+      return { width, height, source: 'none', subject: null, head: null };
+    }
+    const head = source === 'mask' ? this.headOf(mask, info.width, subject) : subject;
+    const toPhoto = (box) => ({
+      left: Math.round(box.left * scale),
+      top: Math.round(box.top * scale),
+      width: Math.round(box.width * scale),
+      height: Math.round(box.height * scale)
+    });
+    return { width, height, source, subject: toPhoto(subject), head: toPhoto(head) };
+  }
+
+  // The square crop { left, top, size } that puts the head headSize tall with headroom above
+  // it, centred on the head; the centre square when nothing was found
+  frame({ width, height, head }, options = {}) {
+    const { headroom, headSize, outputSize, maxUpscale } = { ...this.options, ...options };
+    const largest = Math.min(width, height);
+    if (!head) {
+      return { left: Math.floor((width - largest) / 2), top: Math.floor((height - largest) / 2), size: largest };
+    }
+    const smallest = Math.min(largest, Math.max(MIN_CROP_SIZE, Math.ceil(outputSize / maxUpscale)));
+    const size = Math.round(Math.min(largest, Math.max(smallest, head.height / headSize)));
+    const clamp = (value, max) => Math.round(Math.min(Math.max(0, value), max));
+    return {
+      left: clamp(head.left + head.width / 2 - size / 2, width - size),
+      top: clamp(head.top - headroom * size, height - size),
+      size
+    };
+  }
+
+  // Size of the photo once its EXIF orientation is applied, which is what crops refer to
+  async dimensions(buffer) {
+    const { width, height, orientation } = await sharp(buffer).metadata();
+    return orientation >= 5 ? { width: height, height: width } : { width, height };
+  }
+
+  // Throws unless `crop` is a square inside a width x height photo
+  validate(crop, width, height) {
+    const { left, top, size } = crop || {};
+    if (![left, top, size].every(Number.isInteger)) throw new Error('Crop needs integer left, top and size');
+    if (size < MIN_CROP_SIZE) throw new Error(`Crop size must be at least ${MIN_CROP_SIZE}`);
+    if (left < 0 || top < 0 || left + size > width || top + size > height) {
+      throw new Error(`Crop ${size}x${size} at ${left},${top} does not fit the ${width}x${height} photo`);
+    }
+    return { left, top, size };
+  }
+
+  // The cropped photo as a PNG of outputSize (or `size`); small crops are enlarged with
+  // lanczos3 and a light sharpen
+  async apply(buffer, crop, size = this.options.outputSize) {
+    const image = sharp(buffer)
+      .rotate()
+      .extract({ left: crop.left, top: crop.top, width: crop.size, height: crop.size })
+      .resize(size, size, { kernel: 'lanczos3' });
+    if (size > crop.size * 1.5) image.sharpen({ sigma: 0.6 });
+    return image.png().toBuffer();
+  }
+
+  // The crop as LinkedIn shows it: a circle, the corners dimmed
+  async preview(buffer, crop, size = 256) {
+    const radius = size / 2;
+    const mask = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+      <path fill-rule="evenodd" fill="#000000" fill-opacity="0.6"
+        d="M0 0 H${size} V${size} H0 Z M${radius} 0 A${radius} ${radius} 0 1 0 ${radius} ${size} A${radius} ${radius} 0 1 0 ${radius} 0 Z"/>
+      <circle cx="${radius}" cy="${radius}" r="${radius - 1}" fill="none" stroke="#ffffff" stroke-width="2"/>
+    </svg>`);
+    return sharp(await this.apply(buffer, crop, size))
+      .composite([{ input: mask }])
+      .png()
+      .toBuffer();
+  }
+
+  // Skin-toned pixels by their chroma (YCbCr), which holds across skin tones and lighting
+  skinMask(rgb, width, height) {
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < mask.length; i++) {
+      const [r, g, b] = [rgb[i * 3], rgb[i * 3 + 1], rgb[i * 3 + 2]];
+      const cb = 128 - 0.168736 * r - 0.331264 * g + 0.5 * b;
+      const cr = 128 + 0.5 * r - 0.418688 * g - 0.081312 * b;
+      mask[i] = cb >= 77 && cb <= 127 && cr >= 133 && cr <= 173 ? 1 : 0;
+    }
+    return mask;
+  }
+
+  bounds(mask, width, height) {
+    let [left, top, right, bottom] = [width, height, -1, -1];
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if (!mask[y * width + x]) continue;
+        left = Math.min(left, x);
+        right = Math.max(right, x);
+        top = Math.min(top, y);
+        bottom = Math.max(bottom, y);
+      }
+    }
+    return right < 0 ? null : { left, top, width: right - left + 1, height: bottom - top + 1 };
+  }
+
+  // The head within the subject: as wide as the subject's rows between 5% and 20% of its
+  // height (below the crown, above the shoulders for most framings), 1.3 times as tall
+  headOf(mask, width, subject) {
+    const rows = [];
+    const from = subject.top + Math.round(subject.height * 0.05);
+    const to = subject.top + Math.max(1, Math.round(subject.height * 0.2));
+    for (let y = from; y <= to; y++) {
+      let left = -1;
+      let right = -1;
+      for (let x = subject.left; x < subject.left + subject.width; x++) {
+        if (!mask[y * width + x]) continue;
+        if (left < 0) left = x;
+        right = x;
+      }
+      if (left >= 0) rows.push({ left, right });
+    }
+    if (!rows.length) return subject;
+    const widths = rows.map(r => r.right - r.left + 1).sort((a, b) => a - b);
+    const headWidth = widths[Math.floor(widths.length / 2)];
+    const centre = rows.reduce((sum, r) => sum + (r.left + r.right) / 2, 0) / rows.length;
+    return {
+      left: Math.round(centre - headWidth / 2),
+      top: subject.top,
+      width: headWidth,
+      height: Math.min(subject.height, Math.round(headWidth * 1.3))
+    };
+  }
+}
+
+module.exports = { BaseCropper, DEFAULT_CROP_OPTIONS, optionsFromEnv };
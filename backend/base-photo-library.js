@@ -0,0 +1,173 @@
+// Base photo library: manages the headshots in basePfpDir (CommonJS)
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ALLOWED_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const INDEX_FILE = 'library.json';
+
+class BasePhotoLibrary {
+  constructor(dir) {
+    this.dir = dir;
+    this.indexPath = path.join(dir, INDEX_FILE);
+  }
+
+  async ensureDirectory() {
+    await fs.mkdir(this.dir, { recursive: true }).catch(() => {});
+  }
+
+  async readIndex() {
+    try {
+      const raw = await fs.readFile(this.indexPath, 'utf8');
+      const index = JSON.parse(raw);
+      return { activeId: index.activeId || null, photos: Array.isArray(index.photos) ? index.photos : [] };
+    } catch {
+      return { activeId: null, photos: [] };
+    }
+  }
+
+  async writeIndex(index) {
+    await this.ensureDirectory();
+    await fs.writeFile(this.indexPath, JSON.stringify(index, null, 2));
+  }
+
+  // Reconcile the index with the folder: files dropped in by hand get an entry,
+  // entries whose file was removed by hand are dropped.
+  async sync() {
+    await this.ensureDirectory();
+    const index = await this.readIndex();
+    const files = (await fs.readdir(this.dir))
+      .filter(f => ALLOWED_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+      .sort();
+
+    let changed = false;
+    const photos = index.photos.filter(p => files.includes(p.filename));
+    if (photos.length !== index.photos.length) changed = true;
+
+    for (const filename of files) {
+      if (photos.some(p => p.filename === filename)) continue;
+      const stat = await fs.stat(path.join(this.dir, filename));
+      photos.push({
+        id: this.createId(),
+        filename,
+        name: path.basename(filename, path.extname(filename)),
+        createdAt: stat.mtime.toISOString()
+      });
+      changed = true;
+    }
+
+    let activeId = index.activeId;
+    if (!photos.some(p => p.id === activeId)) {
+      activeId = photos.length ? photos[0].id : null;
+      if (activeId !== index.activeId) changed = true;
+    }
+
+    const next = { activeId, photos };
+    if (changed) await this.writeIndex(next);
+    return next;
+  }
+
+  async list() {
+    const { activeId, photos } = await this.sync();
+    return photos.map(p => this.describe(p, activeId));
+  }
+
+  async get(id) {
+    const { activeId, photos } = await this.sync();
+    const photo = photos.find(p => p.id === id);
+    return photo ? this.describe(photo, activeId) : null;
+  }
+
+  async getActive() {
+    const { activeId, photos } = await this.sync();
+    const photo = photos.find(p => p.id === activeId);
+    return photo ? this.describe(photo, activeId) : null;
+  }
+
+  // Resolve the photo used to seed a batch: the requested id, else the active one
+  async resolve(id) {
+    return id ? this.get(id) : this.getActive();
+  }
+
+  async add(buffer, originalName, name) {
+    const ext = path.extname(originalName || '').toLowerCase();
+    if (!ALLOWED_EXTENSIONS.includes(ext)) {
+      throw new Error(`Unsupported file type "${ext || 'unknown'}". Use ${ALLOWED_EXTENSIONS.join('/')}`);
+    }
+
+    const index = await this.sync();
+    const id = this.createId();
+    const filename = `${id}${ext}`;
+    await fs.writeFile(path.join(this.dir, filename), buffer);
+
+    const photo = {
+      id,
+      filename,
+      name: (name || path.basename(originalName, ext)).trim() || id,
+      createdAt: new Date().toISOString()
+    };
+    index.photos.push(photo);
+    if (!index.activeId) index.activeId = id;
+    await this.writeIndex(index);
+    return this.describe(photo, index.activeId);
+  }
+
+  async rename(id, name) {
+    const trimmed = String(name || '').trim();
+    if (!trimmed) throw new Error('Name must not be empty');
+
+    const index = await this.sync();
+    const photo = index.photos.find(p => p.id === id);
+    if (!photo) return null;
+    photo.name = trimmed;
+    await this.writeIndex(index);
+    return this.describe(photo, index.activeId);
+  }
+
+  // The square crop generation uses ({ left, top, size, source: 'auto'|'manual' });
+  // null forgets it, so the next batch frames the photo again
+  async setCrop(id, crop) {
+    const index = await this.sync();
+    const photo = index.photos.find(p => p.id === id);
+    if (!photo) return null;
+    if (crop) photo.crop = crop;
+    else delete photo.crop;
+    await this.writeIndex(index);
+    return this.describe(photo, index.activeId);
+  }
+
+  async remove(id) {
+    const index = await this.sync();
+    const photo = index.photos.find(p => p.id === id);
+    if (!photo) return false;
+
+    await fs.unlink(path.join(this.dir, photo.filename)).catch(() => {});
+    index.photos = index.photos.filter(p => p.id !== id);
+    if (index.activeId === id) index.activeId = index.photos.length ? index.photos[0].id : null;
+    await this.writeIndex(index);
+    return true;
+  }
+
+  async setActive(id) {
+    const index = await this.sync();
+    const photo = index.photos.find(p => p.id === id);
+    if (!photo) return null;
+    index.activeId = id;
+    await this.writeIndex(index);
+    return this.describe(photo, id);
+  }
+
+  describe(photo, activeId) {
+    return {
+      ...photo,
+      filepath: path.join(this.dir, photo.filename),
+      active: photo.id === activeId
+    };
+  }
+
+  createId() {
+    return `base_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+}
+
+module.exports = { BasePhotoLibrary, ALLOWED_EXTENSIONS };
@@ -0,0 +1,169 @@
+// Date-ranged campaigns that steer the rotation toward tagged or themed images (CommonJS)
+const fs = require('fs').promises;
+const crypto = require('crypto');
+
+const RECURRENCES = ['none', 'weekly', 'monthly', 'yearly'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// A campaign owns the images matching its tags or themes. While it is active
+// the rotation only draws from those images; outside its window they are held
+// back, so a conference badge never shows up in the normal pool.
+class CampaignScheduler {
+  constructor({ statePath } = {}) {
+    this.statePath = statePath;
+    this.campaigns = null;
+  }
+
+  async load() {
+    if (this.campaigns) return this.campaigns;
+    try {
+      const { campaigns } = JSON.parse(await fs.readFile(this.statePath, 'utf8'));
+      this.campaigns = Array.isArray(campaigns) ? campaigns : [];
+    } catch {
+      this.campaigns = [];
+    }
+    return this.campaigns;
+  }
+
+  async save() {
+    if (!this.statePath) return;
+    await fs.writeFile(this.statePath, JSON.stringify({ campaigns: this.campaigns }, null, 2));
+  }
+
+  async list() {
+    return (await this.load()).slice();
+  }
+
+  async get(id) {
+    return (await this.load()).find(c => c.id === id) || null;
+  }
+
+  async create(definition) {
+    const campaigns = await this.load();
+    const campaign = this.normalize(definition);
+    campaigns.push(campaign);
+    await this.save();
+    return campaign;
+  }
+
+  async update(id, patch) {
+    const campaigns = await this.load();
+    const index = campaigns.findIndex(c => c.id === id);
+    if (index === -1) return null;
+    const current = campaigns[index];
+    campaigns[index] = this.normalize({ ...current, ...patch, id, createdAt: current.createdAt });
+    await this.save();
+    return campaigns[index];
+  }
+
+  async remove(id) {
+    const campaigns = await this.load();
+    const index = campaigns.findIndex(c => c.id === id);
+    if (index === -1) return false;
+    campaigns.splice(index, 1);
+    await this.save();
+    return true;
+  }
+
+  normalize(definition = {}) {
+    const name = String(definition.name || '').trim();
+    if (!name) throw new Error('name must not be empty');
+    for (const key of ['start', 'end']) {
+      if (!this.isDate(definition[key])) throw new Error(`${key} must be a date (YYYY-MM-DD)`);
+    }
+    if (definition.until != null && !this.isDate(definition.until)) throw new Error('until must be a date (YYYY-MM-DD)');
+
+    const recurrence = definition.recurrence ?? 'none';
+    if (!RECURRENCES.includes(recurrence)) throw new Error(`recurrence must be one of ${RECURRENCES.join(', ')}`);
+    // Recurring ranges may wrap (Dec 20 - Jan 5, Fri - Mon); one-off ranges may not
+    if (recurrence === 'none' && definition.end < definition.start) throw new Error('end must not be before start');
+
+    const list = (key) => {
+      const value = definition[key] ?? [];
+      if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) throw new Error(`${key} must be an array of strings`);
+      return value.map(v => v.trim()).filter(Boolean);
+    };
+    const tags = Array.from(new Set(list('tags').map(t => t.toLowerCase()))).sort();
+    const themes = list('themes');
+    if (!tags.length && !themes.length) throw new Error('A campaign needs at least one tag or theme');
+
+    const priority = definition.priority ?? 0;
+    if (!Number.isInteger(priority)) throw new Error('priority must be an integer');
+
+    return {
+      id: definition.id || `campaign_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+      name,
+      start: definition.start,
+      end: definition.end,
+      recurrence,
+      until: definition.until || null,
+      tags,
+      themes,
+      priority,
+      enabled: definition.enabled !== false,
+      createdAt: definition.createdAt || new Date().toISOString()
+    };
+  }
+
+  isDate(value) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return false;
+    const date = new Date(`${value}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+  }
+
+  // Local calendar date of `now` as YYYY-MM-DD
+  static today(now = new Date()) {
+    const pad = n => String(n).padStart(2, '0');
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+  }
+
+  isActive(campaign, date) {
+    if (!campaign.enabled || date < campaign.start) return false;
+    if (campaign.until && date > campaign.until) return false;
+
+    const within = (value, from, to) => (from <= to ? value >= from && value <= to : value >= from || value <= to);
+    switch (campaign.recurrence) {
+      case 'yearly':
+        return within(date.slice(5), campaign.start.slice(5), campaign.end.slice(5));
+      case 'monthly': {
+        // Days past the end of a short month count as its last day
+        const [y, m] = date.split('-').map(Number);
+        const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+        const day = Number(date.slice(8));
+        const clamp = v => Math.min(Number(v.slice(8)), last);
+        return within(day, clamp(campaign.start), clamp(campaign.end));
+      }
+      case 'weekly': {
+        const weekday = v => new Date(`${v}T00:00:00Z`).getUTCDay();
+        return within(weekday(date), weekday(campaign.start), weekday(campaign.end));
+      }
+      default:
+        return date <= campaign.end;
+    }
+  }
+
+  // Active campaigns on `date`, highest priority first
+  async activeOn(date) {
+    return (await this.load())
+      .filter(c => this.isActive(c, date))
+      .sort((a, b) => b.priority - a.priority || a.createdAt.localeCompare(b.createdAt));
+  }
+
+  matches(campaign, image) {
+    return (image.tags || []).some(t => campaign.tags.includes(t)) || campaign.themes.includes(image.theme);
+  }
+
+  // Narrow the rotation pool for `date`: the top active campaign that has
+  // images wins; otherwise every image that no campaign claims
+  async filterPool(images, date) {
+    const campaigns = await this.load();
+    for (const campaign of await this.activeOn(date)) {
+      const pool = images.filter(img => this.matches(campaign, img));
+      if (pool.length) return { campaign, images: pool };
+    }
+    const enabled = campaigns.filter(c => c.enabled);
+    return { campaign: null, images: images.filter(img => !enabled.some(c => this.matches(c, img))) };
+  }
+}
+
+module.exports = { CampaignScheduler, RECURRENCES };
@@ -0,0 +1,197 @@
+// Colour grading of generated pictures: white balance, light matching and presets with sharp (CommonJS)
+const sharp = require('sharp');
+const { numberReader } = require('./env-options.js');
+
+// gains multiply R, G, B; contrast pivots on mid-grey and lift raises the blacks;
+// vignette and rim are strengths from 0 to 1
+const GRADING_PRESETS = {
+  natural: { label: 'Natural', vignette: 0.12, rim: 0.25 },
+  warm: { label: 'Warm', gains: [1.06, 1.0, 0.9], saturation: 1.05, vignette: 0.15, rim: 0.3 },
+  cool: { label: 'Cool', gains: [0.93, 0.99, 1.07], saturation: 0.95, vignette: 0.15, rim: 0.3 },
+  'high-key': { label: 'High-key', brightness: 1.08, contrast: 0.85, lift: 24, saturation: 0.92, vignette: 0, rim: 0.15 },
+  matte: { label: 'Matte', contrast: 0.82, lift: 20, saturation: 0.82, vignette: 0.2, rim: 0.2 },
+  bw: { label: 'B&W', greyscale: true, contrast: 1.1, vignette: 0.25, rim: 0.3 }
+};
+const DEFAULT_GRADING_OPTIONS = {
+  preset: 'none',         // batches are graded only when they, or GRADING_PRESET, pick a preset
+  whiteBalance: 0.8,      // share of the measured cast that is removed
+  lightMatch: 0.25        // how far the subject's brightness and tint move toward the backdrop's
+};
+
+// GRADING_PRESET (a preset id or none), GRADING_WHITE_BALANCE, GRADING_LIGHT_MATCH; a value that
+// is not a number keeps its default
+function optionsFromEnv(env = process.env) {
+  const read = numberReader(env);
+  return {
+    ...(env.GRADING_PRESET ? { preset: env.GRADING_PRESET.toLowerCase() } : {}),
+    ...read('GRADING_WHITE_BALANCE', 'whiteBalance'),
+    ...read('GRADING_LIGHT_MATCH', 'lightMatch')
+  };
+}
+
+class ColorGrader {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_GRADING_OPTIONS, ...options };
+    this.preset = this.resolve(this.options.preset);
+  }
+
+  // The preset id to grade with: `name`, or the default when it is empty. Throws on unknown ids
+  resolve(name) {
+    if (name === undefined || name === null || name === '') return this.preset;
+    if (name !== 'none' && !GRADING_PRESETS[name]) {
+      throw new Error(`Unknown grading preset "${name}"; use one of ${[...Object.keys(GRADING_PRESETS), 'none'].join(', ')}`);
+    }
+    return name;
+  }
+
+  // [{ id, label, default }] for pickers, the default first and 'none' among them
+  list() {
+    return [...Object.entries(GRADING_PRESETS), ['none', { label: 'None' }]]
+      .map(([id, { label }]) => ({ id, label, default: id === this.preset }))
+      .sort((a, b) => b.default - a.default);
+  }
+
+  // The graded picture as a PNG. layers ({ background, subject }, the subject a cutout centred
+  // on the background) let the subject be corrected on its own and lit to match the backdrop;
+  // without them only the whole picture is white balanced
+  async grade(buffer, { preset, layers } = {}) {
+    const id = this.resolve(preset);
+    if (id === 'none') return buffer;
+    const settings = GRADING_PRESETS[id];
+
+    let picture;
+    if (layers?.subject && layers?.background) {
+      const subject = await this.matchSubject(layers.subject, layers.background);
+      const overlays = [{ input: subject, gravity: 'center' }];
+      if (settings.rim) overlays.push({ input: await this.rimLight(subject, layers.background, settings.rim), gravity: 'center', blend: 'screen' });
+      picture = await sharp(layers.background).removeAlpha().composite(overlays).png().toBuffer();
+    } else {
+      const { data, info } = await sharp(buffer).flatten({ background: '#ffffff' }).raw().toBuffer({ resolveWithObject: true });
+      const gains = this.whiteBalance(data, info.channels);
+      picture = await sharp(data, { raw: info }).linear(gains, [0, 0, 0]).png().toBuffer();
+    }
+
+    picture = await this.tone(picture, settings);
+    if (settings.vignette) picture = await this.vignette(picture, settings.vignette);
+    return picture;
+  }
+
+  // The subject cutout white balanced, then brightened or darkened and tinted part of the way
+  // toward the backdrop so it looks lit by the same light
+  async matchSubject(subjectPng, background) {
+    const { data, info } = await sharp(subjectPng).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const balance = this.whiteBalance(data, 4);
+    const subjectMean = this.mean(data, 4, balance);
+    const { data: backdrop } = await sharp(background).removeAlpha().resize(64, 64, { fit: 'fill' }).raw().toBuffer({ resolveWithObject: true });
+    const backdropMean = this.mean(backdrop, 3);
+    if (!subjectMean) return subjectPng;
+
+    const { lightMatch } = this.options;
+    const luma = ([r, g, b]) => 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    const light = clamp(1 + lightMatch * (luma(backdropMean) / Math.max(1, luma(subjectMean)) - 1), 0.85, 1.15);
+    const grey = (backdropMean[0] + backdropMean[1] + backdropMean[2]) / 3 || 1;
+    const gains = balance.map((gain, k) => gain * light * clamp(1 + lightMatch * 0.5 * (backdropMean[k] / grey - 1), 0.93, 1.07));
+
+    const rgb = await sharp(data, { raw: info }).removeAlpha().linear(gains, [0, 0, 0]).raw().toBuffer();
+    const alpha = await sharp(data, { raw: info }).extractChannel(3).raw().toBuffer();
+    return sharp(rgb, { raw: { width: info.width, height: info.height, channels: 3 } })
+      .joinChannel(alpha, { raw: { width: info.width, height: info.height, channels: 1 } })
+      .png()
+      .toBuffer();
+  }
+
+  // Per-channel gains that make the near-neutral pixels (a white shirt, a grey wall) grey.
+  // Skin and saturated colours are left out of the measurement; with too few neutral pixels
+  // to trust, nothing is corrected
+  whiteBalance(data, channels) {
+    const total = [0, 0, 0];
+    let count = 0;
+    let opaque = 0;
+    for (let i = 0; i < data.length; i += channels) {
+      if (channels === 4 && data[i + 3] < 128) continue;
+      opaque++;
+      const [r, g, b] = [data[i], data[i + 1], data[i + 2]];
+      const max = Math.max(r, g, b);
+      if (max < 40 || max > 250 || max - Math.min(r, g, b) > max * 0.25) continue;
+      total[0] += r;
+      total[1] += g;
+      total[2] += b;
+      count++;
+    }
+    if (!opaque || count < opaque * 0.03) return [1, 1, 1];
+    const grey = (total[0] + total[1] + total[2]) / 3;
+    return total.map(sum => clamp((grey / Math.max(1, sum)) ** this.options.whiteBalance, 0.8, 1.25));
+  }
+
+  // Mean RGB of the opaque pixels, after `gains`; null when there are none
+  mean(data, channels, gains = [1, 1, 1]) {
+    const total = [0, 0, 0];
+    let count = 0;
+    for (let i = 0; i < data.length; i += channels) {
+      if (channels === 4 && data[i + 3] < 128) continue;
+      for (let k = 0; k < 3; k++) total[k] += data[i + k] * gains[k];
+      count++;
+    }
+    return count ? total.map(sum => sum / count) : null;
+  }
+
+  // A thin glow along the subject's outline in a light shade of the backdrop, strongest at the
+  // top, as if the backdrop were lit from behind. Screen-blended over the subject
+  async rimLight(subjectPng, background, strength) {
+    const alpha = await sharp(subjectPng).ensureAlpha().extractChannel(3).raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = alpha.info;
+    const blurred = await sharp(alpha.data, { raw: { width, height, channels: 1 } })
+      .blur(Math.max(1.5, Math.min(width, height) / 150))
+      .extractChannel(0)
+      .raw()
+      .toBuffer();
+    const { data: backdrop } = await sharp(background).removeAlpha().resize(16, 16, { fit: 'fill' }).raw().toBuffer({ resolveWithObject: true });
+    const colour = this.mean(backdrop, 3).map(v => Math.round(v + (255 - v) * 0.6));
+
+    const rim = Buffer.alloc(width * height * 4);
+    for (let y = 0; y < height; y++) {
+      const fromTop = 1 - 0.6 * (y / height);
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        // Inside the outline the blurred alpha falls below the alpha
+        const edge = Math.max(0, alpha.data[i] - blurred[i]) * 2 * strength * fromTop;
+        rim[i * 4] = colour[0];
+        rim[i * 4 + 1] = colour[1];
+        rim[i * 4 + 2] = colour[2];
+        rim[i * 4 + 3] = Math.min(255, Math.round(edge));
+      }
+    }
+    return sharp(rim, { raw: { width, height, channels: 4 } }).png().toBuffer();
+  }
+
+  // The preset's colour, contrast and saturation over the whole picture
+  async tone(buffer, { gains = [1, 1, 1], contrast = 1, lift = 0, brightness = 1, saturation = 1, greyscale = false }) {
+    // One step per pipeline: sharp runs the operations of a pipeline in its own order
+    let image = await sharp(buffer)
+      .linear(gains.map(gain => gain * contrast), gains.map(() => 128 * (1 - contrast) + lift))
+      .png()
+      .toBuffer();
+    if (brightness !== 1 || saturation !== 1) image = await sharp(image).modulate({ brightness, saturation }).png().toBuffer();
+    if (greyscale) image = await sharp(image).greyscale().toColourspace('srgb').png().toBuffer();
+    return image;
+  }
+
+  // Darkens the corners toward the subject in the middle
+  async vignette(buffer, strength) {
+    const { width, height } = await sharp(buffer).metadata();
+    const shade = Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+      <defs><radialGradient id="v" cx="50%" cy="45%" r="75%">
+        <stop offset="55%" stop-color="#000000" stop-opacity="0"/>
+        <stop offset="100%" stop-color="#000000" stop-opacity="${strength}"/>
+      </radialGradient></defs>
+      <rect width="100%" height="100%" fill="url(#v)"/>
+    </svg>`);
+    return sharp(buffer).composite([{ input: shade }]).png().toBuffer();
+  }
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+module.exports = { ColorGrader, GRADING_PRESETS, DEFAULT_GRADING_OPTIONS, optionsFromEnv };
@@ -0,0 +1,15 @@
+// Numeric settings from the environment (CommonJS)
+
+// read(key, name) gives { [name]: value } for a numeric env[key] and {} when it is unset.
+// A value that is not a number is ignored with a warning, so the caller's default applies
+function numberReader(env = process.env) {
+  return (key, name) => {
+    if (env[key] === undefined || env[key] === '') return {};
+    const value = Number(env[key]);
+    if (Number.isFinite(value)) return { [name]: value };
+    console.warn(`Ignoring ${key}=${env[key]}: not a number`);
+    return {};
+  };
+}
+
+module.exports = { numberReader };
@@ -0,0 +1,113 @@
+// Upload-ready variants of stored images for LinkedIn (CommonJS)
+const sharp = require('sharp');
+
+// LinkedIn's limits: photos are square, 400 px to 7680x4320 and under 8 MB; banners are 1584x396
+const UPLOAD_SPECS = {
+  photo: { aspect: 1, minWidth: 400, maxWidth: 4320 },
+  banner: { aspect: 4, minWidth: 1584, maxWidth: 1584 }
+};
+const MAX_UPLOAD_BYTES = 8 * 1024 * 1024;
+const FORMATS = {
+  jpeg: { extension: 'jpg', mime: 'image/jpeg' },
+  webp: { extension: 'webp', mime: 'image/webp' }
+};
+const DEFAULT_EXPORT_OPTIONS = {
+  format: 'jpeg',
+  targetKB: 1024,   // the quality is lowered until the file fits, then the size
+  minQuality: 60,
+  maxQuality: 92
+};
+
+// EXPORT_FORMAT=jpeg|webp, EXPORT_TARGET_KB, EXPORT_MIN_QUALITY, EXPORT_MAX_QUALITY
+function optionsFromEnv(env = process.env) {
+  const read = (key, name) => (env[key] !== undefined && env[key] !== '' ? { [name]: Number(env[key]) } : {});
+  return {
+    ...(env.EXPORT_FORMAT ? { format: env.EXPORT_FORMAT.toLowerCase().replace(/^jpg$/, 'jpeg') } : {}),
+    ...read('EXPORT_TARGET_KB', 'targetKB'),
+    ...read('EXPORT_MIN_QUALITY', 'minQuality'),
+    ...read('EXPORT_MAX_QUALITY', 'maxQuality')
+  };
+}
+
+class ExportPipeline {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_EXPORT_OPTIONS, ...options };
+    const { format, targetKB, minQuality, maxQuality } = this.options;
+    if (!FORMATS[format]) throw new Error(`Export format must be one of ${Object.keys(FORMATS).join(', ')}`);
+    if (!Number.isFinite(targetKB)) throw new Error('Export target KB must be a number');
+    for (const [name, quality] of [['minimum', minQuality], ['maximum', maxQuality]]) {
+      if (!Number.isInteger(quality) || quality < 1 || quality > 100) throw new Error(`Export ${name} quality must be an integer from 1 to 100`);
+    }
+    if (minQuality > maxQuality) throw new Error(`Export minimum quality ${minQuality} is above the maximum ${maxQuality}`);
+    this.options.targetKB = Math.min(Math.max(16, this.options.targetKB), MAX_UPLOAD_BYTES / 1024);
+  }
+
+  // Identifies the settings an upload variant was made with, so a change makes new ones
+  get signature() {
+    const { format, targetKB, minQuality, maxQuality } = this.options;
+    return `${format}-${targetKB}-${minQuality}-${maxQuality}`;
+  }
+
+  // The upload variant of a master image: cropped to the kind's aspect ratio and size limits,
+  // converted to sRGB with only the sRGB profile kept (no EXIF, GPS or XMP from the base photo),
+  // at the best quality that fits targetKB.
+  // Returns { buffer, format, mime, extension, width, height, quality, bytes }
+  async publish(master, kind = 'photo') {
+    const spec = UPLOAD_SPECS[kind];
+    if (!spec) throw new Error(`Unknown image kind: ${kind}`);
+    // Orientation is applied before the metadata carrying it is dropped
+    const upright = await sharp(master).rotate().toBuffer();
+    const { width, height } = await sharp(upright).metadata();
+    let targetWidth = Math.min(spec.maxWidth, Math.max(spec.minWidth, Math.min(width, Math.round(height * spec.aspect))));
+
+    const { minQuality, maxQuality } = this.options;
+    const targetBytes = this.options.targetKB * 1024;
+    for (;;) {
+      const size = { width: targetWidth, height: Math.round(targetWidth / spec.aspect) };
+      // Binary search for the highest quality that fits
+      let low = minQuality;
+      let high = maxQuality;
+      let best = null;
+      let smallest = null;
+      while (low <= high) {
+        const quality = Math.floor((low + high) / 2);
+        const buffer = await this.encode(upright, size, quality);
+        if (!smallest || buffer.length < smallest.buffer.length) smallest = { buffer, quality };
+        if (buffer.length <= targetBytes) {
+          best = { buffer, quality };
+          low = quality + 1;
+        } else {
+          high = quality - 1;
+        }
+      }
+      const shrunk = Math.round(targetWidth * 0.85);
+      // Too big even at minQuality: try smaller, as long as LinkedIn's minimum allows
+      if (!best && shrunk >= spec.minWidth && shrunk !== targetWidth) {
+        targetWidth = shrunk;
+        continue;
+      }
+      const chosen = best || smallest;
+      if (chosen.buffer.length > MAX_UPLOAD_BYTES) throw new Error(`Upload variant is ${chosen.buffer.length} bytes, over LinkedIn's ${MAX_UPLOAD_BYTES}`);
+      if (!best) console.warn(`Upload variant is ${Math.round(chosen.buffer.length / 1024)} KB, over the ${this.options.targetKB} KB target`);
+      return { buffer: chosen.buffer, ...this.describe(), ...size, quality: chosen.quality, bytes: chosen.buffer.length };
+    }
+  }
+
+  // { format, mime, extension } of the upload variants
+  describe() {
+    return { format: this.options.format, ...FORMATS[this.options.format] };
+  }
+
+  encode(buffer, { width, height }, quality) {
+    const image = sharp(buffer)
+      .resize(width, height, { fit: 'cover', position: 'centre' })
+      .flatten({ background: '#ffffff' })
+      .toColourspace('srgb')
+      .withIccProfile('srgb');
+    return this.options.format === 'webp'
+      ? image.webp({ quality }).toBuffer()
+      : image.jpeg({ quality, mozjpeg: true, chromaSubsampling: quality >= 90 ? '4:4:4' : '4:2:0' }).toBuffer();
+  }
+}
+
+module.exports = { ExportPipeline, UPLOAD_SPECS, FORMATS, MAX_UPLOAD_BYTES, DEFAULT_EXPORT_OPTIONS, optionsFromEnv };
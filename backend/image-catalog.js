@@ -0,0 +1,366 @@
+// Durable per-image catalog stored as JSON lines next to the images (CommonJS)
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { perceptualHash, compare, isNearDuplicate } = require('./perceptual-hash.js');
+
+const CATALOG_FILE = 'catalog.jsonl';
+const LEGACY_METADATA_FILE = 'metadata.json';
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const SORT_FIELDS = ['createdAt', 'lastAppliedAt', 'timesApplied', 'filename', 'provider'];
+// Profile photos and cover banners share the catalog; each kind has its own rotation
+const KINDS = ['photo', 'banner'];
+// LinkedIn photo editor: filter names and who can see the photo
+const EDITOR_FILTERS = ['original', 'studio', 'spotlight', 'prime', 'classic', 'edge', 'luminate'];
+const EDITOR_VISIBILITY = ['public', 'members', 'network', 'connections'];
+// Numeric editor settings and their ranges: zoom is the slider position in percent,
+// straighten is degrees and offsets move the photo within the crop frame (percent of its size)
+const EDITOR_RANGES = { zoom: [0, 100], offsetX: [-50, 50], offsetY: [-50, 50], straighten: [-45, 45] };
+
+// Each line is either a full record or a tombstone ({ id, deleted: true }); the
+// last line for an id wins. The file is rewritten once stale lines pile up.
+class ImageCatalog {
+  constructor(storagePath) {
+    this.storagePath = storagePath;
+    this.catalogPath = path.join(storagePath, CATALOG_FILE);
+    this.records = new Map();
+    this.lineCount = 0;
+    this.loading = null;
+  }
+
+  static idFor(filename) {
+    return path.basename(filename, path.extname(filename));
+  }
+
+  async load() {
+    if (!this.loading) this.loading = this.readFromDisk();
+    return this.loading;
+  }
+
+  async readFromDisk() {
+    await fs.mkdir(this.storagePath, { recursive: true }).catch(() => {});
+    let raw = '';
+    try {
+      raw = await fs.readFile(this.catalogPath, 'utf8');
+    } catch {
+      raw = '';
+    }
+
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        this.lineCount++;
+        if (entry.deleted) this.records.delete(entry.id);
+        else this.records.set(entry.id, entry);
+      } catch (e) {
+        console.warn('Skipping corrupt catalog line:', e.message);
+      }
+    }
+
+    await this.reconcile();
+  }
+
+  // Bring the catalog in line with the folder: import files it has never seen
+  // (using the legacy metadata.json where possible) and forget deleted files.
+  async reconcile() {
+    const files = (await fs.readdir(this.storagePath).catch(() => []))
+      .filter(f => IMAGE_EXTENSIONS.includes(path.extname(f).toLowerCase()));
+
+    for (const record of Array.from(this.records.values())) {
+      if (!files.includes(record.filename)) await this.remove(record.id);
+    }
+
+    const legacy = await this.readLegacyMetadata();
+    for (const filename of files) {
+      if (this.records.has(ImageCatalog.idFor(filename))) continue;
+      const known = legacy.get(filename) || {};
+      const stat = await fs.stat(path.join(this.storagePath, filename)).catch(() => null);
+      await this.insert({
+        filename,
+        prompt: known.prompt || null,
+        provider: known.prompt ? this.providerForPrompt(known.prompt) : 'unknown',
+        createdAt: known.generatedAt || (stat ? stat.mtime.toISOString() : undefined)
+      });
+    }
+
+    // Records from before perceptual hashes get one, so duplicate checks see every image
+    for (const record of Array.from(this.records.values())) {
+      if (record.phash !== undefined) continue;
+      const { phash } = await this.inspect(path.join(this.storagePath, record.filename));
+      await this.write({ ...record, phash });
+    }
+  }
+
+  async readLegacyMetadata() {
+    try {
+      const raw = await fs.readFile(path.join(this.storagePath, LEGACY_METADATA_FILE), 'utf8');
+      const { images = [] } = JSON.parse(raw);
+      return new Map(images.map(img => [img.filename, img]));
+    } catch {
+      return new Map();
+    }
+  }
+
+  providerForPrompt(prompt) {
+    if (prompt === 'local-background') return 'local';
+    if (prompt === 'local-fallback') return 'local-fallback';
+    return 'openai';
+  }
+
+  // Describe a freshly written image and append it; hashes and dimensions come from the file
+  async add(image) {
+    await this.load();
+    return this.insert(image);
+  }
+
+  async insert(image) {
+    const filepath = path.join(this.storagePath, image.filename);
+    const { hash, width, height, phash } = await this.inspect(filepath);
+
+    const record = {
+      id: ImageCatalog.idFor(image.filename),
+      filename: image.filename,
+      kind: image.kind || (image.filename.startsWith('banner_') ? 'banner' : 'photo'),
+      pairedWith: image.pairedWith || null,
+      basePhotoId: image.basePhotoId || null,
+      provider: image.provider || 'unknown',
+      prompt: image.prompt || null,
+      palette: image.palette || null,
+      theme: image.theme || null,
+      overlays: image.overlays || [],
+      grading: image.grading || null,
+      quality: image.quality || null,
+      width,
+      height,
+      hash,
+      phash,
+      createdAt: image.createdAt || image.generatedAt || new Date().toISOString(),
+      timesApplied: 0,
+      lastAppliedAt: null,
+      favorite: false,
+      excluded: false,
+      tags: [],
+      editor: null
+    };
+    await this.write(record);
+    return this.describe(record);
+  }
+
+  async inspect(filepath) {
+    try {
+      const buffer = await fs.readFile(filepath);
+      const { width = null, height = null } = await sharp(buffer).metadata();
+      return { hash: crypto.createHash('sha256').update(buffer).digest('hex'), width, height, phash: await perceptualHash(buffer) };
+    } catch {
+      return { hash: null, width: null, height: null, phash: null };
+    }
+  }
+
+  async get(id) {
+    await this.load();
+    const record = this.records.get(id);
+    return record ? this.describe(record) : null;
+  }
+
+  async update(id, patch) {
+    await this.load();
+    const record = this.records.get(id);
+    if (!record) return null;
+    const next = { ...record, ...patch, id: record.id, filename: record.filename };
+    await this.write(next);
+    return this.describe(next);
+  }
+
+  async markApplied(id, appliedAt = new Date().toISOString()) {
+    await this.load();
+    const record = this.records.get(id);
+    if (!record) return null;
+    return this.update(id, { timesApplied: (record.timesApplied || 0) + 1, lastAppliedAt: appliedAt });
+  }
+
+  // Curation flags from the gallery; fields left undefined are not touched.
+  // pairedWith links a banner to the photo it goes live with (null unpairs it)
+  async curate(id, { favorite, excluded, tags, pairedWith } = {}) {
+    await this.load();
+    const patch = {};
+    if (favorite !== undefined) {
+      if (typeof favorite !== 'boolean') throw new Error('favorite must be a boolean');
+      patch.favorite = favorite;
+    }
+    if (excluded !== undefined) {
+      if (typeof excluded !== 'boolean') throw new Error('excluded must be a boolean');
+      patch.excluded = excluded;
+    }
+    if (tags !== undefined) {
+      if (!Array.isArray(tags) || tags.some(t => typeof t !== 'string')) throw new Error('tags must be an array of strings');
+      patch.tags = ImageCatalog.normalizeTags(tags);
+    }
+    if (pairedWith !== undefined) {
+      const record = this.records.get(id);
+      if (record && this.withDefaults(record).kind !== 'banner') throw new Error('Only banners can be paired with a photo');
+      const photo = pairedWith === null ? null : this.records.get(pairedWith);
+      if (pairedWith !== null && (!photo || this.withDefaults(photo).kind !== 'photo')) throw new Error('pairedWith must be the id of a photo');
+      patch.pairedWith = pairedWith;
+    }
+    return this.update(id, patch);
+  }
+
+  // LinkedIn editor settings the content script applies before saving; null clears them
+  async setEditor(id, editor) {
+    return this.update(id, { editor: ImageCatalog.normalizeEditor(editor) });
+  }
+
+  // { zoom, offsetX, offsetY, straighten, filter, visibility }; omitted settings keep LinkedIn's default
+  static normalizeEditor(editor) {
+    if (editor === null) return null;
+    if (!editor || typeof editor !== 'object' || Array.isArray(editor)) throw new Error('editor must be an object or null');
+    const unknown = Object.keys(editor).filter(key => !(key in EDITOR_RANGES) && key !== 'filter' && key !== 'visibility');
+    if (unknown.length) throw new Error(`Unknown editor setting "${unknown[0]}"`);
+
+    const normalized = {};
+    for (const [key, [min, max]] of Object.entries(EDITOR_RANGES)) {
+      if (editor[key] === undefined || editor[key] === null) continue;
+      if (typeof editor[key] !== 'number' || !Number.isFinite(editor[key]) || editor[key] < min || editor[key] > max) {
+        throw new Error(`${key} must be a number from ${min} to ${max}`);
+      }
+      normalized[key] = editor[key];
+    }
+    if (editor.filter !== undefined && editor.filter !== null) {
+      if (!EDITOR_FILTERS.includes(editor.filter)) throw new Error(`filter must be one of ${EDITOR_FILTERS.join(', ')}`);
+      normalized.filter = editor.filter;
+    }
+    if (editor.visibility !== undefined && editor.visibility !== null) {
+      if (!EDITOR_VISIBILITY.includes(editor.visibility)) throw new Error(`visibility must be one of ${EDITOR_VISIBILITY.join(', ')}`);
+      normalized.visibility = editor.visibility;
+    }
+    return Object.keys(normalized).length ? normalized : null;
+  }
+
+  static normalizeTags(tags) {
+    return Array.from(new Set(tags.map(t => t.trim().toLowerCase()).filter(Boolean))).sort();
+  }
+
+  async remove(id) {
+    if (!this.records.has(id)) return false;
+    this.records.delete(id);
+    await this.append({ id, deleted: true });
+    return true;
+  }
+
+  // The stored image of `kind` that `phash` is closest to, if it is a near-duplicate:
+  // { image, hashDistance, colorDistance } or null
+  async findNearDuplicate(phash, { kind = 'photo', thresholds } = {}) {
+    await this.load();
+    let closest = null;
+    for (const record of this.records.values()) {
+      const image = this.withDefaults(record);
+      if (image.kind !== kind || !image.phash || !isNearDuplicate(phash, image.phash, thresholds)) continue;
+      const distance = compare(phash, image.phash);
+      if (!closest || distance.hashDistance < closest.hashDistance) closest = { image: this.describe(image), ...distance };
+    }
+    return closest;
+  }
+
+  // Groups of lookalike images of the same kind, largest first. Images are linked when any
+  // two are near-duplicates; each group lists the one worth keeping first (favourite, then
+  // most applied, then oldest) and every image's distance to it
+  async duplicates({ kind, thresholds } = {}) {
+    await this.load();
+    const images = Array.from(this.records.values())
+      .map(r => this.withDefaults(r))
+      .filter(r => r.phash && (!kind || r.kind === kind));
+
+    const parent = images.map((_, i) => i);
+    const root = (i) => (parent[i] === i ? i : (parent[i] = root(parent[i])));
+    for (let i = 0; i < images.length; i++) {
+      for (let j = i + 1; j < images.length; j++) {
+        if (images[i].kind === images[j].kind && isNearDuplicate(images[i].phash, images[j].phash, thresholds)) {
+          parent[root(j)] = root(i);
+        }
+      }
+    }
+
+    const groups = new Map();
+    images.forEach((image, i) => groups.set(root(i), [...(groups.get(root(i)) || []), image]));
+    return Array.from(groups.values())
+      .filter(group => group.length > 1)
+      .map(group => {
+        group.sort((a, b) => (b.favorite - a.favorite) || ((b.timesApplied || 0) - (a.timesApplied || 0)) || a.createdAt.localeCompare(b.createdAt));
+        return {
+          kind: group[0].kind,
+          keep: group[0].id,
+          images: group.map(image => ({ ...this.describe(image), ...compare(group[0].phash, image.phash) }))
+        };
+      })
+      .sort((a, b) => b.images.length - a.images.length);
+  }
+
+  async clear() {
+    await this.load();
+    this.records.clear();
+    await this.compact();
+  }
+
+  // filters: { kind, pairedWith, basePhotoId, provider, since, until, favorite, excluded, tag }; sort: one of SORT_FIELDS
+  async query({ kind, pairedWith, basePhotoId, provider, since, until, favorite, excluded, tag, sort = 'createdAt', order = 'desc', limit, offset = 0 } = {}) {
+    await this.load();
+    let records = Array.from(this.records.values()).map(r => this.withDefaults(r));
+
+    if (kind) records = records.filter(r => r.kind === kind);
+    if (pairedWith) records = records.filter(r => r.pairedWith === pairedWith);
+    if (basePhotoId) records = records.filter(r => r.basePhotoId === basePhotoId);
+    if (provider) records = records.filter(r => r.provider === provider);
+    if (since) records = records.filter(r => r.createdAt >= since);
+    if (until) records = records.filter(r => r.createdAt <= until);
+    if (favorite !== undefined) records = records.filter(r => r.favorite === favorite);
+    if (excluded !== undefined) records = records.filter(r => r.excluded === excluded);
+    if (tag) records = records.filter(r => r.tags.includes(String(tag).toLowerCase()));
+
+    const field = SORT_FIELDS.includes(sort) ? sort : 'createdAt';
+    const direction = order === 'asc' ? 1 : -1;
+    records.sort((a, b) => {
+      const av = a[field] ?? '';
+      const bv = b[field] ?? '';
+      if (av < bv) return -direction;
+      if (av > bv) return direction;
+      return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+    });
+
+    const total = records.length;
+    const start = Math.max(0, parseInt(offset) || 0);
+    const size = limit === undefined ? total : Math.max(0, parseInt(limit) || 0);
+    return { total, offset: start, images: records.slice(start, start + size).map(r => this.describe(r)) };
+  }
+
+  describe(record) {
+    return { ...this.withDefaults(record), filepath: path.join(this.storagePath, record.filename) };
+  }
+
+  // Records written before curation, overlays, editor settings and banners existed lack these fields
+  withDefaults(record) {
+    return { kind: 'photo', pairedWith: null, favorite: false, excluded: false, tags: [], overlays: [], grading: null, editor: null, quality: null, phash: null, ...record };
+  }
+
+  async write(record) {
+    this.records.set(record.id, record);
+    await this.append(record);
+  }
+
+  async append(entry) {
+    await fs.appendFile(this.catalogPath, `${JSON.stringify(entry)}\n`);
+    this.lineCount++;
+    if (this.lineCount > 100 && this.lineCount > this.records.size * 3) await this.compact();
+  }
+
+  async compact() {
+    const lines = Array.from(this.records.values()).map(r => JSON.stringify(r));
+    const tmpPath = `${this.catalogPath}.tmp`;
+    await fs.writeFile(tmpPath, lines.length ? `${lines.join('\n')}\n` : '');
+    await fs.rename(tmpPath, this.catalogPath);
+    this.lineCount = lines.length;
+  }
+}
+
+module.exports = { ImageCatalog, SORT_FIELDS, KINDS, EDITOR_FILTERS, EDITOR_VISIBILITY };
@@ -1,17 +1,32 @@
 // Backend image generation script using OpenAI API
 const fs = require('fs').promises;
 const path = require('path');
-const axios = require('axios');
-const FormData = require('form-data');
+const crypto = require('crypto');
 const sharp = require('sharp');
 const { execFile } = require('child_process');
 const os = require('os');
+const { ImageCatalog } = require('./image-catalog.js');
+const { createProviders } = require('./providers/index.js');
+const { SubjectMatting, DEFAULT_OPTIONS: MATTE_DEFAULTS, optionsFromEnv } = require('./subject-matting.js');
+const { ThemeLibrary } = require('./theme-library.js');
+const { OverlayRenderer } = require('./overlay-renderer.js');
+const { QualityGate, optionsFromEnv: qualityOptionsFromEnv } = require('./quality-gate.js');
+const { perceptualHash, thresholdsFromEnv: duplicateThresholdsFromEnv } = require('./perceptual-hash.js');
+const { ExportPipeline, optionsFromEnv: exportOptionsFromEnv } = require('./export-pipeline.js');
+const { BaseCropper, optionsFromEnv: cropOptionsFromEnv } = require('./base-photo-crop.js');
+const { ColorGrader, optionsFromEnv: gradingOptionsFromEnv } = require('./color-grading.js');
 require('dotenv').config({ path: '../.env' });
 
+// LinkedIn's cover banner size
+const BANNER_WIDTH = 1584;
+const BANNER_HEIGHT = 396;
+// Decorations that make banners of the same theme differ from each other
+const BANNER_PATTERNS = ['bokeh', 'dots', 'grid', 'stripes', 'triangles'];
+
 class ImageGenerator {
   constructor() {
     this.apiKey = process.env.AI_API_KEY;
-    this.baseUrl = 'https://api.openai.com/v1';
+    this.baseUrl = process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1';
     this.rateLimiter = new RateLimiter(5, 60000); // 5 requests per minute
     this.maxImagesPerSession = 50;
     // Use env STORAGE_PATH or default to backend/generated-images
@@ -21,84 +36,176 @@ class ImageGenerator {
         ? process.env.STORAGE_PATH
         : path.join(__dirname, process.env.STORAGE_PATH)
       : defaultStorage;
+    this.catalog = new ImageCatalog(this.storagePath);
+    // Background themes and user-supplied backdrop photos (BACKGROUNDS_DIR)
+    const backgroundsDir = process.env.BACKGROUNDS_DIR || 'backgrounds';
+    this.themes = new ThemeLibrary(path.isAbsolute(backgroundsDir) ? backgroundsDir : path.join(__dirname, backgroundsDir));
+    // Badge logos for frame/badge overlays (OVERLAYS_DIR); pre-overlay images are kept in originals/
+    const overlaysDir = process.env.OVERLAYS_DIR || 'overlays';
+    this.overlays = new OverlayRenderer(path.isAbsolute(overlaysDir) ? overlaysDir : path.join(__dirname, overlaysDir));
+    this.originalsPath = path.join(this.storagePath, 'originals');
+    // Scores every generated image and regenerates the ones below its thresholds (QUALITY_* env vars)
+    this.qualityGate = new QualityGate(qualityOptionsFromEnv());
+    // New photos that look like a stored one are regenerated too (DUPLICATE_* env vars)
+    this.duplicateThresholds = duplicateThresholdsFromEnv();
+    // What is uploaded to LinkedIn is an export of the stored image, kept in uploads/ (EXPORT_* env vars)
+    this.exporter = new ExportPipeline(exportOptionsFromEnv());
+    // Base photos are framed square around head and shoulders first (BASE_CROP_* env vars)
+    this.cropper = new BaseCropper(cropOptionsFromEnv());
+    // Batches that pick a preset are white balanced, lit like their backdrop and graded (GRADING_* env vars)
+    this.grader = new ColorGrader(gradingOptionsFromEnv());
+    this.uploadsPath = path.join(this.storagePath, 'uploads');
 
     // Local mode toggles
     this.localMode = /^1|true$/i.test(process.env.LOCAL_VARIATIONS || '');
     this.useRembg = /^1|true$/i.test(process.env.USE_REMBG || '');
 
-    if (!this.apiKey && !this.localMode) {
-      throw new Error('AI_API_KEY not found (set LOCAL_VARIATIONS=1 for local background replacement)');
+    // IMAGE_PROVIDER picks the default; LOCAL_VARIATIONS=1 keeps meaning "local"
+    this.providers = createProviders(this);
+    this.defaultProvider = process.env.IMAGE_PROVIDER || (this.localMode ? 'local' : 'openai');
+    const provider = this.getProvider(this.defaultProvider);
+    if (!provider.isConfigured()) {
+      throw new Error(this.defaultProvider.startsWith('openai')
+        ? 'AI_API_KEY not found (set LOCAL_VARIATIONS=1 for local background replacement)'
+        : `Image provider "${this.defaultProvider}" is not configured`);
     }
   }
 
-  async generateImages(basePhotoPath, numImages = 10) {
+  getProvider(name = this.defaultProvider) {
+    const provider = this.providers.get(name);
+    if (!provider) {
+      throw new Error(`Unknown image provider "${name}". Available: ${Array.from(this.providers.keys()).join(', ')}`);
+    }
+    return provider;
+  }
+
+  listProviders() {
+    return Array.from(this.providers.values()).map(p => ({
+      name: p.name,
+      configured: p.isConfigured(),
+      default: p.name === this.defaultProvider
+    }));
+  }
+
+  // Generates numImages photos from a base photo. Options:
+  // - signal: an AbortSignal that stops the batch between images.
+  // - onProgress(index, { status, filename, error }): reports each image slot.
+  // - basePhotoId: recorded in each image's catalog entry.
+  // - provider: overrides the default provider for this batch.
+  // - themes: the theme ids the batch draws from (default: all).
+  // - overlays: frame/badge overlays drawn on every image of the batch.
+  // - crop: the base photo's saved crop; without one it is framed automatically.
+  // - grading: the colour grading preset of the batch (default: GRADING_PRESET, else none).
+  // Images the quality gate rejects, and near-duplicates of a stored photo, are regenerated
+  // up to qualityGate.retries times; a slot whose last attempt is still rejected fails.
+  async generateImages(basePhotoPath, numImages = 10, options = {}) {
+    const { signal, onProgress = () => {}, basePhotoId = null } = options;
     try {
       if (numImages < 1 || numImages > 50) throw new Error('Number of images must be between 1 and 50');
       if (numImages > this.maxImagesPerSession) throw new Error(`Maximum ${this.maxImagesPerSession} images per session`);
 
+      const provider = this.getProvider(options.provider || this.defaultProvider);
+      const overlays = await this.overlays.normalize(options.overlays);
+      const grading = this.grader.resolve(options.grading);
+      const fallback = provider.name === 'local' ? null : this.getProvider('local');
+
       await this.ensureStorageDirectory();
 
-      const basePhotoBuffer = await fs.readFile(basePhotoPath);
-      const basePhotoBase64 = basePhotoBuffer.toString('base64');
+      const { buffer: basePhotoBuffer, crop, unscaled } = await this.prepareBasePhoto(await fs.readFile(basePhotoPath), options.crop);
+      // Shared by every image in the batch so providers can cache per-photo work
+      const context = {
+        basePhotoBuffer,
+        basePhotoBase64: basePhotoBuffer.toString('base64'),
+        // An enlarged crop is matted at its own resolution: enlarging softens the edges the flood stops at
+        mattingOptions: crop ? { workingSize: Math.min(optionsFromEnv().workingSize || MATTE_DEFAULTS.workingSize, crop.size) } : {},
+        themes: await this.themes.resolve(options.themes)
+      };
+      const prompts = this.generateVariationPrompts();
+      const scored = provider.scored !== false;
+      const gate = this.qualityGate.enabled && scored ? this.qualityGate : null;
+      const reference = gate ? await gate.reference(unscaled) : null;
 
       const generatedImages = [];
+      const record = async (i, result, rendered, providerName, quality) => {
+        const filename = `generated_${Date.now()}_${i + 1}.png`;
+        const filepath = path.join(this.storagePath, filename);
+        if (overlays.length) await this.keepOriginal(filename, result.buffer);
+        await fs.writeFile(filepath, rendered);
+        const [stored] = await this.saveMetadata([{
+          filename,
+          filepath,
+          prompt: result.prompt,
+          palette: result.palette,
+          theme: result.theme,
+          overlays,
+          grading,
+          provider: providerName,
+          basePhotoId,
+          quality,
+          generatedAt: new Date().toISOString()
+        }]);
+        generatedImages.push(stored);
+        onProgress(i, { status: 'done', filename });
+        console.log(`Generated (${providerName}) image ${i + 1}/${numImages}: ${filename}`);
+      };
 
-      if (this.localMode) {
-        // Local: remove background → composite on professional gradients
-        const subjectPng = await this.extractSubject(basePhotoBuffer);
-        for (let i = 0; i < numImages; i++) {
+      for (let i = 0; i < numImages; i++) {
+        if (signal?.aborted) break;
+        onProgress(i, { status: 'generating' });
+        const attempts = scored ? this.qualityGate.retries + 1 : 1;
+        for (let attempt = 0; attempt < attempts; attempt++) {
+          // attempt asks deterministic providers for a different sample of the same slot
+          const request = { index: i, attempt, prompt: prompts[i % prompts.length], width: 1024, height: 1024, context, signal };
+          let result;
+          let providerName = provider.name;
           try {
-            const background = await this.createBackgroundSVG(i, 1024, 1024);
-            const outBuffer = await sharp(background)
-              .composite([{ input: subjectPng, gravity: 'center' }])
-              .png({ quality: 92 })
-              .toBuffer();
-            const filename = `generated_${Date.now()}_${i + 1}.png`;
-            const filepath = path.join(this.storagePath, filename);
-            await fs.writeFile(filepath, outBuffer);
-            generatedImages.push({ filename, filepath, prompt: 'local-background', generatedAt: new Date().toISOString() });
-            console.log(`Generated (local bg) image ${i + 1}/${numImages}: ${filename}`);
-          } catch (e) {
-            console.error(`Local background gen failed ${i + 1}:`, e.message);
-          }
-        }
-      } else {
-        // API path with fallback to local background
-        const variations = this.generateVariationPrompts();
-        for (let i = 0; i < numImages; i++) {
-          try {
-            await this.rateLimiter.wait();
-            const prompt = variations[i % variations.length];
-            const imageData = await this.generateSingleImage(basePhotoBase64, prompt);
-            const filename = `generated_${Date.now()}_${i + 1}.png`;
-            const filepath = path.join(this.storagePath, filename);
-            await fs.writeFile(filepath, imageData);
-            generatedImages.push({ filename, filepath, prompt, generatedAt: new Date().toISOString() });
-            console.log(`Generated image ${i + 1}/${numImages}: ${filename}`);
+            if (provider.rateLimited) await this.rateLimiter.wait(signal);
+            result = await provider.generate(request);
           } catch (error) {
-            console.error(`API gen failed ${i + 1}:`, error.message);
+            if (signal?.aborted) break;
+            console.error(`${provider.name} gen failed ${i + 1}:`, error.message);
+            if (!fallback) {
+              onProgress(i, { status: 'failed', error: error.message });
+              break;
+            }
             // Fallback: local background replacement
             try {
-              const subjectPng = await this.extractSubject(basePhotoBuffer);
-              const background = await this.createBackgroundSVG(i, 1024, 1024);
-              const outBuffer = await sharp(background)
-                .composite([{ input: subjectPng, gravity: 'center' }])
-                .png({ quality: 92 })
-                .toBuffer();
-              const filename = `generated_${Date.now()}_${i + 1}.png`;
-              const filepath = path.join(this.storagePath, filename);
-              await fs.writeFile(filepath, outBuffer);
-              generatedImages.push({ filename, filepath, prompt: 'local-fallback', generatedAt: new Date().toISOString() });
-              console.log(`Fallback (local bg) image ${i + 1}/${numImages}: ${filename}`);
+              result = { ...(await fallback.generate(request)), prompt: 'local-fallback' };
+              providerName = 'local-fallback';
             } catch (e2) {
               console.error(`Fallback failed ${i + 1}:`, e2.message);
+              onProgress(i, { status: 'failed', error: e2.message });
+              break;
             }
           }
+
+          // Graded first, so the gate and the duplicate check see the picture that is kept
+          result = { ...result, buffer: await this.grader.grade(result.buffer, { preset: grading, layers: result.layers }) };
+          // Scored before overlays, which are drawn over the edge of the crop on purpose
+          const quality = gate ? await gate.evaluate(result.buffer, reference) : null;
+          let rejected = quality && !quality.passed ? quality.failures : null;
+          let rendered;
+          if (!rejected) {
+            rendered = overlays.length ? await this.overlays.apply(result.buffer, overlays) : result.buffer;
+            const duplicate = scored && await this.catalog.findNearDuplicate(await perceptualHash(rendered), { thresholds: this.duplicateThresholds });
+            if (duplicate) rejected = [`near-duplicate of ${duplicate.image.id}`];
+          }
+          if (!rejected) {
+            await record(i, result, rendered, providerName, quality && { ...this.scoresOf(quality), attempts: attempt + 1 });
+            break;
+          }
+          console.warn(`Image ${i + 1} rejected (attempt ${attempt + 1}/${attempts}): ${rejected.join(', ')}`);
+          if (attempt + 1 === attempts) {
+            const reason = quality && !quality.passed ? 'Rejected by the quality gate' : 'Rejected as a lookalike';
+            onProgress(i, { status: 'failed', error: `${reason}: ${rejected.join(', ')}` });
+          } else {
+            onProgress(i, { status: 'generating', attempt: attempt + 2, rejected });
+          }
+          if (signal?.aborted) break;
         }
       }
 
-      await this.saveMetadata(generatedImages);
-      return { success: true, images: generatedImages, count: generatedImages.length };
+      return { success: true, images: generatedImages, count: generatedImages.length, cancelled: !!signal?.aborted };
 
     } catch (error) {
       console.error('Error in generateImages:', error);
@@ -106,8 +213,176 @@ class ImageGenerator {
     }
   }
 
-  async extractSubject(basePhotoBuffer) {
-    // Try rembg if requested
+  // Renders cover banners from background themes. options.pairWith lists photos that
+  // each get one banner in their own theme, paired so both go live together. Otherwise
+  // `count` banners cycle through options.themes (ids), or match options.match (a photo,
+  // usually the live one) when no themes are given
+  async generateBanners(count = 1, options = {}) {
+    const { signal, onProgress = () => {}, pairWith = null } = options;
+    try {
+      const specs = [];
+      if (pairWith) {
+        for (const photo of pairWith) specs.push({ theme: await this.bannerThemeFor(photo), pairedWith: photo.id });
+      } else {
+        if (count < 1 || count > 20) throw new Error('Number of banners must be between 1 and 20');
+        const themes = options.themes?.length
+          ? await this.themes.resolve(options.themes)
+          : [await this.bannerThemeFor(options.match)];
+        for (let i = 0; i < count; i++) specs.push({ theme: themes[i % themes.length], pairedWith: null });
+      }
+
+      await this.ensureStorageDirectory();
+      const banners = [];
+      for (const [i, { theme, pairedWith }] of specs.entries()) {
+        if (signal?.aborted) break;
+        const filename = `banner_${Date.now()}_${i + 1}.png`;
+        const filepath = path.join(this.storagePath, filename);
+        // Repeats of a theme get a pattern and angle of their own
+        const variant = Math.floor(i / (pairWith ? 1 : new Set(specs.map(s => s.theme)).size));
+        await fs.writeFile(filepath, await this.themes.render(this.themeVariant(theme, variant), BANNER_WIDTH, BANNER_HEIGHT, { seed: i }));
+        const [stored] = await this.saveMetadata([{
+          filename,
+          filepath,
+          kind: 'banner',
+          pairedWith,
+          prompt: 'banner',
+          palette: theme.colors || null,
+          theme: theme.id || null,
+          provider: 'banner',
+          generatedAt: new Date().toISOString()
+        }]);
+        banners.push(stored);
+        onProgress(i, { status: 'done', filename });
+        console.log(`Generated banner ${i + 1}/${specs.length}: ${filename}`);
+      }
+
+      return { success: true, images: banners, count: banners.length, cancelled: !!signal?.aborted };
+    } catch (error) {
+      console.error('Error in generateBanners:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // The theme a photo was generated on; photos without one (AI providers, uploads)
+  // get a gradient from their palette or their dominant colour
+  async bannerThemeFor(photo) {
+    const theme = photo?.theme ? await this.themes.get(photo.theme) : null;
+    if (theme) return theme;
+    const gradient = (colors) => ({ id: null, name: 'Photo colours', type: 'linear', colors, angle: 20, noise: 0.04 });
+    if (photo?.palette?.length) return gradient(photo.palette.slice(0, 5));
+    if (photo?.filepath) {
+      const { dominant } = await sharp(photo.filepath).stats();
+      const hex = (scale) => `#${[dominant.r, dominant.g, dominant.b].map(v => Math.round(v * scale).toString(16).padStart(2, '0')).join('')}`;
+      return gradient([hex(1), hex(0.6)]);
+    }
+    return (await this.themes.list())[0];
+  }
+
+  // Variant 0 is the theme itself; later ones add a faint pattern at a turned angle
+  themeVariant(theme, variant) {
+    if (variant === 0 || theme.type === 'photo') return theme;
+    return {
+      ...theme,
+      type: 'pattern',
+      pattern: BANNER_PATTERNS[(variant - 1) % BANNER_PATTERNS.length],
+      patternColor: '#FFFFFF',
+      patternOpacity: 0.08,
+      angle: (theme.angle ?? 45) + variant * 25
+    };
+  }
+
+  // The scores kept in an image's catalog record
+  scoresOf({ sharpness, exposure, contrast, coverage, faceSimilarity }) {
+    return { sharpness, exposure, contrast, coverage, faceSimilarity };
+  }
+
+  // Keeps the clean image in originals/ so the overlays can be changed later
+  async keepOriginal(filename, buffer) {
+    await fs.mkdir(this.originalsPath, { recursive: true });
+    await fs.writeFile(path.join(this.originalsPath, filename), buffer);
+  }
+
+  // Deletes one image, its pre-overlay original, its upload variants and its catalog record
+  async deleteImage(id) {
+    const image = await this.catalog.get(id);
+    if (!image) return null;
+    await fs.unlink(image.filepath).catch(() => {});
+    await fs.unlink(path.join(this.originalsPath, image.filename)).catch(() => {});
+    await this.removeUploadVariants(image.filename);
+    await this.catalog.remove(id);
+    return image;
+  }
+
+  // The file to upload to LinkedIn for an image: { filepath, filename, mime } or null.
+  // Exported on first use and reused until the image or the export settings change
+  async uploadVariant(id) {
+    const image = await this.catalog.get(id);
+    if (!image) return null;
+    const { extension, mime } = this.exporter.describe();
+    const stem = path.parse(image.filename).name;
+    const filepath = path.join(this.uploadsPath, `${stem}.${this.uploadKey(image)}.${extension}`);
+    const exists = await fs.access(filepath).then(() => true, () => false);
+    if (!exists) {
+      const variant = await this.exporter.publish(await fs.readFile(image.filepath), image.kind);
+      await this.removeUploadVariants(image.filename);
+      await fs.mkdir(this.uploadsPath, { recursive: true });
+      await fs.writeFile(filepath, variant.buffer);
+    }
+    return { id, filepath, filename: `${stem}.${extension}`, mime };
+  }
+
+  // Identifies an image's upload variant: it changes with the image and with the export settings
+  uploadKey(image) {
+    return crypto.createHash('sha256').update(`${image.hash}:${this.exporter.signature}`).digest('hex').slice(0, 12);
+  }
+
+  async removeUploadVariants(filename) {
+    const prefix = `${path.parse(filename).name}.`;
+    const files = await fs.readdir(this.uploadsPath).catch(() => []);
+    for (const file of files.filter(f => f.startsWith(prefix))) {
+      await fs.unlink(path.join(this.uploadsPath, file)).catch(() => {});
+    }
+  }
+
+  // Re-render a catalogued image with different overlays ([] removes them)
+  async applyOverlays(id, overlays) {
+    const image = await this.catalog.get(id);
+    if (!image) return null;
+    const normalized = await this.overlays.normalize(overlays);
+
+    const originalPath = path.join(this.originalsPath, image.filename);
+    let original = await fs.readFile(originalPath).catch(() => null);
+    if (!original) {
+      if (image.overlays?.length) throw new Error('The original of this image is missing; it cannot be re-rendered');
+      original = await fs.readFile(image.filepath);
+    }
+
+    if (normalized.length) {
+      await fs.mkdir(this.originalsPath, { recursive: true });
+      await fs.writeFile(originalPath, original);
+      await fs.writeFile(image.filepath, await this.overlays.apply(original, normalized));
+    } else {
+      await fs.writeFile(image.filepath, original);
+      await fs.unlink(originalPath).catch(() => {});
+    }
+    const { hash, width, height, phash } = await this.catalog.inspect(image.filepath);
+    return this.catalog.update(id, { overlays: normalized, hash, width, height, phash });
+  }
+
+  // The base photo as generation sees it: cropped to `crop` (or to a detected head-and-shoulders
+  // square) and scaled to the cropper's output size. Returns { buffer, crop, unscaled }, unscaled
+  // being the crop at no more than its own resolution, for analysis that enlarging would mislead
+  async prepareBasePhoto(buffer, crop = null) {
+    if (!this.cropper.enabled) return { buffer, crop: null, unscaled: buffer };
+    const framed = crop || this.cropper.frame(await this.cropper.detect(buffer));
+    const scaled = await this.cropper.apply(buffer, framed);
+    const unscaled = framed.size < this.cropper.options.outputSize ? await this.cropper.apply(buffer, framed, framed.size) : scaled;
+    return { buffer: scaled, crop: framed, unscaled };
+  }
+
+  // mattingOptions override the built-in matting defaults (see subject-matting.js)
+  async extractSubject(basePhotoBuffer, mattingOptions = {}) {
+    // rembg is an optional enhancement when installed
     if (this.useRembg) {
       try {
         const tmpDir = path.join(__dirname, 'temp');
@@ -122,65 +397,12 @@ class ImageGenerator {
         fs.unlink(outPath).catch(() => {});
         return out;
       } catch (e) {
-        console.warn('rembg failed or not available, falling back to white-threshold method:', e.message);
+        console.warn('rembg failed or not available, falling back to built-in matting:', e.message);
       }
     }
-    // Fallback: treat near-white background as transparent
-    // Build alpha mask = invert(threshold(grayscale(image)))
-    const alpha = await sharp(basePhotoBuffer)
-      .greyscale()
-      .threshold(245) // pixels >=245 (near white) -> 255 (white)
-      .negate()       // background -> black (0), subject -> white (255)
-      .toColourspace('b-w')
-      .toBuffer();
-
-    // Ensure RGB base and add alpha channel
-    const { width, height } = await sharp(basePhotoBuffer).metadata();
-    const rgb = await sharp(basePhotoBuffer).removeAlpha().toBuffer();
-    const withAlpha = await sharp(rgb)
-      .joinChannel(alpha)
-      .png()
-      .toBuffer();
-
-    // Slight feather on edges to soften cutout
-    const feathered = await sharp(withAlpha).blur(0.3).toBuffer();
-    return feathered;
-  }
-
-  async createBackgroundSVG(i, width, height) {
-    const palettes = [
-      ['#0E5E9C', '#0B4170'], // deep blue gradient
-      ['#0077B5', '#004E75'], // LinkedIn blues
-      ['#1F2937', '#111827'], // neutral dark
-      ['#4B5563', '#1F2937'], // gray
-      ['#2563EB', '#1D4ED8'], // blue
-      ['#64748B', '#334155'], // slate
-      ['#10B981', '#047857'], // teal/green
-      ['#6D28D9', '#4C1D95'], // purple
-      ['#F59E0B', '#D97706'], // amber
-      ['#0EA5E9', '#0369A1']  // cyan
-    ];
-    const [c1, c2] = palettes[i % palettes.length];
-    const svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
-  <defs>
-    <linearGradient id="g" x1="0" y1="0" x2="1" y2="1">
-      <stop offset="0%" stop-color="${c1}"/>
-      <stop offset="100%" stop-color="${c2}"/>
-    </linearGradient>
-    <filter id="grain">
-      <feTurbulence type="fractalNoise" baseFrequency="0.9" numOctaves="1" stitchTiles="stitch"/>
-      <feColorMatrix type="saturate" values="0"/>
-      <feComponentTransfer>
-        <feFuncA type="table" tableValues="0 0.05"/>
-      </feComponentTransfer>
-      <feBlend mode="multiply"/>
-    </filter>
-  </defs>
-  <rect width="100%" height="100%" fill="url(#g)"/>
-  <rect width="100%" height="100%" fill="#000" opacity="0.06" filter="url(#grain)"/>
-</svg>`;
-    return await sharp(Buffer.from(svg)).png().toBuffer();
+    // Built-in matting: border flood-fill background model, hole filling,
+    // morphological cleanup and edge feathering (tunable via MATTE_* env vars)
+    return new SubjectMatting({ ...optionsFromEnv(), ...mattingOptions }).extract(basePhotoBuffer);
   }
 
   async execCmd(cmd, args, timeoutMs = 30000) {
@@ -192,24 +414,6 @@ class ImageGenerator {
     });
   }
 
-  async generateSingleImage(basePhotoBase64, prompt) {
-    try {
-      const response = await axios.post(
-        `${this.baseUrl}/images/variations`,
-        { image: `data:image/png;base64,${basePhotoBase64}`, n: 1, size: '1024x1024', response_format: 'b64_json' },
-        { headers: { 'Authorization': `Bearer ${this.apiKey}`, 'Content-Type': 'application/json' } }
-      );
-      if (response.data.data && response.data.data[0]) {
-        return Buffer.from(response.data.data[0].b64_json, 'base64');
-      } else {
-        throw new Error('No image data received from API');
-      }
-    } catch (error) {
-      if (error.response) throw new Error(`API Error: ${error.response.status} - ${error.response.data.error?.message || 'Unknown error'}`);
-      throw new Error(`Network Error: ${error.message}`);
-    }
-  }
-
   generateVariationPrompts() {
     return [
       "Professional headshot with a modern office background",
@@ -244,32 +448,19 @@ class ImageGenerator {
     }
   }
 
+  // Append one catalog record per image; earlier batches keep their records
   async saveMetadata(images) {
-    const metadata = {
-      generatedAt: new Date().toISOString(),
-      count: images.length,
-      images: images.map(img => ({
-        filename: img.filename,
-        prompt: img.prompt,
-        generatedAt: img.generatedAt
-      }))
-    };
-
-    const metadataPath = path.join(this.storagePath, 'metadata.json');
-    await fs.writeFile(metadataPath, JSON.stringify(metadata, null, 2));
+    const records = [];
+    for (const img of images) {
+      records.push(await this.catalog.add(img));
+    }
+    return records;
   }
 
-  async getStoredImages() {
+  async getStoredImages(query = {}) {
     try {
-      const files = await fs.readdir(this.storagePath);
-      const imageFiles = files.filter(file => 
-        file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg')
-      );
-      
-      return imageFiles.map(filename => ({
-        filename,
-        filepath: path.join(this.storagePath, filename)
-      }));
+      const { images } = await this.catalog.query(query);
+      return images;
     } catch (error) {
       console.error('Error reading stored images:', error);
       return [];
@@ -280,12 +471,15 @@ class ImageGenerator {
     try {
       const files = await fs.readdir(this.storagePath);
       const imageFiles = files.filter(file => 
-        file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg')
+        file.endsWith('.png') || file.endsWith('.jpg') || file.endsWith('.jpeg') || file.endsWith('.webp')
       );
       
       for (const file of imageFiles) {
         await fs.unlink(path.join(this.storagePath, file));
       }
+      await fs.rm(this.originalsPath, { recursive: true, force: true });
+      await fs.rm(this.uploadsPath, { recursive: true, force: true });
+      await this.catalog.clear();
       
       console.log(`Cleared ${imageFiles.length} stored images`);
       return { success: true, count: imageFiles.length };
@@ -304,16 +498,27 @@ class RateLimiter {
     this.requests = [];
   }
 
-  async wait() {
+  // Resolves once a request slot is free; rejects early if the signal aborts
+  async wait(signal) {
     const now = Date.now();
     this.requests = this.requests.filter(time => now - time < this.timeWindow);
     if (this.requests.length >= this.maxRequests) {
       const oldestRequest = Math.min(...this.requests);
       const waitTime = this.timeWindow - (now - oldestRequest) + 1000;
       console.log(`Rate limit reached. Waiting ${Math.ceil(waitTime / 1000)} seconds...`);
-      await new Promise(resolve => setTimeout(resolve, waitTime));
+      await new Promise((resolve, reject) => {
+        const timer = setTimeout(() => {
+          signal?.removeEventListener('abort', onAbort);
+          resolve();
+        }, waitTime);
+        const onAbort = () => {
+          clearTimeout(timer);
+          reject(new Error('Cancelled'));
+        };
+        signal?.addEventListener('abort', onAbort, { once: true });
+      });
     }
-    this.requests.push(now);
+    this.requests.push(Date.now());
   }
 }
 
@@ -333,7 +538,7 @@ async function main() {
     if (result.success) {
       console.log(`\n✅ Successfully generated ${result.count} images`);
       console.log(`📁 Images saved to: ${generator.storagePath}`);
-      console.log(`📋 Metadata saved to: ${path.join(generator.storagePath, 'metadata.json')}`);
+      console.log(`📋 Metadata saved to: ${generator.catalog.catalogPath}`);
     } else {
       console.error(`❌ Error: ${result.error}`);
       process.exit(1);
@@ -344,7 +549,7 @@ async function main() {
   }
 }
 
-module.exports = { ImageGenerator, RateLimiter };
+module.exports = { ImageGenerator, RateLimiter, BANNER_WIDTH, BANNER_HEIGHT };
 
 if (require.main === module) {
   main();
@@ -0,0 +1,147 @@
+// Background generation jobs with progress events (CommonJS)
+const { EventEmitter } = require('events');
+const crypto = require('crypto');
+
+const FINISHED_STATES = ['completed', 'failed', 'cancelled'];
+
+class JobManager extends EventEmitter {
+  constructor({ maxFinishedJobs = 50 } = {}) {
+    super();
+    this.jobs = new Map();
+    this.controllers = new Map();
+    this.finishHooks = new Map();
+    this.queue = [];
+    this.running = false;
+    this.maxFinishedJobs = maxFinishedJobs;
+  }
+
+  // runner({ signal, progress }) does the work; progress(index, patch) updates one image slot.
+  // onFinish() runs once the job ends, however it ends (also when cancelled before it started)
+  create({ type, total, params = {}, onFinish }, runner) {
+    const job = {
+      id: `job_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+      type,
+      status: 'queued',
+      params,
+      total,
+      completed: 0,
+      failed: 0,
+      images: Array.from({ length: total }, (_, index) => ({ index, status: 'pending' })),
+      createdAt: new Date().toISOString(),
+      startedAt: null,
+      finishedAt: null,
+      error: null
+    };
+    this.jobs.set(job.id, job);
+    this.controllers.set(job.id, new AbortController());
+    if (onFinish) this.finishHooks.set(job.id, onFinish);
+    this.queue.push({ job, runner });
+    this.emitUpdate(job);
+    this.drain();
+    return job;
+  }
+
+  get(id) {
+    return this.jobs.get(id) || null;
+  }
+
+  list() {
+    return Array.from(this.jobs.values()).sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  isFinished(job) {
+    return FINISHED_STATES.includes(job.status);
+  }
+
+  cancel(id) {
+    const job = this.jobs.get(id);
+    if (!job || this.isFinished(job)) return job || null;
+
+    this.controllers.get(id)?.abort();
+    if (job.status === 'queued') {
+      this.queue = this.queue.filter(entry => entry.job.id !== id);
+      this.finish(job, 'cancelled');
+    }
+    return job;
+  }
+
+  async drain() {
+    if (this.running) return;
+    this.running = true;
+    try {
+      while (this.queue.length) {
+        const { job, runner } = this.queue.shift();
+        await this.execute(job, runner);
+      }
+    } finally {
+      this.running = false;
+    }
+  }
+
+  async execute(job, runner) {
+    const signal = this.controllers.get(job.id).signal;
+    job.status = 'running';
+    job.startedAt = new Date().toISOString();
+    this.emitUpdate(job);
+
+    const progress = (index, patch) => {
+      const slot = job.images[index];
+      if (!slot) return;
+      Object.assign(slot, patch);
+      job.completed = job.images.filter(i => i.status === 'done').length;
+      job.failed = job.images.filter(i => i.status === 'failed').length;
+      this.emitUpdate(job);
+    };
+
+    try {
+      const result = await runner({ signal, progress });
+      if (signal.aborted) {
+        await this.finish(job, 'cancelled');
+      } else if (result && result.success === false) {
+        job.error = result.error || 'Generation failed';
+        await this.finish(job, 'failed');
+      } else {
+        await this.finish(job, 'completed');
+      }
+    } catch (error) {
+      console.error(`Job ${job.id} failed:`, error);
+      job.error = error.message;
+      await this.finish(job, signal.aborted ? 'cancelled' : 'failed');
+    }
+  }
+
+  // The final update is emitted once the finish hook is done
+  async finish(job, status) {
+    job.status = status;
+    job.finishedAt = new Date().toISOString();
+    for (const slot of job.images) {
+      if (slot.status === 'pending' || slot.status === 'generating') slot.status = 'skipped';
+    }
+    this.controllers.delete(job.id);
+    const onFinish = this.finishHooks.get(job.id);
+    this.finishHooks.delete(job.id);
+    if (onFinish) {
+      try {
+        await onFinish();
+      } catch (error) {
+        console.error(`Finishing job ${job.id} failed:`, error);
+      }
+    }
+    this.emitUpdate(job);
+    this.prune();
+  }
+
+  prune() {
+    const finished = this.list().filter(j => this.isFinished(j));
+    for (const job of finished.slice(this.maxFinishedJobs)) {
+      this.jobs.delete(job.id);
+    }
+  }
+
+  emitUpdate(job) {
+    this.emit('update', job);
+    this.emit(`update:${job.id}`, job);
+  }
+}
+
+module.exports = { JobManager };
@@ -0,0 +1,224 @@
+// Frame and badge overlays drawn on top of a finished image (CommonJS)
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const OVERLAY_TYPES = ['ring', 'badge'];
+const BADGE_POSITIONS = ['bottom-right', 'bottom-left', 'top-right', 'top-left'];
+const TEXT_POSITIONS = ['bottom', 'top'];
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// Named colour schemes; explicit colours on an overlay win over its scheme
+const COLOR_THEMES = {
+  linkedin: { color: '#0A66C2', textColor: '#FFFFFF' },
+  opentowork: { color: '#057642', textColor: '#FFFFFF' },
+  hiring: { color: '#7A3E9D', textColor: '#FFFFFF' },
+  gold: { color: '#C9A227', textColor: '#1F2937' },
+  dark: { color: '#111827', textColor: '#F9FAFB' },
+  light: { color: '#FFFFFF', textColor: '#111827' }
+};
+
+// Helvetica Bold advance widths (1/1000 em) for laying text out glyph by glyph;
+// librsvg ignores <textPath>, so arc text is placed one rotated glyph at a time
+const GLYPH_WIDTHS = {
+  ' ': 278, '!': 333, '#': 556, '&': 722, "'": 238, ',': 278, '-': 333, '.': 278, '/': 278, ':': 333, '@': 975,
+  A: 722, B: 722, C: 722, D: 722, E: 667, F: 611, G: 778, H: 722, I: 278, J: 556, K: 722, L: 611, M: 833,
+  N: 722, O: 778, P: 667, Q: 778, R: 722, S: 667, T: 611, U: 722, V: 667, W: 944, X: 667, Y: 667, Z: 611,
+  f: 333, i: 278, j: 278, l: 278, m: 889, r: 389, t: 333, w: 778
+};
+const DEFAULT_GLYPH_WIDTH = 556;
+
+// Uploaded badge logos live in `dir`; overlay definitions travel with each
+// batch and are stored on every catalog record they were applied to
+class OverlayRenderer {
+  constructor(dir) {
+    this.dir = dir;
+  }
+
+  async listLogos() {
+    return (await fs.readdir(this.dir).catch(() => []))
+      .filter(f => path.extname(f).toLowerCase() === '.png')
+      .sort();
+  }
+
+  async addLogo(buffer) {
+    const { format } = await sharp(buffer).metadata().catch(() => ({}));
+    if (format !== 'png') throw new Error('Badge logos must be PNG files');
+    await fs.mkdir(this.dir, { recursive: true }).catch(() => {});
+    const filename = `logo_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}.png`;
+    await fs.writeFile(path.join(this.dir, filename), buffer);
+    return filename;
+  }
+
+  async removeLogo(filename) {
+    if (!(await this.listLogos()).includes(filename)) return false;
+    await fs.unlink(path.join(this.dir, filename));
+    return true;
+  }
+
+  logoPath(filename) {
+    return path.join(this.dir, path.basename(filename));
+  }
+
+  // Validates a list of overlay definitions and fills in scheme colours and defaults
+  async normalize(overlays) {
+    if (overlays === undefined || overlays === null) return [];
+    if (!Array.isArray(overlays)) throw new Error('overlays must be an array');
+    const logos = await this.listLogos();
+
+    return overlays.map((overlay, i) => {
+      const where = `overlays[${i}]`;
+      if (!overlay || !OVERLAY_TYPES.includes(overlay.type)) throw new Error(`${where}.type must be one of ${OVERLAY_TYPES.join(', ')}`);
+      if (overlay.colorTheme != null && !COLOR_THEMES[overlay.colorTheme]) {
+        throw new Error(`${where}.colorTheme must be one of ${Object.keys(COLOR_THEMES).join(', ')}`);
+      }
+      const scheme = COLOR_THEMES[overlay.colorTheme || 'linkedin'];
+      const color = (key, fallback) => {
+        const value = overlay[key] ?? fallback;
+        if (value !== null && !HEX_COLOR.test(value)) throw new Error(`${where}.${key} must be a hex colour`);
+        return value;
+      };
+      const number = (key, fallback, min, max) => {
+        const value = overlay[key] ?? fallback;
+        if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+          throw new Error(`${where}.${key} must be a number between ${min} and ${max}`);
+        }
+        return value;
+      };
+
+      if (overlay.type === 'ring') {
+        const text = String(overlay.text ?? '').trim();
+        if (text.length > 40) throw new Error(`${where}.text must be at most 40 characters`);
+        const textPosition = overlay.textPosition ?? 'bottom';
+        if (!TEXT_POSITIONS.includes(textPosition)) throw new Error(`${where}.textPosition must be one of ${TEXT_POSITIONS.join(', ')}`);
+        return {
+          type: 'ring',
+          colorTheme: overlay.colorTheme || null,
+          color: color('color', scheme.color),
+          textColor: color('textColor', scheme.textColor),
+          width: number('width', 0.07, 0.01, 0.25),   // ring thickness as a fraction of the image size
+          arc: number('arc', 360, 30, 360),           // degrees of the circle covered, centred on the text side
+          text,
+          textPosition
+        };
+      }
+
+      if (!logos.includes(overlay.logo)) throw new Error(`${where}.logo must be an uploaded logo`);
+      const position = overlay.position ?? 'bottom-right';
+      if (!BADGE_POSITIONS.includes(position)) throw new Error(`${where}.position must be one of ${BADGE_POSITIONS.join(', ')}`);
+      return {
+        type: 'badge',
+        colorTheme: overlay.colorTheme || null,
+        logo: overlay.logo,
+        position,
+        size: number('size', 0.22, 0.05, 0.5),        // badge diameter as a fraction of the image size
+        background: color('background', overlay.colorTheme ? scheme.color : '#FFFFFF')
+      };
+    });
+  }
+
+  // Draws normalised overlays in order; the result is square like LinkedIn's crop
+  async apply(buffer, overlays) {
+    if (!overlays.length) return buffer;
+    const { width, height } = await sharp(buffer).metadata();
+    const size = Math.min(width, height);
+    let image = await sharp(buffer).resize(size, size, { fit: 'cover' }).png().toBuffer();
+
+    for (const overlay of overlays) {
+      const layers = overlay.type === 'ring'
+        ? [{ input: Buffer.from(this.ringSvg(overlay, size)) }]
+        : await this.badgeLayers(overlay, size);
+      image = await sharp(image).composite(layers).png().toBuffer();
+    }
+    return image;
+  }
+
+  // The ring hugs the edge of the circle LinkedIn shows, so nothing is cropped
+  ringSvg(overlay, size) {
+    const c = size / 2;
+    const thickness = overlay.width * size;
+    const radius = c - 1 - thickness / 2;
+    const centre = overlay.textPosition === 'top' ? 270 : 90; // SVG degrees, clockwise from +x
+
+    let ring;
+    if (overlay.arc >= 360) {
+      ring = `<circle cx="${c}" cy="${c}" r="${radius}" fill="none" stroke="${overlay.color}" stroke-width="${thickness}"/>`;
+    } else {
+      const from = this.polar(c, radius, centre - overlay.arc / 2);
+      const to = this.polar(c, radius, centre + overlay.arc / 2);
+      const large = overlay.arc > 180 ? 1 : 0;
+      ring = `<path d="M ${from.x} ${from.y} A ${radius} ${radius} 0 ${large} 1 ${to.x} ${to.y}" ` +
+        `fill="none" stroke="${overlay.color}" stroke-width="${thickness}" stroke-linecap="round"/>`;
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}">
+  ${ring}
+  ${overlay.text ? this.arcText(overlay, c, radius, thickness, centre) : ''}
+</svg>`;
+  }
+
+  // Glyphs are centred on the ring and read left to right, upright at the bottom or top
+  arcText(overlay, c, radius, thickness, centre) {
+    const fontSize = thickness * 0.62;
+    const bottom = overlay.textPosition !== 'top';
+    const glyphs = Array.from(overlay.text);
+    const advances = glyphs.map(g => ((GLYPH_WIDTHS[g] ?? DEFAULT_GLYPH_WIDTH) / 1000) * fontSize * 1.15);
+    const total = advances.reduce((sum, a) => sum + a, 0);
+    // Never let the text run past the painted arc
+    const maxSpan = Math.min(overlay.arc, 340) * (Math.PI / 180) * radius;
+    const scale = total > maxSpan ? maxSpan / total : 1;
+    const baseline = radius + (bottom ? 1 : -1) * fontSize * scale * 0.35;
+
+    let along = -total * scale / 2;
+    const parts = glyphs.map((glyph, i) => {
+      const mid = along + (advances[i] * scale) / 2;
+      along += advances[i] * scale;
+      const angle = centre + (bottom ? -1 : 1) * (mid / radius) * (180 / Math.PI);
+      const { x, y } = this.polar(c, baseline, angle);
+      const rotate = bottom ? angle - 90 : angle + 90;
+      return `<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" transform="rotate(${rotate.toFixed(2)} ${x.toFixed(2)} ${y.toFixed(2)})" ` +
+        `text-anchor="middle">${this.escape(glyph)}</text>`;
+    });
+    return `<g font-family="Helvetica, Arial, sans-serif" font-weight="bold" font-size="${(fontSize * scale).toFixed(2)}" ` +
+      `fill="${overlay.textColor}">${parts.join('')}</g>`;
+  }
+
+  // Badges sit on the diagonal just inside the visible circle
+  async badgeLayers(overlay, size) {
+    const diameter = Math.round(overlay.size * size);
+    const c = size / 2;
+    const offset = (c - 2 - diameter / 2) * Math.SQRT1_2;
+    const dx = overlay.position.endsWith('right') ? 1 : -1;
+    const dy = overlay.position.startsWith('bottom') ? 1 : -1;
+    const left = Math.round(c + dx * offset - diameter / 2);
+    const top = Math.round(c + dy * offset - diameter / 2);
+
+    const layers = [];
+    if (overlay.background) {
+      const r = diameter / 2;
+      const plate = `<svg xmlns="http://www.w3.org/2000/svg" width="${diameter}" height="${diameter}">` +
+        `<circle cx="${r}" cy="${r}" r="${r - 0.5}" fill="${overlay.background}"/></svg>`;
+      layers.push({ input: Buffer.from(plate), left, top });
+    }
+    const inner = Math.round(diameter * (overlay.background ? 0.7 : 1));
+    const logo = await sharp(this.logoPath(overlay.logo))
+      .resize(inner, inner, { fit: 'contain', background: { r: 0, g: 0, b: 0, alpha: 0 } })
+      .png()
+      .toBuffer();
+    const pad = Math.round((diameter - inner) / 2);
+    layers.push({ input: logo, left: left + pad, top: top + pad });
+    return layers;
+  }
+
+  polar(c, radius, degrees) {
+    const rad = (degrees * Math.PI) / 180;
+    return { x: Number((c + radius * Math.cos(rad)).toFixed(2)), y: Number((c + radius * Math.sin(rad)).toFixed(2)) };
+  }
+
+  escape(text) {
+    return text.replace(/[&<>"']/g, ch => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&apos;' }[ch]));
+  }
+}
+
+module.exports = { OverlayRenderer, COLOR_THEMES, BADGE_POSITIONS, OVERLAY_TYPES };
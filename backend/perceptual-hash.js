@@ -0,0 +1,92 @@
+// Perceptual hashes for spotting near-duplicate images with sharp (CommonJS)
+const sharp = require('sharp');
+const { numberReader } = require('./env-options.js');
+
+// aHash and dHash only see brightness structure, and every photo of one base photo shares
+// its silhouette. The mean colour tells two backdrops of the same shape apart
+const DEFAULT_DUPLICATE_THRESHOLDS = {
+  maxHashDistance: 6,    // max differing bits (of 64) in both aHash and dHash
+  maxColorDistance: 24   // max RGB distance between the mean colours
+};
+
+// { a, d, color }: 16-digit hex aHash and dHash plus the mean colour as #RRGGBB
+async function perceptualHash(buffer) {
+  // Decode once into a small thumbnail; every hash is taken from it
+  const { data: thumb, info } = await sharp(buffer)
+    .flatten({ background: '#ffffff' })
+    .resize(64, 64, { fit: 'fill' })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const grey = (width, height) => sharp(thumb, { raw: info })
+    .greyscale()
+    .resize(width, height, { fit: 'fill' })
+    .raw()
+    .toBuffer();
+
+  // aHash: each of 8x8 pixels brighter than their mean
+  const small = await grey(8, 8);
+  const mean = small.reduce((sum, v) => sum + v, 0) / small.length;
+  const a = toHex(Array.from(small, v => v > mean));
+
+  // dHash: each pixel brighter than its right-hand neighbour, 9x8 -> 64 bits
+  const wide = await grey(9, 8);
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) bits.push(wide[y * 9 + x] > wide[y * 9 + x + 1]);
+  }
+  const d = toHex(bits);
+
+  const total = [0, 0, 0];
+  for (let i = 0; i < thumb.length; i += 3) for (let k = 0; k < 3; k++) total[k] += thumb[i + k];
+  const color = `#${total.map(v => Math.round(v / (thumb.length / 3)).toString(16).padStart(2, '0')).join('').toUpperCase()}`;
+  return { a, d, color };
+}
+
+function toHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let x = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    for (; x; x >>= 1) distance += x & 1;
+  }
+  return distance;
+}
+
+function colorDistance(a, b) {
+  const rgb = (hex) => [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+  const [x, y] = [rgb(a), rgb(b)];
+  return Math.hypot(x[0] - y[0], x[1] - y[1], x[2] - y[2]);
+}
+
+// { hashDistance, colorDistance } between two perceptual hashes
+function compare(p, q) {
+  return {
+    hashDistance: Math.max(hammingDistance(p.a, q.a), hammingDistance(p.d, q.d)),
+    colorDistance: Math.round(colorDistance(p.color, q.color))
+  };
+}
+
+function isNearDuplicate(p, q, thresholds = DEFAULT_DUPLICATE_THRESHOLDS) {
+  const { hashDistance, colorDistance: distance } = compare(p, q);
+  return hashDistance <= thresholds.maxHashDistance && distance <= thresholds.maxColorDistance;
+}
+
+// DUPLICATE_MAX_HASH_DISTANCE / DUPLICATE_MAX_COLOR_DISTANCE; a value that is not a number keeps its default
+function thresholdsFromEnv(env = process.env) {
+  const read = numberReader(env);
+  return {
+    ...DEFAULT_DUPLICATE_THRESHOLDS,
+    ...read('DUPLICATE_MAX_HASH_DISTANCE', 'maxHashDistance'),
+    ...read('DUPLICATE_MAX_COLOR_DISTANCE', 'maxColorDistance')
+  };
+}
+
+module.exports = { perceptualHash, hammingDistance, compare, isNearDuplicate, thresholdsFromEnv, DEFAULT_DUPLICATE_THRESHOLDS };
@@ -0,0 +1,54 @@
+// Generic HTTP provider: POSTs the base photo as JSON to any compatible service.
+// The service may answer with raw image bytes, { image: <base64> } or
+// OpenAI-style { data: [{ b64_json }] }.
+const axios = require('axios');
+
+class HttpProvider {
+  constructor({ url, token, timeoutMs = 120000 }) {
+    this.url = url;
+    this.token = token;
+    this.timeoutMs = timeoutMs;
+    this.name = 'http';
+    this.rateLimited = true;
+  }
+
+  isConfigured() {
+    return !!this.url;
+  }
+
+  async generate({ index, prompt, width, height, context, signal }) {
+    if (!this.url) throw new Error('IMAGE_HTTP_PROVIDER_URL not configured');
+    try {
+      const response = await axios.post(
+        this.url,
+        { image: context.basePhotoBase64, prompt, index, width, height },
+        {
+          headers: {
+            'Content-Type': 'application/json',
+            ...(this.token ? { 'Authorization': `Bearer ${this.token}` } : {})
+          },
+          responseType: 'arraybuffer',
+          timeout: this.timeoutMs,
+          signal
+        }
+      );
+      return { buffer: this.parseImage(response), prompt };
+    } catch (error) {
+      if (error.response) throw new Error(`HTTP provider error: ${error.response.status}`);
+      throw new Error(`Network Error: ${error.message}`);
+    }
+  }
+
+  parseImage(response) {
+    const body = Buffer.from(response.data);
+    const type = String(response.headers['content-type'] || '');
+    if (type.startsWith('image/')) return body;
+
+    const json = JSON.parse(body.toString('utf8'));
+    const b64 = json.image || json.data?.[0]?.b64_json;
+    if (!b64) throw new Error('No image data received from HTTP provider');
+    return Buffer.from(b64.replace(/^data:image\/[a-z]+;base64,/, ''), 'base64');
+  }
+}
+
+module.exports = { HttpProvider };
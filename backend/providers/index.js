@@ -0,0 +1,24 @@
+// Provider registry for ImageGenerator (CommonJS)
+const { LocalProvider } = require('./local.js');
+const { OpenAIProvider, OpenAIEditProvider } = require('./openai.js');
+const { HttpProvider } = require('./http.js');
+const { StubProvider } = require('./stub.js');
+
+// Every provider implements:
+//   name, rateLimited, isConfigured(),
+//   generate({ index, prompt, width, height, context, signal }) -> { buffer, prompt, palette?, theme?, layers? }
+// layers ({ background, subject }, the subject cutout centred on the background) let the
+// grading stage correct the subject apart from its backdrop.
+// `context` is shared by all images of one batch (basePhotoBuffer, basePhotoBase64, themes, caches).
+function createProviders(generator) {
+  const providers = [
+    new OpenAIProvider({ apiKey: generator.apiKey, baseUrl: generator.baseUrl }),
+    new OpenAIEditProvider({ generator, apiKey: generator.apiKey, baseUrl: generator.baseUrl }),
+    new LocalProvider(generator),
+    new HttpProvider({ url: process.env.IMAGE_HTTP_PROVIDER_URL, token: process.env.IMAGE_HTTP_PROVIDER_TOKEN }),
+    new StubProvider()
+  ];
+  return new Map(providers.map(p => [p.name, p]));
+}
+
+module.exports = { createProviders };
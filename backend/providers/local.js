@@ -0,0 +1,40 @@
+// Local provider: cut the subject out and composite it on a themed backdrop
+const sharp = require('sharp');
+
+class LocalProvider {
+  constructor(generator) {
+    this.generator = generator;
+    this.name = 'local';
+    this.rateLimited = false;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generate({ index, attempt = 0, width, height, context }) {
+    // The cutout only depends on the base photo, so compute it once per batch
+    if (!context.subjectPng) context.subjectPng = await this.generator.extractSubject(context.basePhotoBuffer, context.mattingOptions);
+    const themes = context.themes || await this.generator.themes.resolve();
+    // Repeats of a theme, and retries after the quality gate or a lookalike, keep the
+    // theme but get a variant and backdrop of their own
+    const theme = this.generator.themeVariant(themes[index % themes.length], Math.floor(index / themes.length) + attempt);
+    const background = await this.generator.themes.render(theme, width, height, { seed: index + attempt * 1000, subjectPng: context.subjectPng });
+    const buffer = await sharp(background)
+      .composite([{ input: context.subjectPng, gravity: 'center' }])
+      // Full-colour PNG: a quality setting would switch sharp to a 256-colour
+      // palette, which bands photo and bokeh backdrops
+      .png()
+      .toBuffer();
+    // The layers let the grading stage light the subject to match the backdrop
+    return {
+      buffer,
+      prompt: 'local-background',
+      palette: theme.colors || null,
+      theme: theme.id,
+      layers: { background, subject: context.subjectPng }
+    };
+  }
+}
+
+module.exports = { LocalProvider };
@@ -0,0 +1,124 @@
+// OpenAI providers: whole-photo variations, and background-only edits with a mask
+const axios = require('axios');
+const FormData = require('form-data');
+const sharp = require('sharp');
+
+const SIZE = 1024;
+
+// Both endpoints take multipart uploads of a square PNG
+async function toSquarePng(buffer) {
+  return sharp(buffer)
+    .rotate()
+    .resize(SIZE, SIZE, { fit: 'cover', position: 'centre' })
+    .ensureAlpha()
+    .png()
+    .toBuffer();
+}
+
+function toApiError(error) {
+  if (error.response) {
+    const message = error.response.data?.error?.message || 'Unknown error';
+    return new Error(`API Error: ${error.response.status} - ${message}`);
+  }
+  return new Error(`Network Error: ${error.message}`);
+}
+
+function readImage(response) {
+  const b64 = response.data?.data?.[0]?.b64_json;
+  if (!b64) throw new Error('No image data received from API');
+  return Buffer.from(b64, 'base64');
+}
+
+class OpenAIProvider {
+  constructor({ apiKey, baseUrl = 'https://api.openai.com/v1' }) {
+    this.apiKey = apiKey;
+    this.baseUrl = baseUrl;
+    this.name = 'openai';
+    this.rateLimited = true;
+  }
+
+  isConfigured() {
+    return !!this.apiKey;
+  }
+
+  async post(endpoint, form, signal) {
+    if (!this.apiKey) throw new Error('AI_API_KEY not configured');
+    try {
+      return await axios.post(`${this.baseUrl}${endpoint}`, form, {
+        headers: { ...form.getHeaders(), 'Authorization': `Bearer ${this.apiKey}` },
+        maxBodyLength: Infinity,
+        signal
+      });
+    } catch (error) {
+      throw toApiError(error);
+    }
+  }
+
+  async generate({ prompt, context, signal }) {
+    if (!context.squarePng) context.squarePng = await toSquarePng(context.basePhotoBuffer);
+
+    const form = new FormData();
+    form.append('image', context.squarePng, { filename: 'image.png', contentType: 'image/png' });
+    form.append('n', '1');
+    form.append('size', `${SIZE}x${SIZE}`);
+    form.append('response_format', 'b64_json');
+
+    const response = await this.post('/images/variations', form, signal);
+    return { buffer: readImage(response), prompt };
+  }
+}
+
+// Sends the photo plus a mask that is opaque over the subject and transparent
+// over the background, so the API only repaints the background. The original
+// cutout is composited back on top so the face stays pixel-identical.
+class OpenAIEditProvider extends OpenAIProvider {
+  constructor({ generator, preserveSubject = true, ...options }) {
+    super(options);
+    this.generator = generator;
+    this.preserveSubject = preserveSubject;
+    this.name = 'openai-edit';
+  }
+
+  async prepare(context) {
+    if (context.editInputs) return context.editInputs;
+
+    // Apply EXIF orientation first so the photo and its cutout line up
+    const upright = await sharp(context.basePhotoBuffer).rotate().toBuffer();
+    const image = await toSquarePng(upright);
+    const cutout = await toSquarePng(await this.generator.extractSubject(upright, context.mattingOptions));
+    const alpha = await sharp(cutout).extractChannel('alpha').toBuffer();
+    // Mask colour is irrelevant to the API; only its alpha channel is read
+    const mask = await sharp({ create: { width: SIZE, height: SIZE, channels: 3, background: '#000000' } })
+      .joinChannel(alpha)
+      .png()
+      .toBuffer();
+
+    context.editInputs = { image, mask, cutout };
+    return context.editInputs;
+  }
+
+  async generate({ prompt, context, signal }) {
+    const { image, mask, cutout } = await this.prepare(context);
+
+    const form = new FormData();
+    form.append('image', image, { filename: 'image.png', contentType: 'image/png' });
+    form.append('mask', mask, { filename: 'mask.png', contentType: 'image/png' });
+    form.append('prompt', `${prompt}. Keep the person exactly as they are; only replace the background.`);
+    form.append('n', '1');
+    form.append('size', `${SIZE}x${SIZE}`);
+    form.append('response_format', 'b64_json');
+
+    const response = await this.post('/images/edits', form, signal);
+    let buffer = readImage(response);
+    if (this.preserveSubject) {
+      buffer = await sharp(buffer)
+        .resize(SIZE, SIZE)
+        .composite([{ input: cutout }])
+        .png()
+        .toBuffer();
+    }
+    return { buffer, prompt };
+  }
+}
+
+module.exports = { OpenAIProvider, OpenAIEditProvider, toSquarePng };
@@ -0,0 +1,38 @@
+// Stub provider: deterministic images for offline runs and tests. The same
+// base photo and index always produce the same bytes; no network, no cutout.
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.rateLimited = false;
+    // Flat synthetic output would fail the quality gate, so it is not scored
+    this.scored = false;
+  }
+
+  isConfigured() {
+    return true;
+  }
+
+  async generate({ index, width, height, context }) {
+    const digest = crypto.createHash('sha256')
+      .update(context.basePhotoBuffer)
+      .update(String(index))
+      .digest();
+    const background = { r: digest[0], g: digest[1], b: digest[2] };
+    const size = Math.round(Math.min(width, height) * 0.6);
+    const portrait = await sharp(context.basePhotoBuffer)
+      .resize(size, size, { fit: 'cover' })
+      .png()
+      .toBuffer();
+    const buffer = await sharp({ create: { width, height, channels: 3, background } })
+      .composite([{ input: portrait, gravity: 'center' }])
+      .png()
+      .toBuffer();
+    const hex = `#${digest.subarray(0, 3).toString('hex').toUpperCase()}`;
+    return { buffer, prompt: `stub-${index + 1}`, palette: [hex, hex] };
+  }
+}
+
+module.exports = { StubProvider };
@@ -0,0 +1,182 @@
+// Quality gate for generated profile pictures: scores every image before it is kept (CommonJS)
+const sharp = require('sharp');
+const { numberReader } = require('./env-options.js');
+const { SubjectMatting } = require('./subject-matting.js');
+
+const DEFAULT_THRESHOLDS = {
+  sharpness: 40,          // min Laplacian variance inside the subject; lower is blurry
+  minExposure: 50,        // mean luminance (0-255) inside LinkedIn's circular crop
+  maxExposure: 215,
+  contrast: 20,           // min luminance standard deviation inside the circle
+  coverage: 0.15,         // min share of the circle covered by the subject
+  faceSimilarity: 0.6     // min colour similarity (0-1) of the face region to the base photo
+};
+const DEFAULT_RETRIES = 2;
+const SCORE_SIZE = 256;   // images are scored at this size
+// RGB distance at which two face colours count as entirely different
+const COLOR_DISTANCE_SCALE = 200;
+
+// Thresholds from the environment, e.g. QUALITY_MIN_SHARPNESS=35; QUALITY_GATE=off disables the gate.
+// A value that is not a number keeps its default rather than switching its check off
+function optionsFromEnv(env = process.env) {
+  const read = numberReader(env);
+  return {
+    enabled: !/^(0|false|off)$/i.test(env.QUALITY_GATE || ''),
+    ...read('QUALITY_RETRIES', 'retries'),
+    thresholds: {
+      ...read('QUALITY_MIN_SHARPNESS', 'sharpness'),
+      ...read('QUALITY_MIN_EXPOSURE', 'minExposure'),
+      ...read('QUALITY_MAX_EXPOSURE', 'maxExposure'),
+      ...read('QUALITY_MIN_CONTRAST', 'contrast'),
+      ...read('QUALITY_MIN_COVERAGE', 'coverage'),
+      ...read('QUALITY_MIN_FACE_SIMILARITY', 'faceSimilarity')
+    }
+  };
+}
+
+class QualityGate {
+  constructor({ enabled = true, retries = DEFAULT_RETRIES, thresholds = {} } = {}) {
+    this.enabled = enabled;
+    this.retries = Number.isFinite(retries) ? Math.max(0, Math.floor(retries)) : DEFAULT_RETRIES;
+    this.thresholds = { ...DEFAULT_THRESHOLDS, ...thresholds };
+  }
+
+  // What generated images are compared with; computed once per batch
+  async reference(basePhotoBuffer) {
+    const { rgb, mask, width, height } = await this.analyze(basePhotoBuffer);
+    return { faceColor: this.faceColor(rgb, mask, width, height) };
+  }
+
+  // Scores plus the verdict: { sharpness, exposure, contrast, coverage, faceSimilarity, passed, failures }
+  async evaluate(buffer, reference = null) {
+    const scores = await this.score(buffer, reference);
+    const failures = this.check(scores);
+    return { ...scores, passed: failures.length === 0, failures };
+  }
+
+  async score(buffer, reference = null) {
+    const { rgb, luma, mask, width, height } = await this.analyze(buffer);
+    const cx = (width - 1) / 2;
+    const cy = (height - 1) / 2;
+    const radius = Math.min(width, height) / 2;
+    let inside = 0;
+    let covered = 0;
+    let sum = 0;
+    let sumSq = 0;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        if ((x - cx) ** 2 + (y - cy) ** 2 > radius ** 2) continue;
+        const i = y * width + x;
+        inside++;
+        covered += mask[i];
+        sum += luma[i];
+        sumSq += luma[i] ** 2;
+      }
+    }
+    const exposure = sum / inside;
+    const faceColor = this.faceColor(rgb, mask, width, height);
+    const round = (value, digits = 2) => Number(value.toFixed(digits));
+    return {
+      sharpness: round(this.sharpness(luma, mask, width, height), 1),
+      exposure: round(exposure, 1),
+      contrast: round(Math.sqrt(Math.max(0, sumSq / inside - exposure ** 2)), 1),
+      coverage: round(covered / inside),
+      faceSimilarity: reference?.faceColor
+        ? round(Math.max(0, 1 - Math.hypot(...faceColor.map((c, k) => c - reference.faceColor[k])) / COLOR_DISTANCE_SCALE))
+        : null
+    };
+  }
+
+  // Human-readable reasons the scores fall short; empty when the image passes
+  check(scores) {
+    const t = this.thresholds;
+    const failures = [];
+    if (scores.sharpness < t.sharpness) failures.push(`blurry (sharpness ${scores.sharpness} < ${t.sharpness})`);
+    if (scores.exposure < t.minExposure) failures.push(`too dark (exposure ${scores.exposure} < ${t.minExposure})`);
+    if (scores.exposure > t.maxExposure) failures.push(`too bright (exposure ${scores.exposure} > ${t.maxExposure})`);
+    if (scores.contrast < t.contrast) failures.push(`flat (contrast ${scores.contrast} < ${t.contrast})`);
+    if (scores.coverage < t.coverage) failures.push(`subject too small (coverage ${scores.coverage} < ${t.coverage})`);
+    if (scores.faceSimilarity !== null && scores.faceSimilarity < t.faceSimilarity) {
+      failures.push(`face does not match the base photo (similarity ${scores.faceSimilarity} < ${t.faceSimilarity})`);
+    }
+    return failures;
+  }
+
+  // RGB and luminance at the scoring size, and the subject mask (1 = subject) from the built-in matting
+  async analyze(buffer) {
+    const small = await sharp(buffer)
+      .flatten({ background: '#ffffff' })
+      .resize(SCORE_SIZE, SCORE_SIZE, { fit: 'inside' })
+      .png()
+      .toBuffer();
+    const { data: rgb, info } = await sharp(small).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const cutout = await new SubjectMatting({ workingSize: SCORE_SIZE, feather: 0 }).extract(small);
+    const alpha = await sharp(cutout).extractChannel(3).raw().toBuffer();
+    const luma = new Float32Array(width * height);
+    const mask = new Uint8Array(width * height);
+    for (let i = 0; i < width * height; i++) {
+      luma[i] = 0.299 * rgb[i * 3] + 0.587 * rgb[i * 3 + 1] + 0.114 * rgb[i * 3 + 2];
+      mask[i] = alpha[i] >= 128 ? 1 : 0;
+    }
+    return { rgb, luma, mask, width, height };
+  }
+
+  // Variance of the 4-neighbour Laplacian over the subject's interior (the whole
+  // image without a subject), so a soft backdrop or the cutout edge do not count
+  sharpness(luma, mask, width, height) {
+    const hasSubject = mask.some(v => v);
+    let n = 0;
+    let sum = 0;
+    let sumSq = 0;
+    for (let y = 1; y < height - 1; y++) {
+      for (let x = 1; x < width - 1; x++) {
+        const i = y * width + x;
+        if (hasSubject && !(mask[i] && mask[i - 1] && mask[i + 1] && mask[i - width] && mask[i + width])) continue;
+        const laplacian = luma[i - 1] + luma[i + 1] + luma[i - width] + luma[i + width] - 4 * luma[i];
+        n++;
+        sum += laplacian;
+        sumSq += laplacian ** 2;
+      }
+    }
+    return n ? sumSq / n - (sum / n) ** 2 : 0;
+  }
+
+  // Mean colour of the face, approximated as the upper-middle of the subject: below
+  // the top of the head, in the middle half of each row. Without a subject, the centre
+  faceColor(rgb, mask, width, height) {
+    const rowCount = (y) => { let c = 0; for (let x = 0; x < width; x++) c += mask[y * width + x]; return c; };
+    let top = 0;
+    while (top < height && rowCount(top) < width * 0.02) top++;
+
+    const pixels = [];
+    if (top < height) {
+      const subjectHeight = height - top;
+      for (let y = top + Math.round(subjectHeight * 0.12); y <= top + Math.round(subjectHeight * 0.45) && y < height; y++) {
+        let left = -1;
+        let right = -1;
+        for (let x = 0; x < width; x++) {
+          if (!mask[y * width + x]) continue;
+          if (left < 0) left = x;
+          right = x;
+        }
+        if (left < 0) continue;
+        const quarter = (right - left) / 4;
+        for (let x = Math.round(left + quarter); x <= Math.round(right - quarter); x++) {
+          if (mask[y * width + x]) pixels.push(y * width + x);
+        }
+      }
+    }
+    if (!pixels.length) {
+      for (let y = Math.round(height * 0.25); y < Math.round(height * 0.6); y++) {
+        for (let x = Math.round(width * 0.3); x < Math.round(width * 0.7); x++) pixels.push(y * width + x);
+      }
+    }
+
+    const total = [0, 0, 0];
+    for (const i of pixels) for (let k = 0; k < 3; k++) total[k] += rgb[i * 3 + k];
+    return total.map(c => c / pixels.length);
+  }
+}
+
+module.exports = { QualityGate, DEFAULT_THRESHOLDS, optionsFromEnv };
@@ -0,0 +1,195 @@
+// Picks which catalogued image goes live next (CommonJS)
+const fs = require('fs').promises;
+
+const STRATEGIES = ['sequential', 'shuffle', 'random', 'weighted', 'lru'];
+const defaultState = () => ({
+  strategy: 'sequential',
+  favoriteWeight: 3,
+  cursor: null,     // { id, createdAt } of the last applied image (sequential)
+  bag: [],          // ids still to be shown in the current shuffle round
+  round: [],        // every id that belongs to the current shuffle round
+  pendingId: null   // upcoming image, stable until it is applied or leaves the pool
+});
+
+// State is keyed by image id, never by array position, so adding, hiding or
+// deleting images does not make the rotation jump. `random` is injectable so
+// the random strategies can be made deterministic in tests. An optional
+// campaign `scheduler` narrows the pool by date. `kind` picks the catalog's
+// photos or banners; each kind keeps its own state file.
+class RotationEngine {
+  constructor(catalog, { statePath, random = Math.random, scheduler = null, kind = 'photo' } = {}) {
+    this.catalog = catalog;
+    this.kind = kind;
+    this.statePath = statePath;
+    this.random = random;
+    this.scheduler = scheduler;
+    this.state = null;
+  }
+
+  async loadState() {
+    if (this.state) return this.state;
+    try {
+      this.state = { ...defaultState(), ...JSON.parse(await fs.readFile(this.statePath, 'utf8')) };
+    } catch {
+      this.state = defaultState();
+    }
+    return this.state;
+  }
+
+  async saveState() {
+    if (!this.statePath) return;
+    await fs.writeFile(this.statePath, JSON.stringify(this.state, null, 2));
+  }
+
+  async getSettings() {
+    const { strategy, favoriteWeight } = await this.loadState();
+    return { strategy, favoriteWeight, strategies: STRATEGIES };
+  }
+
+  async configure({ strategy, favoriteWeight } = {}) {
+    const state = await this.loadState();
+    if (strategy !== undefined) {
+      if (!STRATEGIES.includes(strategy)) throw new Error(`Unknown strategy "${strategy}". Use one of ${STRATEGIES.join(', ')}`);
+      if (strategy !== state.strategy) {
+        state.strategy = strategy;
+        state.bag = [];
+        state.round = [];
+        state.pendingId = null;
+      }
+    }
+    if (favoriteWeight !== undefined) {
+      const weight = Number(favoriteWeight);
+      if (!Number.isFinite(weight) || weight < 1) throw new Error('favoriteWeight must be a number >= 1');
+      state.favoriteWeight = weight;
+      if (state.strategy === 'weighted') state.pendingId = null;
+    }
+    await this.saveState();
+    return this.getSettings();
+  }
+
+  // Images eligible for rotation on `date` (YYYY-MM-DD), in a stable order
+  async pool(date) {
+    return (await this.selection(date)).images;
+  }
+
+  // { campaign, images }: the pool and the campaign that chose it (null when none did)
+  async selection(date) {
+    const { images } = await this.catalog.query({ kind: this.kind, excluded: false, sort: 'createdAt', order: 'asc' });
+    if (!this.scheduler || !date) return { campaign: null, images };
+    return this.scheduler.filterPool(images, date);
+  }
+
+  // The upcoming image. Repeated calls return the same image until markApplied(),
+  // unless a campaign starting or ending takes it out of the pool
+  async next(date) {
+    const state = await this.loadState();
+    const pool = await this.pool(date);
+    if (pool.length === 0) return null;
+
+    const pending = pool.find(img => img.id === state.pendingId);
+    if (pending) return pending;
+
+    const picked = this.pick(state, pool);
+    state.pendingId = picked.id;
+    await this.saveState();
+    return picked;
+  }
+
+  // What next(date) would return, without touching the saved state
+  async preview(date) {
+    const state = structuredClone(await this.loadState());
+    const pool = await this.pool(date);
+    if (pool.length === 0) return null;
+    return pool.find(img => img.id === state.pendingId) || this.pick(state, pool);
+  }
+
+  // Advance the rotation past an image that went live
+  async markApplied(image) {
+    const state = await this.loadState();
+    state.cursor = { id: image.id, createdAt: image.createdAt };
+    state.bag = state.bag.filter(id => id !== image.id);
+    if (state.pendingId === image.id) state.pendingId = null;
+    await this.saveState();
+  }
+
+  pick(state, pool) {
+    switch (state.strategy) {
+      case 'shuffle': return this.pickShuffle(state, pool);
+      case 'random': return this.pickRandom(state, pool);
+      case 'weighted': return this.pickWeighted(state, pool);
+      case 'lru': return this.pickLeastRecentlyUsed(pool);
+      default: return this.pickSequential(state, pool);
+    }
+  }
+
+  // First image after the cursor in creation order; survives the cursor image being deleted
+  pickSequential(state, pool) {
+    const cursor = state.cursor;
+    if (!cursor) return pool[0];
+    const index = pool.findIndex(img => img.createdAt > cursor.createdAt ||
+      (img.createdAt === cursor.createdAt && img.id > cursor.id));
+    return index === -1 ? pool[0] : pool[index];
+  }
+
+  // No repeats until every pool image was shown once; newcomers join the current round
+  pickShuffle(state, pool) {
+    const ids = pool.map(img => img.id);
+    state.bag = state.bag.filter(id => ids.includes(id));
+
+    if (state.bag.length === 0) {
+      state.bag = this.shuffle(ids);
+      state.round = ids;
+      // Avoid showing the same image twice in a row across rounds
+      if (state.bag.length > 1 && state.bag[0] === state.cursor?.id) state.bag.push(state.bag.shift());
+    } else {
+      for (const id of ids.filter(id => !state.round.includes(id))) {
+        state.bag.splice(Math.floor(this.random() * (state.bag.length + 1)), 0, id);
+        state.round.push(id);
+      }
+    }
+    return pool.find(img => img.id === state.bag[0]);
+  }
+
+  pickRandom(state, pool) {
+    const candidates = this.withoutLast(state, pool);
+    return candidates[Math.floor(this.random() * candidates.length)];
+  }
+
+  pickWeighted(state, pool) {
+    const candidates = this.withoutLast(state, pool);
+    const weightOf = img => (img.favorite ? state.favoriteWeight : 1);
+    const total = candidates.reduce((sum, img) => sum + weightOf(img), 0);
+    let roll = this.random() * total;
+    for (const img of candidates) {
+      roll -= weightOf(img);
+      if (roll < 0) return img;
+    }
+    return candidates[candidates.length - 1];
+  }
+
+  // Never-applied images first, then the one applied longest ago
+  pickLeastRecentlyUsed(pool) {
+    return pool.slice().sort((a, b) => {
+      const av = a.lastAppliedAt || '';
+      const bv = b.lastAppliedAt || '';
+      if (av !== bv) return av < bv ? -1 : 1;
+      return 0;
+    })[0];
+  }
+
+  withoutLast(state, pool) {
+    const rest = pool.filter(img => img.id !== state.cursor?.id);
+    return rest.length ? rest : pool;
+  }
+
+  shuffle(items) {
+    const out = items.slice();
+    for (let i = out.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [out[i], out[j]] = [out[j], out[i]];
+    }
+    return out;
+  }
+}
+
+module.exports = { RotationEngine, STRATEGIES };
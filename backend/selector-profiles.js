@@ -0,0 +1,168 @@
+// Team-editable selector profile for the LinkedIn automation, plus diagnostics captures (CommonJS)
+const fs = require('fs').promises;
+const path = require('path');
+
+const PROFILE_STEPS = [
+  'profilePhoto', 'editButton', 'fileInput', 'uploadProgress', 'saveButton', 'doneButton',
+  'bannerImage', 'editBannerButton', 'bannerUploadOption',
+  'cropTab', 'zoomSlider', 'straightenSlider', 'cropArea', 'filterTab', 'filterOption', 'visibilityButton', 'visibilityOption'
+];
+const STRATEGY_TYPES = ['css', 'aria', 'text', 'near'];
+const PHRASE_KEY = /^[A-Za-z][\w-]*$/;
+const LOCALE = /^[a-z]{2,3}$/;
+
+// The extension ships a built-in profile (extension/selector-profile.json). A
+// profile saved here overrides its steps and phrases one by one and is picked up
+// by the next update, so a LinkedIn layout change can be fixed without reloading
+// the extension.
+class SelectorProfiles {
+  constructor(storagePath) {
+    this.profilePath = path.join(storagePath, 'selector-profile.json');
+    this.diagnosticsPath = path.join(storagePath, 'diagnostics.jsonl');
+  }
+
+  // The saved profile, or null when the built-in one applies
+  async get() {
+    try {
+      return JSON.parse(await fs.readFile(this.profilePath, 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Replaces the profile; every save gets the next version number
+  async save(definition) {
+    const current = await this.get();
+    const profile = {
+      ...this.normalize(definition),
+      version: Math.max(current?.version || 0, definition?.version || 0) + 1,
+      updatedAt: new Date().toISOString()
+    };
+    await fs.mkdir(path.dirname(this.profilePath), { recursive: true }).catch(() => {});
+    await fs.writeFile(this.profilePath, JSON.stringify(profile, null, 2));
+    return profile;
+  }
+
+  async reset() {
+    try {
+      await fs.unlink(this.profilePath);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  normalize(definition) {
+    if (!definition || typeof definition !== 'object' || Array.isArray(definition)) throw new Error('A profile must be an object');
+    const { steps } = definition;
+    if (!steps || typeof steps !== 'object' || Array.isArray(steps)) throw new Error('steps must be an object');
+
+    const normalized = {};
+    for (const [step, strategies] of Object.entries(steps)) {
+      if (!PROFILE_STEPS.includes(step)) throw new Error(`Unknown step "${step}"; expected one of ${PROFILE_STEPS.join(', ')}`);
+      if (!Array.isArray(strategies) || !strategies.length) throw new Error(`steps.${step} must be a non-empty array`);
+      normalized[step] = strategies.map((strategy, i) => this.normalizeStrategy(strategy, `steps.${step}[${i}]`));
+    }
+    if (!Object.keys(normalized).length) throw new Error('A profile needs at least one step');
+
+    const profile = { name: String(definition.name || 'Custom').trim().slice(0, 60) || 'Custom', steps: normalized };
+    if (definition.phrases !== undefined) profile.phrases = this.normalizePhrases(definition.phrases);
+    return profile;
+  }
+
+  // Translation tables: { <phrase>: { <language>: ['lower-case text', ...] } }
+  normalizePhrases(phrases) {
+    if (!phrases || typeof phrases !== 'object' || Array.isArray(phrases)) throw new Error('phrases must be an object');
+    const normalized = {};
+    for (const [key, locales] of Object.entries(phrases)) {
+      if (!PHRASE_KEY.test(key)) throw new Error(`Invalid phrase name "${key}"`);
+      if (!locales || typeof locales !== 'object' || Array.isArray(locales)) throw new Error(`phrases.${key} must map languages to texts`);
+      normalized[key] = {};
+      for (const [locale, texts] of Object.entries(locales)) {
+        if (!LOCALE.test(locale)) throw new Error(`phrases.${key}: "${locale}" is not a language code like "de"`);
+        normalized[key][locale] = this.texts(texts, `phrases.${key}.${locale}`);
+      }
+    }
+    return normalized;
+  }
+
+  texts(value, where) {
+    if (!Array.isArray(value) || !value.length || value.some(t => typeof t !== 'string' || !t.trim())) {
+      throw new Error(`${where} must be a non-empty array of strings`);
+    }
+    return value.map(t => t.trim().toLowerCase());
+  }
+
+  normalizeStrategy(strategy, where) {
+    if (!strategy || !STRATEGY_TYPES.includes(strategy.type)) throw new Error(`${where}.type must be one of ${STRATEGY_TYPES.join(', ')}`);
+    const selector = (key, required) => {
+      const value = strategy[key];
+      if (value === undefined && !required) return undefined;
+      if (typeof value !== 'string' || !value.trim()) throw new Error(`${where}.${key} must be a CSS selector`);
+      return value.trim();
+    };
+    // Wording is explicit `texts`, a `phrase` from the translation tables, or both
+    const wording = (target) => {
+      if (strategy.texts === undefined && strategy.phrase === undefined) throw new Error(`${where} needs texts or a phrase`);
+      if (strategy.texts !== undefined) target.texts = this.texts(strategy.texts, `${where}.texts`);
+      if (strategy.phrase !== undefined) {
+        if (typeof strategy.phrase !== 'string' || !PHRASE_KEY.test(strategy.phrase)) throw new Error(`${where}.phrase must be a phrase name`);
+        target.phrase = strategy.phrase;
+      }
+    };
+    if (strategy.visible !== undefined && typeof strategy.visible !== 'boolean') throw new Error(`${where}.visible must be a boolean`);
+
+    const result = { type: strategy.type };
+    if (strategy.type === 'css') {
+      result.selector = selector('selector', true);
+    } else if (strategy.type === 'aria') {
+      if (strategy.role !== undefined && (typeof strategy.role !== 'string' || !/^[a-z]+$/.test(strategy.role))) {
+        throw new Error(`${where}.role must be an ARIA role like "button"`);
+      }
+      result.role = strategy.role;
+      wording(result);
+      result.selector = selector('selector', false);
+    } else if (strategy.type === 'text') {
+      wording(result);
+      result.selector = selector('selector', false);
+    } else {
+      result.anchor = selector('anchor', true);
+      result.closest = selector('closest', false);
+      wording(result);
+      result.selector = selector('selector', false);
+    }
+    if (strategy.visible !== undefined) result.visible = strategy.visible;
+    return JSON.parse(JSON.stringify(result)); // drop unset optional keys
+  }
+
+  // Diagnostics captures from failed steps, append-only
+  async addDiagnostics(capture) {
+    if (!capture || typeof capture !== 'object' || !capture.failedStep) throw new Error('A diagnostics capture needs a failedStep');
+    const entry = { ...capture, receivedAt: new Date().toISOString() };
+    await fs.mkdir(path.dirname(this.diagnosticsPath), { recursive: true }).catch(() => {});
+    await fs.appendFile(this.diagnosticsPath, JSON.stringify(entry) + '\n');
+    return entry;
+  }
+
+  // Newest first
+  async listDiagnostics(limit = 20) {
+    let raw = '';
+    try {
+      raw = await fs.readFile(this.diagnosticsPath, 'utf8');
+    } catch {
+      return [];
+    }
+    const entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        console.warn('Skipping corrupt diagnostics line:', e.message);
+      }
+    }
+    return entries.reverse().slice(0, limit);
+  }
+}
+
+module.exports = { SelectorProfiles, PROFILE_STEPS, STRATEGY_TYPES };
@@ -5,7 +5,17 @@ const multer = require('multer');
 const path = require('path');
 const fs = require('fs').promises;
 const fsSync = require('fs');
+const sharp = require('sharp');
 const { ImageGenerator } = require('./image-generator.js');
+const { KINDS: IMAGE_KINDS } = require('./image-catalog.js');
+const { BasePhotoLibrary } = require('./base-photo-library.js');
+const { JobManager } = require('./job-manager.js');
+const { RotationEngine } = require('./rotation-engine.js');
+const { CampaignScheduler } = require('./campaign-scheduler.js');
+const { UpdateHistory, OUTCOMES: HISTORY_OUTCOMES, KINDS: HISTORY_KINDS } = require('./update-history.js');
+const { SelectorProfiles } = require('./selector-profiles.js');
+const { COLOR_THEMES: OVERLAY_COLOR_THEMES, BADGE_POSITIONS } = require('./overlay-renderer.js');
+const { SubjectMatting, DEFAULT_OPTIONS: MATTE_DEFAULTS, STEPS: MATTE_STEPS, optionsFromEnv } = require('./subject-matting.js');
 require('dotenv').config({ path: '../.env' });
 
 class ImageGenerationServer {
@@ -21,6 +31,21 @@ class ImageGenerationServer {
           ? process.env.BASE_PFP_DIR
           : path.join(__dirname, process.env.BASE_PFP_DIR))
       : defaultBaseDir;
+    this.baseLibrary = new BasePhotoLibrary(this.basePfpDir);
+    this.jobs = new JobManager();
+    this.campaigns = new CampaignScheduler({ statePath: path.join(this.generator.storagePath, 'campaigns.json') });
+    this.rotation = new RotationEngine(this.generator.catalog, {
+      statePath: path.join(this.generator.storagePath, 'rotation.json'),
+      scheduler: this.campaigns
+    });
+    // Banners rotate from their own pool with their own strategy
+    this.bannerRotation = new RotationEngine(this.generator.catalog, {
+      statePath: path.join(this.generator.storagePath, 'rotation-banner.json'),
+      scheduler: this.campaigns,
+      kind: 'banner'
+    });
+    this.history = new UpdateHistory(this.generator.storagePath);
+    this.selectors = new SelectorProfiles(this.generator.storagePath);
 
     this.setupMiddleware();
     this.setupRoutes();
@@ -36,7 +61,7 @@ class ImageGenerationServer {
     this.app.use(cors({
       origin: true,
       credentials: true,
-      methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+      methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
       allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
     }));
 
@@ -66,32 +91,372 @@ class ImageGenerationServer {
       }
     });
 
-    // Generate images from local base folder (no upload)
+    // Base photo library
+    this.app.post('/upload-base', this.upload.single('image'), async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({ success: false, error: 'No image provided' });
+        }
+        const photo = await this.baseLibrary.add(req.file.buffer, req.file.originalname, req.body?.name);
+        res.json({ success: true, photo: this.toBasePhotoResponse(photo) });
+      } catch (error) {
+        console.error('Error in /upload-base:', error);
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/base-photos', async (req, res) => {
+      try {
+        const photos = await this.baseLibrary.list();
+        res.json({ success: true, count: photos.length, photos: photos.map(p => this.toBasePhotoResponse(p)) });
+      } catch (error) {
+        console.error('Error in /base-photos:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/base-photos/:id/preview', async (req, res) => {
+      try {
+        const photo = await this.baseLibrary.get(req.params.id);
+        if (!photo) return res.status(404).json({ success: false, error: 'Base photo not found' });
+        const size = Math.max(32, Math.min(1024, parseInt(req.query.size) || 256));
+        const preview = await sharp(photo.filepath)
+          .rotate()
+          .resize(size, size, { fit: 'cover' })
+          .jpeg({ quality: 85 })
+          .toBuffer();
+        res.setHeader('Content-Type', 'image/jpeg');
+        res.send(preview);
+      } catch (error) {
+        console.error('Error serving base photo preview:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Debug view of the built-in matting: ?step=flood|filled|cleaned|mask|cutout plus
+    // any numeric option as a query override, e.g. ?step=mask&tolerance=60&feather=3
+    this.app.get('/base-photos/:id/matte', async (req, res) => {
+      try {
+        const photo = await this.baseLibrary.get(req.params.id);
+        if (!photo) return res.status(404).json({ success: false, error: 'Base photo not found' });
+        const step = req.query.step || 'cutout';
+        if (!MATTE_STEPS.includes(step)) {
+          return res.status(400).json({ success: false, error: `Unknown step "${step}". Use one of ${MATTE_STEPS.join(', ')}` });
+        }
+
+        const overrides = {};
+        for (const [key, value] of Object.entries(MATTE_DEFAULTS)) {
+          if (typeof value === 'number' && req.query[key] !== undefined) overrides[key] = Number(req.query[key]);
+          if (typeof value === 'boolean' && req.query[key] !== undefined) overrides[key] = this.parseBooleanQuery(req.query[key]);
+        }
+        const matting = new SubjectMatting({ ...optionsFromEnv(), ...overrides });
+        const { steps } = await matting.extract(await fs.readFile(photo.filepath), { debug: true });
+        res.setHeader('Content-Type', 'image/png');
+        res.send(steps[step]);
+      } catch (error) {
+        console.error('Error in matte debug:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // The square crop generation uses, with what was detected in the photo
+    this.app.get('/base-photos/:id/crop', async (req, res) => {
+      try {
+        const photo = await this.baseLibrary.get(req.params.id);
+        if (!photo) return res.status(404).json({ success: false, error: 'Base photo not found' });
+        const detection = await this.generator.cropper.detect(await fs.readFile(photo.filepath));
+        res.json({ success: true, crop: await this.baseCrop(photo, detection), detection });
+      } catch (error) {
+        console.error('Error in base photo crop:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // { left, top, size } sets the crop by hand; { auto: true } frames the photo again,
+    // optionally with its own { headroom, headSize }
+    this.app.put('/base-photos/:id/crop', async (req, res) => {
+      try {
+        const photo = await this.baseLibrary.get(req.params.id);
+        if (!photo) return res.status(404).json({ success: false, error: 'Base photo not found' });
+        const { auto, headroom, headSize, ...manual } = req.body || {};
+        const cropper = this.generator.cropper;
+        const detection = await cropper.detect(await fs.readFile(photo.filepath));
+        let crop;
+        if (auto) {
+          const options = {};
+          for (const [name, value] of Object.entries({ headroom, headSize })) {
+            if (value === undefined) continue;
+            if (!(Number(value) >= 0 && Number(value) <= 1)) return res.status(400).json({ success: false, error: `${name} must be between 0 and 1` });
+            options[name] = Number(value);
+          }
+          crop = { ...cropper.frame(detection, options), source: 'auto', ...options };
+        } else {
+          try {
+            crop = { ...cropper.validate(manual, detection.width, detection.height), source: 'manual' };
+          } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+          }
+        }
+        const updated = await this.baseLibrary.setCrop(photo.id, crop);
+        res.json({ success: true, photo: this.toBasePhotoResponse(updated), crop, detection });
+      } catch (error) {
+        console.error('Error saving base photo crop:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // The crop inside LinkedIn's circle; ?left=&top=&size= previews a crop before it is saved
+    this.app.get('/base-photos/:id/crop-preview', async (req, res) => {
+      try {
+        const photo = await this.baseLibrary.get(req.params.id);
+        if (!photo) return res.status(404).json({ success: false, error: 'Base photo not found' });
+        const buffer = await fs.readFile(photo.filepath);
+        let crop = await this.baseCrop(photo);
+        if (req.query.size !== undefined) {
+          const { width, height } = await this.generator.cropper.dimensions(buffer);
+          try {
+            crop = this.generator.cropper.validate({ left: Number(req.query.left), top: Number(req.query.top), size: Number(req.query.size) }, width, height);
+          } catch (error) {
+            return res.status(400).json({ success: false, error: error.message });
+          }
+        }
+        const size = Math.max(64, Math.min(512, parseInt(req.query.preview) || 256));
+        res.setHeader('Content-Type', 'image/png');
+        res.send(await this.generator.cropper.preview(buffer, crop, size));
+      } catch (error) {
+        console.error('Error serving crop preview:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.patch('/base-photos/:id', async (req, res) => {
+      try {
+        const photo = await this.baseLibrary.rename(req.params.id, req.body?.name);
+        if (!photo) return res.status(404).json({ success: false, error: 'Base photo not found' });
+        res.json({ success: true, photo: this.toBasePhotoResponse(photo) });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/base-photos/:id', async (req, res) => {
+      try {
+        const removed = await this.baseLibrary.remove(req.params.id);
+        if (!removed) return res.status(404).json({ success: false, error: 'Base photo not found' });
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Error deleting base photo:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/base-photos/:id/activate', async (req, res) => {
+      try {
+        const photo = await this.baseLibrary.setActive(req.params.id);
+        if (!photo) return res.status(404).json({ success: false, error: 'Base photo not found' });
+        res.json({ success: true, photo: this.toBasePhotoResponse(photo) });
+      } catch (error) {
+        console.error('Error activating base photo:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Background themes and the backgrounds/ photo folder
+    this.app.get('/themes', async (req, res) => {
+      try {
+        const themes = await this.generator.themes.list();
+        res.json({ success: true, count: themes.length, themes: themes.map(t => this.toThemeResponse(t)) });
+      } catch (error) {
+        console.error('Error in /themes:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/themes', async (req, res) => {
+      try {
+        const theme = await this.generator.themes.create(req.body || {});
+        res.status(201).json({ success: true, theme: this.toThemeResponse(theme) });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.patch('/themes/:id', async (req, res) => {
+      try {
+        const theme = await this.generator.themes.update(req.params.id, req.body || {});
+        if (!theme) return res.status(404).json({ success: false, error: 'Theme not found' });
+        res.json({ success: true, theme: this.toThemeResponse(theme) });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/themes/:id', async (req, res) => {
+      try {
+        const removed = await this.generator.themes.remove(req.params.id);
+        if (!removed) return res.status(404).json({ success: false, error: 'Theme not found' });
+        res.json({ success: true });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/themes/:id/preview', async (req, res) => {
+      try {
+        const theme = await this.generator.themes.get(req.params.id);
+        if (!theme) return res.status(404).json({ success: false, error: 'Theme not found' });
+        const size = Math.max(16, Math.min(1024, parseInt(req.query.size) || 128));
+        const png = await this.generator.themes.render(theme, size, size);
+        res.setHeader('Content-Type', 'image/jpeg');
+        res.send(await sharp(png).jpeg({ quality: 85 }).toBuffer());
+      } catch (error) {
+        console.error('Error serving theme preview:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Upload a background photo; it becomes a photo theme right away
+    this.app.post('/backgrounds', this.upload.single('image'), async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({ success: false, error: 'No image provided' });
+        }
+        const theme = await this.generator.themes.addPhoto(req.file.buffer, req.file.originalname, req.body?.name);
+        res.status(201).json({ success: true, theme: this.toThemeResponse(theme) });
+      } catch (error) {
+        console.error('Error in /backgrounds:', error);
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // Colour grading presets generation batches can pick, the default first
+    this.app.get('/grading-presets', (req, res) => {
+      res.json({ success: true, presets: this.generator.grader.list() });
+    });
+
+    // Frame and badge overlays
+    this.app.get('/overlays', async (req, res) => {
+      try {
+        const logos = await this.generator.overlays.listLogos();
+        res.json({
+          success: true,
+          colorThemes: OVERLAY_COLOR_THEMES,
+          badgePositions: BADGE_POSITIONS,
+          logos: logos.map(filename => ({ filename, url: `/overlays/logos/${encodeURIComponent(filename)}` }))
+        });
+      } catch (error) {
+        console.error('Error in /overlays:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/overlays/logos', this.upload.single('image'), async (req, res) => {
+      try {
+        if (!req.file) {
+          return res.status(400).json({ success: false, error: 'No image provided' });
+        }
+        const filename = await this.generator.overlays.addLogo(req.file.buffer);
+        res.status(201).json({ success: true, logo: { filename, url: `/overlays/logos/${encodeURIComponent(filename)}` } });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/overlays/logos/:filename', async (req, res) => {
+      try {
+        const logos = await this.generator.overlays.listLogos();
+        if (!logos.includes(req.params.filename)) return res.status(404).json({ success: false, error: 'Logo not found' });
+        res.sendFile(this.generator.overlays.logoPath(req.params.filename));
+      } catch (error) {
+        console.error('Error serving logo:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/overlays/logos/:filename', async (req, res) => {
+      try {
+        const removed = await this.generator.overlays.removeLogo(req.params.filename);
+        if (!removed) return res.status(404).json({ success: false, error: 'Logo not found' });
+        res.json({ success: true });
+      } catch (error) {
+        console.error('Error deleting logo:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Overlays drawn on a plain square, for previews while configuring a batch
+    this.app.post('/overlays/preview', async (req, res) => {
+      let overlays;
+      try {
+        overlays = await this.generator.overlays.normalize(req.body?.overlays);
+      } catch (error) {
+        return res.status(400).json({ success: false, error: error.message });
+      }
+      try {
+        const size = Math.max(64, Math.min(1024, parseInt(req.body?.size) || 256));
+        const blank = await sharp({ create: { width: size, height: size, channels: 3, background: '#94A3B8' } }).png().toBuffer();
+        res.setHeader('Content-Type', 'image/png');
+        res.send(await this.generator.overlays.apply(blank, overlays));
+      } catch (error) {
+        console.error('Error rendering overlay preview:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Generate images from the base photo library (no upload)
     this.app.post('/generate-from-base', async (req, res) => {
       try {
         await this.ensureDirectories();
 
-        const { numImages = 10 } = req.body || {};
+        const { numImages = 10, basePhotoId, provider, themes, overlays, grading } = req.body || {};
         const count = Math.max(1, Math.min(50, parseInt(numImages)));
+        const providerError = this.validateProvider(provider) || await this.validateThemes(themes) ||
+          await this.validateOverlays(overlays) || this.validateGrading(grading);
+        if (providerError) return res.status(400).json({ success: false, error: providerError });
 
-        // Find a base photo file in basePfpDir
-        const allowed = ['.png', '.jpg', '.jpeg', '.webp'];
-        const files = await fs.readdir(this.basePfpDir);
-        const base = files.find(f => allowed.includes(path.extname(f).toLowerCase()));
+        const base = await this.baseLibrary.resolve(basePhotoId);
         if (!base) {
-          return res.status(400).json({ success: false, error: `No base photo found in ${this.basePfpDir}. Add a .png/.jpg/.jpeg/.webp file.` });
+          const error = basePhotoId
+            ? `Base photo ${basePhotoId} not found`
+            : `No base photo found in ${this.basePfpDir}. Upload one or add a .png/.jpg/.jpeg/.webp file.`;
+          return res.status(basePhotoId ? 404 : 400).json({ success: false, error });
         }
 
-        const basePath = path.join(this.basePfpDir, base);
-        const result = await this.generator.generateImages(basePath, count);
+        const crop = this.generator.cropper.enabled ? await this.baseCrop(base) : undefined;
+        const job = this.startGenerationJob('generate-from-base', base.filepath, count, { basePhotoId: base.id, provider, themes, overlays, grading, crop });
+        res.status(202).json(this.toJobCreatedResponse(job));
+      } catch (error) {
+        console.error('Error in /generate-from-base:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Cover banners: { numBanners, themes } renders numBanners in those themes, or in the
+    // live photo's theme when none are given; { pair: true } makes one banner for each
+    // photo that has none, in that photo's theme, paired with it
+    this.app.post('/generate-banners', async (req, res) => {
+      try {
+        await this.ensureDirectories();
+        const { numBanners = 3, themes, pair = false } = req.body || {};
+        const themeError = await this.validateThemes(themes);
+        if (themeError) return res.status(400).json({ success: false, error: themeError });
 
-        if (result.success) {
-          res.json({ success: true, count: result.count, images: result.images.map(i => ({ filename: i.filename })) });
+        let result;
+        if (pair) {
+          const catalog = this.generator.catalog;
+          const { images: photos } = await catalog.query({ kind: 'photo', excluded: false, sort: 'createdAt', order: 'asc' });
+          const { images: banners } = await catalog.query({ kind: 'banner' });
+          const unpaired = photos.filter(photo => !banners.some(b => b.pairedWith === photo.id)).slice(0, 20);
+          if (!unpaired.length) return res.status(400).json({ success: false, error: 'Every photo already has a banner' });
+          result = await this.generator.generateBanners(unpaired.length, { pairWith: unpaired });
         } else {
-          res.status(500).json({ success: false, error: result.error });
+          const count = Math.max(1, Math.min(20, parseInt(numBanners) || 3));
+          result = await this.generator.generateBanners(count, { themes, match: await this.livePhoto() });
         }
+        if (!result.success) return res.status(500).json(result);
+        res.status(201).json(result);
       } catch (error) {
-        console.error('Error in /generate-from-base:', error);
+        console.error('Error in /generate-banners:', error);
         res.status(500).json({ success: false, error: error.message });
       }
     });
@@ -106,16 +471,14 @@ class ImageGenerationServer {
         if (numImages < 1 || numImages > 50) {
           return res.status(400).json({ success: false, error: 'Number of images must be between 1 and 50' });
         }
+        const { provider, grading } = req.body;
+        const providerError = this.validateProvider(provider) || this.validateGrading(grading);
+        if (providerError) return res.status(400).json({ success: false, error: providerError });
         const tempPath = path.join(__dirname, 'temp', `base_${Date.now()}.jpg`);
         await fs.mkdir(path.dirname(tempPath), { recursive: true });
         await fs.writeFile(tempPath, req.file.buffer);
-        const result = await this.generator.generateImages(tempPath, numImages);
-        await fs.unlink(tempPath).catch(() => {});
-        if (result.success) {
-          res.json({ success: true, count: result.count, images: result.images.map(img => ({ filename: img.filename })) });
-        } else {
-          res.status(500).json({ success: false, error: result.error });
-        }
+        const job = this.startGenerationJob('generate-images', tempPath, numImages, { provider, grading }, () => fs.unlink(tempPath).catch(() => {}));
+        res.status(202).json(this.toJobCreatedResponse(job));
       } catch (error) {
         console.error('Error in /generate-images:', error);
         res.status(500).json({ success: false, error: error.message });
@@ -124,48 +487,408 @@ class ImageGenerationServer {
 
     this.app.post('/generate-images-base64', async (req, res) => {
       try {
-        const { basePhoto, numImages = 10 } = req.body;
+        const { basePhoto, numImages = 10, provider, themes, overlays, grading } = req.body;
         if (!basePhoto) {
           return res.status(400).json({ success: false, error: 'No base photo provided' });
         }
         if (numImages < 1 || numImages > 50) {
           return res.status(400).json({ success: false, error: 'Number of images must be between 1 and 50' });
         }
+        const providerError = this.validateProvider(provider) || await this.validateThemes(themes) ||
+          await this.validateOverlays(overlays) || this.validateGrading(grading);
+        if (providerError) return res.status(400).json({ success: false, error: providerError });
         const base64Data = basePhoto.replace(/^data:image\/[a-z]+;base64,/, '');
         const tempPath = path.join(__dirname, 'temp', `base_${Date.now()}.jpg`);
         await fs.mkdir(path.dirname(tempPath), { recursive: true });
         await fs.writeFile(tempPath, base64Data, 'base64');
-        const result = await this.generator.generateImages(tempPath, numImages);
-        await fs.unlink(tempPath).catch(() => {});
-        if (result.success) {
-          res.json({ success: true, count: result.count, images: result.images.map(img => ({ filename: img.filename })) });
-        } else {
-          res.status(500).json({ success: false, error: result.error });
-        }
+        const job = this.startGenerationJob('generate-images-base64', tempPath, numImages, { provider, themes, overlays, grading }, () => fs.unlink(tempPath).catch(() => {}));
+        res.status(202).json(this.toJobCreatedResponse(job));
       } catch (error) {
         console.error('Error in /generate-images-base64:', error);
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
+    this.app.get('/providers', (req, res) => {
+      res.json({ success: true, providers: this.generator.listProviders() });
+    });
+
+    // Generation jobs
+    this.app.get('/jobs', (req, res) => {
+      const jobs = this.jobs.list();
+      res.json({ success: true, count: jobs.length, jobs });
+    });
+
+    this.app.get('/jobs/:id', (req, res) => {
+      const job = this.jobs.get(req.params.id);
+      if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+      res.json({ success: true, job });
+    });
+
+    // Server-Sent Events: a snapshot on connect, then one "progress" event per change
+    this.app.get('/jobs/:id/events', (req, res) => {
+      const job = this.jobs.get(req.params.id);
+      if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+
+      res.setHeader('Content-Type', 'text/event-stream');
+      res.setHeader('Cache-Control', 'no-cache');
+      res.setHeader('Connection', 'keep-alive');
+      res.flushHeaders();
+
+      const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+      const close = () => {
+        clearInterval(heartbeat);
+        this.jobs.off(`update:${job.id}`, onUpdate);
+      };
+      const onUpdate = (updated) => {
+        send('progress', updated);
+        if (this.jobs.isFinished(updated)) {
+          send('done', updated);
+          close();
+          res.end();
+        }
+      };
+
+      send('snapshot', job);
+      if (this.jobs.isFinished(job)) {
+        send('done', job);
+        clearInterval(heartbeat);
+        return res.end();
+      }
+      this.jobs.on(`update:${job.id}`, onUpdate);
+      req.on('close', close);
+    });
+
+    this.app.post('/jobs/:id/cancel', (req, res) => {
+      const job = this.jobs.cancel(req.params.id);
+      if (!job) return res.status(404).json({ success: false, error: 'Job not found' });
+      res.json({ success: true, job });
+    });
+
+    // Catalog listing: ?kind=photo|banner&pairedWith=&basePhotoId=&provider=&since=&until=&favorite=&excluded=&tag=&sort=&order=asc|desc&limit=&offset=
     this.app.get('/images', async (req, res) => {
       try {
-        const images = await this.generator.getStoredImages();
-        res.json({ success: true, count: images.length, images: images.map(img => ({ filename: img.filename, filepath: img.filepath })) });
+        const { kind, pairedWith, basePhotoId, provider, since, until, tag, sort, order, limit, offset } = req.query;
+        if (kind && !IMAGE_KINDS.includes(kind)) return res.status(400).json({ success: false, error: `kind must be one of ${IMAGE_KINDS.join(', ')}` });
+        const page = await this.generator.catalog.query({
+          kind, pairedWith, basePhotoId, provider, since, until, tag, sort, order,
+          favorite: this.parseBooleanQuery(req.query.favorite),
+          excluded: this.parseBooleanQuery(req.query.excluded),
+          limit: limit === undefined ? undefined : Math.max(1, Math.min(500, parseInt(limit) || 50)),
+          offset
+        });
+        // uploadKey tells clients that cache upload variants when theirs is out of date
+        const images = page.images.map(image => ({ ...image, uploadKey: this.generator.uploadKey(image) }));
+        res.json({ success: true, count: images.length, total: page.total, offset: page.offset, images });
       } catch (error) {
         console.error('Error in /images:', error);
         res.status(500).json({ success: false, error: error.message });
       }
     });
 
+    // Groups of lookalike images (perceptual hash and mean colour) to prune; optional
+    // kind, maxHashDistance and maxColorDistance override the generation-time thresholds
+    this.app.get('/images/duplicates', async (req, res) => {
+      try {
+        const { kind } = req.query;
+        if (kind && !IMAGE_KINDS.includes(kind)) return res.status(400).json({ success: false, error: `kind must be one of ${IMAGE_KINDS.join(', ')}` });
+        const thresholds = { ...this.generator.duplicateThresholds };
+        for (const name of ['maxHashDistance', 'maxColorDistance']) {
+          if (req.query[name] === undefined) continue;
+          const value = Number(req.query[name]);
+          if (!Number.isFinite(value) || value < 0) return res.status(400).json({ success: false, error: `${name} must be a non-negative number` });
+          thresholds[name] = value;
+        }
+        const groups = await this.generator.catalog.duplicates({ kind, thresholds });
+        res.json({ success: true, thresholds, count: groups.length, groups });
+      } catch (error) {
+        console.error('Error in /images/duplicates:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Curation: { favorite, excluded, tags, pairedWith } (pairedWith: banners only)
+    this.app.patch('/images/:id', async (req, res) => {
+      try {
+        const { favorite, excluded, tags, pairedWith } = req.body || {};
+        const image = await this.generator.catalog.curate(req.params.id, { favorite, excluded, tags, pairedWith });
+        if (!image) return res.status(404).json({ success: false, error: 'Image not found' });
+        res.json({ success: true, image });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // Re-render an image from its pre-overlay original with new overlays
+    this.app.put('/images/:id/overlays', async (req, res) => {
+      try {
+        const image = await this.generator.applyOverlays(req.params.id, req.body?.overlays || []);
+        if (!image) return res.status(404).json({ success: false, error: 'Image not found' });
+        res.json({ success: true, image });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // LinkedIn editor settings for an image: { zoom, offsetX, offsetY, straighten, filter, visibility } or null
+    this.app.put('/images/:id/editor', async (req, res) => {
+      try {
+        const editor = req.body?.editor === undefined ? null : req.body.editor;
+        const image = await this.generator.catalog.setEditor(req.params.id, editor);
+        if (!image) return res.status(404).json({ success: false, error: 'Image not found' });
+        res.json({ success: true, image });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // The LinkedIn-ready export of an image (sized, sRGB, no metadata); what the extension uploads
+    this.app.get('/images/:id/upload', async (req, res) => {
+      try {
+        const upload = await this.generator.uploadVariant(req.params.id);
+        if (!upload) return res.status(404).json({ success: false, error: 'Image not found' });
+        res.setHeader('Content-Type', upload.mime);
+        res.setHeader('Content-Disposition', `inline; filename="${upload.filename}"`);
+        res.sendFile(upload.filepath);
+      } catch (error) {
+        console.error('Error exporting image:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.get('/images/:id/thumbnail', async (req, res) => {
+      try {
+        const image = await this.generator.catalog.get(req.params.id);
+        if (!image) return res.status(404).json({ success: false, error: 'Image not found' });
+        const size = Math.max(32, Math.min(512, parseInt(req.query.size) || 128));
+        // Banners keep their 4:1 shape, `size` being their height
+        const width = image.kind === 'banner' ? size * 4 : size;
+        const thumbnail = await sharp(image.filepath)
+          .resize(width, size, { fit: 'cover' })
+          .jpeg({ quality: 80 })
+          .toBuffer();
+        res.setHeader('Content-Type', 'image/jpeg');
+        res.setHeader('Cache-Control', 'max-age=3600');
+        res.send(thumbnail);
+      } catch (error) {
+        console.error('Error serving thumbnail:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Record that an image went live on LinkedIn
+    this.app.post('/images/:id/applied', async (req, res) => {
+      try {
+        const image = await this.generator.catalog.markApplied(req.params.id, req.body?.appliedAt);
+        if (!image) return res.status(404).json({ success: false, error: 'Image not found' });
+        await this.rotationFor(image.kind).markApplied(image);
+        res.json({ success: true, image });
+      } catch (error) {
+        console.error('Error recording applied image:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Rotation strategy and the upcoming image; ?kind=banner for the banner rotation
+    this.app.get('/rotation', async (req, res) => {
+      try {
+        const rotation = this.rotationFor(req.query.kind);
+        if (!rotation) return res.status(400).json({ success: false, error: `kind must be one of ${IMAGE_KINDS.join(', ')}` });
+        res.json({ success: true, kind: rotation.kind, ...(await rotation.getSettings()) });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.put('/rotation', async (req, res) => {
+      try {
+        const rotation = this.rotationFor(req.query.kind);
+        if (!rotation) return res.status(400).json({ success: false, error: `kind must be one of ${IMAGE_KINDS.join(', ')}` });
+        const { strategy, favoriteWeight } = req.body || {};
+        res.json({ success: true, kind: rotation.kind, ...(await rotation.configure({ strategy, favoriteWeight })) });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // Stable until that image is reported via POST /images/:id/applied.
+    // ?date=YYYY-MM-DD is the caller's local date for campaigns (default: server date).
+    // A photo comes with `banner`: the banner paired with it, or null
+    this.app.get('/rotation/next', async (req, res) => {
+      try {
+        const rotation = this.rotationFor(req.query.kind);
+        if (!rotation) return res.status(400).json({ success: false, error: `kind must be one of ${IMAGE_KINDS.join(', ')}` });
+        const date = this.parseDateQuery(req.query.date);
+        if (!date) return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+        const image = await rotation.next(date);
+        if (!image) return res.status(404).json({ success: false, error: `No ${rotation.kind === 'banner' ? 'banners' : 'images'} available for rotation` });
+        const { strategy } = await rotation.getSettings();
+        // The campaign that chose this kind's pool, not merely the first one active
+        const { campaign } = await rotation.selection(date);
+        const banner = rotation.kind === 'photo' ? await this.pairedBanner(image) : undefined;
+        res.json({ success: true, kind: rotation.kind, strategy, date, campaign, image, banner });
+      } catch (error) {
+        console.error('Error in /rotation/next:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Campaigns: date ranges (optionally recurring) that own tagged or themed images
+    this.app.get('/campaigns', async (req, res) => {
+      try {
+        const campaigns = await this.campaigns.list();
+        res.json({ success: true, count: campaigns.length, campaigns });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/campaigns', async (req, res) => {
+      try {
+        const campaign = await this.campaigns.create(req.body || {});
+        res.status(201).json({ success: true, campaign });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // What the rotation would show on a date, without advancing it
+    this.app.get('/campaigns/preview', async (req, res) => {
+      try {
+        const date = this.parseDateQuery(req.query.date);
+        if (!date) return res.status(400).json({ success: false, error: 'date must be YYYY-MM-DD' });
+        const { images } = await this.generator.catalog.query({ kind: 'photo', excluded: false });
+        const { campaign, images: pool } = await this.campaigns.filterPool(images, date);
+        const image = await this.rotation.preview(date);
+        res.json({
+          success: true,
+          date,
+          active: await this.campaigns.activeOn(date),
+          campaign,
+          poolSize: pool.length,
+          image
+        });
+      } catch (error) {
+        console.error('Error in /campaigns/preview:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.patch('/campaigns/:id', async (req, res) => {
+      try {
+        const campaign = await this.campaigns.update(req.params.id, req.body || {});
+        if (!campaign) return res.status(404).json({ success: false, error: 'Campaign not found' });
+        res.json({ success: true, campaign });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/campaigns/:id', async (req, res) => {
+      try {
+        const removed = await this.campaigns.remove(req.params.id);
+        if (!removed) return res.status(404).json({ success: false, error: 'Campaign not found' });
+        res.json({ success: true });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Update history: every attempt the extension made, newest first. ?limit=&outcome=verified|failed&kind=photo|banner
+    this.app.get('/history', async (req, res) => {
+      try {
+        const { outcome, kind } = req.query;
+        if (outcome !== undefined && !HISTORY_OUTCOMES.includes(outcome)) {
+          return res.status(400).json({ success: false, error: `outcome must be one of ${HISTORY_OUTCOMES.join(', ')}` });
+        }
+        if (kind !== undefined && !HISTORY_KINDS.includes(kind)) {
+          return res.status(400).json({ success: false, error: `kind must be one of ${HISTORY_KINDS.join(', ')}` });
+        }
+        const limit = Math.max(1, Math.min(500, parseInt(req.query.limit) || 50));
+        const entries = await this.withHistoryImages(await this.history.list({ limit, outcome, kind }));
+        const current = await this.history.current(kind);
+        res.json({ success: true, count: entries.length, currentId: current?.id || null, entries });
+      } catch (error) {
+        console.error('Error in /history:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/history', async (req, res) => {
+      try {
+        const entry = await this.history.append(req.body || {});
+        res.status(201).json({ success: true, entry });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    // The picture that was live before the current one, for undo
+    this.app.get('/history/previous', async (req, res) => {
+      try {
+        const previous = await this.history.previous();
+        const [entry] = previous ? await this.withHistoryImages([previous]) : [];
+        if (!entry) return res.status(404).json({ success: false, error: 'No earlier picture in the history' });
+        if (!entry.image) return res.status(410).json({ success: false, error: 'The previous picture has been deleted', entry });
+        res.json({ success: true, entry });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Selector profile overriding the extension's built-in one (profile is null when none is saved)
+    this.app.get('/selectors', async (req, res) => {
+      try {
+        res.json({ success: true, profile: await this.selectors.get() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.put('/selectors', async (req, res) => {
+      try {
+        res.json({ success: true, profile: await this.selectors.save(req.body) });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.delete('/selectors', async (req, res) => {
+      try {
+        res.json({ success: true, removed: await this.selectors.reset() });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    // Candidate elements captured when a step of an update failed
+    this.app.get('/diagnostics', async (req, res) => {
+      try {
+        const limit = Math.max(1, Math.min(100, parseInt(req.query.limit) || 20));
+        const diagnostics = await this.selectors.listDiagnostics(limit);
+        res.json({ success: true, count: diagnostics.length, diagnostics });
+      } catch (error) {
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
+    this.app.post('/diagnostics', async (req, res) => {
+      try {
+        res.status(201).json({ success: true, diagnostics: await this.selectors.addDiagnostics(req.body) });
+      } catch (error) {
+        res.status(400).json({ success: false, error: error.message });
+      }
+    });
+
     this.app.get('/images/:filename', async (req, res) => {
       try {
-        const filename = req.params.filename;
+        const filename = path.basename(req.params.filename);
         const filepath = path.join(this.generator.storagePath, filename);
         await fs.access(filepath);
         const stream = fsSync.createReadStream(filepath);
         stream.on('open', () => {
-          res.setHeader('Content-Type', 'image/png');
+          res.type(path.extname(filename));
           res.setHeader('Content-Disposition', `inline; filename="${filename}"`);
         });
         stream.pipe(res);
@@ -189,6 +912,18 @@ class ImageGenerationServer {
       }
     });
 
+    // Delete one image, e.g. a lookalike from /images/duplicates
+    this.app.delete('/images/:id', async (req, res) => {
+      try {
+        const image = await this.generator.deleteImage(req.params.id);
+        if (!image) return res.status(404).json({ success: false, error: 'Image not found' });
+        res.json({ success: true, image });
+      } catch (error) {
+        console.error('Error deleting image:', error);
+        res.status(500).json({ success: false, error: error.message });
+      }
+    });
+
     // Error handling middleware
     this.app.use((error, req, res, next) => {
       console.error('Server error:', error);
@@ -196,6 +931,142 @@ class ImageGenerationServer {
     });
   }
 
+  // Attaches the catalog record to each history entry (null once the image is deleted)
+  async withHistoryImages(entries) {
+    return Promise.all(entries.map(async entry => ({
+      ...entry,
+      image: entry.imageId ? await this.generator.catalog.get(entry.imageId) : null
+    })));
+  }
+
+  // Queue a generateImages run; cleanup (e.g. temp upload removal) runs once the job ends,
+  // including when it is cancelled before it starts
+  startGenerationJob(type, basePath, count, params = {}, cleanup = async () => {}) {
+    const job = { type, total: count, params: { ...params, numImages: count }, onFinish: cleanup };
+    return this.jobs.create(job, ({ signal, progress }) => this.generator.generateImages(basePath, count, {
+      signal,
+      onProgress: progress,
+      basePhotoId: params.basePhotoId,
+      provider: params.provider,
+      themes: params.themes,
+      overlays: params.overlays,
+      grading: params.grading,
+      crop: params.crop
+    }));
+  }
+
+  // Returns an error message for an unknown or unconfigured provider, else null
+  validateProvider(name) {
+    if (name === undefined || name === null || name === '') return null;
+    try {
+      const provider = this.generator.getProvider(name);
+      return provider.isConfigured() ? null : `Image provider "${name}" is not configured`;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  // Returns an error message unless themes is absent or an array of known theme ids
+  async validateThemes(themes) {
+    if (themes === undefined || themes === null) return null;
+    if (!Array.isArray(themes) || themes.some(t => typeof t !== 'string')) return 'themes must be an array of theme ids';
+    try {
+      await this.generator.themes.resolve(themes);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  async validateOverlays(overlays) {
+    try {
+      await this.generator.overlays.normalize(overlays);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  validateGrading(grading) {
+    try {
+      this.generator.grader.resolve(grading);
+      return null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+
+  // The rotation engine for ?kind= (default photo); null for an unknown kind
+  rotationFor(kind = 'photo') {
+    if (kind === 'photo') return this.rotation;
+    if (kind === 'banner') return this.bannerRotation;
+    return null;
+  }
+
+  // The photo that is on LinkedIn now per the update history, else the newest photo
+  async livePhoto() {
+    const current = await this.history.current();
+    const live = current?.imageId ? await this.generator.catalog.get(current.imageId) : null;
+    if (live) return live;
+    const { images } = await this.generator.catalog.query({ kind: 'photo', limit: 1 });
+    return images[0] || null;
+  }
+
+  // The newest banner paired with a photo that may go live
+  async pairedBanner(photo) {
+    const { images } = await this.generator.catalog.query({ kind: 'banner', pairedWith: photo.id, excluded: false, limit: 1 });
+    return images[0] || null;
+  }
+
+  // YYYY-MM-DD from the query, today's server date when absent, null when malformed
+  parseDateQuery(value) {
+    if (value === undefined || value === '') return CampaignScheduler.today();
+    return this.campaigns.isDate(value) ? value : null;
+  }
+
+  parseBooleanQuery(value) {
+    if (value === undefined || value === '') return undefined;
+    return /^(1|true|yes)$/i.test(String(value));
+  }
+
+  // A library photo's saved crop; the first time, the automatic one (saved for next time)
+  async baseCrop(photo, detection = null) {
+    if (photo.crop) return photo.crop;
+    const cropper = this.generator.cropper;
+    const found = detection || await cropper.detect(await fs.readFile(photo.filepath));
+    const crop = { ...cropper.frame(found), source: 'auto' };
+    await this.baseLibrary.setCrop(photo.id, crop);
+    return crop;
+  }
+
+  toJobCreatedResponse(job) {
+    return {
+      success: true,
+      jobId: job.id,
+      status: job.status,
+      total: job.total,
+      statusUrl: `/jobs/${job.id}`,
+      eventsUrl: `/jobs/${job.id}/events`
+    };
+  }
+
+  toThemeResponse(theme) {
+    return { ...theme, builtIn: !!theme.builtIn, previewUrl: `/themes/${encodeURIComponent(theme.id)}/preview` };
+  }
+
+  toBasePhotoResponse(photo) {
+    return {
+      id: photo.id,
+      name: photo.name,
+      filename: photo.filename,
+      createdAt: photo.createdAt,
+      active: photo.active,
+      crop: photo.crop || null,
+      previewUrl: `/base-photos/${photo.id}/preview`,
+      cropPreviewUrl: `/base-photos/${photo.id}/crop-preview`
+    };
+  }
+
   start() {
     this.ensureDirectories().then(() => {
       this.app.listen(this.port, () => {
@@ -0,0 +1,229 @@
+// Built-in subject matting with sharp: no external tools required (CommonJS)
+const sharp = require('sharp');
+const { numberReader } = require('./env-options.js');
+
+const DEFAULT_OPTIONS = {
+  workingSize: 512,         // longest side the mask is computed at
+  tolerance: 40,            // max RGB distance from the border colour model to count as background
+  stepTolerance: 18,        // max RGB distance between neighbours while flooding (stops at edges)
+  seedEdges: ['top', 'left', 'right'], // portraits touch the bottom edge, so don't seed from it
+  fillHoles: true,          // background pockets fully enclosed by the subject become subject
+  morphRadius: 2,           // open + close radius in working pixels; 0 disables
+  keepLargest: true,        // drop foreground islands that are not the main subject
+  feather: 1.5              // gaussian sigma (full-size pixels) applied to the mask edge
+};
+
+const STEPS = ['flood', 'filled', 'cleaned', 'mask', 'cutout'];
+
+// Numeric tuning from the environment, e.g. MATTE_TOLERANCE=55; a value that is not a number keeps its default
+function optionsFromEnv(env = process.env) {
+  const read = numberReader(env);
+  return {
+    ...read('MATTE_WORKING_SIZE', 'workingSize'),
+    ...read('MATTE_TOLERANCE', 'tolerance'),
+    ...read('MATTE_STEP_TOLERANCE', 'stepTolerance'),
+    ...read('MATTE_MORPH_RADIUS', 'morphRadius'),
+    ...read('MATTE_FEATHER', 'feather')
+  };
+}
+
+class SubjectMatting {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+  }
+
+  // Returns an RGBA PNG of the subject. With { debug: true } also returns every
+  // intermediate mask as a greyscale PNG (white = subject) keyed by step name.
+  async extract(buffer, { debug = false } = {}) {
+    const o = this.options;
+    const { data: rgb, info } = await sharp(buffer)
+      .removeAlpha()
+      .resize(o.workingSize, o.workingSize, { fit: 'inside', withoutEnlargement: true })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const { width, height } = info;
+    const steps = {};
+
+    const model = this.borderModel(rgb, width, height);
+    let mask = this.floodBackground(rgb, width, height, model);
+    if (debug) steps.flood = mask.slice();
+
+    if (o.fillHoles) mask = this.fillHoles(mask, width, height);
+    if (debug) steps.filled = mask.slice();
+
+    if (o.morphRadius > 0) {
+      mask = this.dilate(this.erode(mask, width, height, o.morphRadius), width, height, o.morphRadius);
+      mask = this.erode(this.dilate(mask, width, height, o.morphRadius), width, height, o.morphRadius);
+    }
+    if (o.keepLargest) mask = this.largestComponent(mask, width, height);
+    if (debug) steps.cleaned = mask.slice();
+
+    // Scale the binary mask up to the photo and soften its edge
+    const { width: fullWidth, height: fullHeight } = await sharp(buffer).metadata();
+    let alpha = sharp(Buffer.from(mask.map(v => v * 255)), { raw: { width, height, channels: 1 } })
+      .resize(fullWidth, fullHeight, { fit: 'fill', kernel: 'linear' });
+    if (o.feather > 0.3) alpha = alpha.blur(o.feather);
+    // sharp promotes single-channel input to sRGB on output; keep one band
+    const alphaRaw = await alpha.extractChannel(0).raw().toBuffer();
+
+    // removeAlpha runs late in a sharp pipeline, so strip it in a separate pass
+    const rgbFull = await sharp(buffer).removeAlpha().raw().toBuffer();
+    const cutout = await sharp(rgbFull, { raw: { width: fullWidth, height: fullHeight, channels: 3 } })
+      .joinChannel(alphaRaw, { raw: { width: fullWidth, height: fullHeight, channels: 1 } })
+      .png()
+      .toBuffer();
+
+    if (!debug) return cutout;
+
+    const toPng = (m) => sharp(Buffer.from(m.map(v => v * 255)), { raw: { width, height, channels: 1 } }).png().toBuffer();
+    const masks = {};
+    for (const [name, m] of Object.entries(steps)) masks[name] = await toPng(m);
+    masks.mask = await sharp(alphaRaw, { raw: { width: fullWidth, height: fullHeight, channels: 1 } }).png().toBuffer();
+    masks.cutout = cutout;
+    return { cutout, steps: masks };
+  }
+
+  // Dominant colours along the image border (4-bit quantised buckets, averaged)
+  borderModel(rgb, width, height) {
+    const buckets = new Map();
+    const add = (x, y) => {
+      const i = (y * width + x) * 3;
+      const key = ((rgb[i] >> 4) << 8) | ((rgb[i + 1] >> 4) << 4) | (rgb[i + 2] >> 4);
+      const b = buckets.get(key) || { n: 0, r: 0, g: 0, b: 0 };
+      b.n++; b.r += rgb[i]; b.g += rgb[i + 1]; b.b += rgb[i + 2];
+      buckets.set(key, b);
+    };
+    for (let x = 0; x < width; x++) { add(x, 0); add(x, height - 1); }
+    for (let y = 1; y < height - 1; y++) { add(0, y); add(width - 1, y); }
+
+    const sorted = Array.from(buckets.values()).sort((a, b) => b.n - a.n);
+    const total = sorted.reduce((sum, b) => sum + b.n, 0);
+    const model = [];
+    let covered = 0;
+    for (const b of sorted) {
+      if (model.length >= 12 || covered >= total * 0.9) break;
+      // Ignore colours that only appear in a few border pixels (e.g. a shoulder)
+      if (b.n < total * 0.02) break;
+      model.push([b.r / b.n, b.g / b.n, b.b / b.n]);
+      covered += b.n;
+    }
+    return model;
+  }
+
+  // 1 = subject, 0 = background reachable from the seed edges
+  floodBackground(rgb, width, height, model) {
+    const { tolerance, stepTolerance, seedEdges } = this.options;
+    const tol2 = tolerance * tolerance;
+    const step2 = stepTolerance * stepTolerance;
+    const mask = new Uint8Array(width * height).fill(1);
+    const near = (p) => {
+      const i = p * 3;
+      return model.some(([r, g, b]) => {
+        const dr = rgb[i] - r, dg = rgb[i + 1] - g, db = rgb[i + 2] - b;
+        return dr * dr + dg * dg + db * db <= tol2;
+      });
+    };
+    const stepOk = (p, q) => {
+      const i = p * 3, j = q * 3;
+      const dr = rgb[i] - rgb[j], dg = rgb[i + 1] - rgb[j + 1], db = rgb[i + 2] - rgb[j + 2];
+      return dr * dr + dg * dg + db * db <= step2;
+    };
+
+    const queue = new Int32Array(width * height);
+    let head = 0, tail = 0;
+    const seed = (x, y) => {
+      const p = y * width + x;
+      if (mask[p] && near(p)) { mask[p] = 0; queue[tail++] = p; }
+    };
+    if (seedEdges.includes('top')) for (let x = 0; x < width; x++) seed(x, 0);
+    if (seedEdges.includes('bottom')) for (let x = 0; x < width; x++) seed(x, height - 1);
+    if (seedEdges.includes('left')) for (let y = 0; y < height; y++) seed(0, y);
+    if (seedEdges.includes('right')) for (let y = 0; y < height; y++) seed(width - 1, y);
+
+    while (head < tail) {
+      const p = queue[head++];
+      const x = p % width, y = (p - x) / width;
+      const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1];
+      for (const q of neighbours) {
+        if (q < 0 || !mask[q]) continue;
+        if (near(q) && stepOk(p, q)) { mask[q] = 0; queue[tail++] = q; }
+      }
+    }
+    return mask;
+  }
+
+  // Background regions that do not touch the border are holes in the subject
+  fillHoles(mask, width, height) {
+    const out = mask.slice();
+    const outside = new Uint8Array(width * height);
+    const queue = new Int32Array(width * height);
+    let head = 0, tail = 0;
+    const seed = (p) => { if (!mask[p] && !outside[p]) { outside[p] = 1; queue[tail++] = p; } };
+    for (let x = 0; x < width; x++) { seed(x); seed((height - 1) * width + x); }
+    for (let y = 0; y < height; y++) { seed(y * width); seed(y * width + width - 1); }
+    while (head < tail) {
+      const p = queue[head++];
+      const x = p % width, y = (p - x) / width;
+      if (x > 0) seed(p - 1);
+      if (x < width - 1) seed(p + 1);
+      if (y > 0) seed(p - width);
+      if (y < height - 1) seed(p + width);
+    }
+    for (let p = 0; p < out.length; p++) if (!outside[p]) out[p] = 1;
+    return out;
+  }
+
+  // Square-window min/max filters, separable, via running sums
+  erode(mask, width, height, radius) {
+    return this.windowFilter(mask, width, height, radius, (sum, count) => (sum === count ? 1 : 0));
+  }
+
+  dilate(mask, width, height, radius) {
+    return this.windowFilter(mask, width, height, radius, (sum) => (sum > 0 ? 1 : 0));
+  }
+
+  windowFilter(mask, width, height, radius, decide) {
+    const pass = (src, len, lines, at) => {
+      const dst = new Uint8Array(src.length);
+      for (let line = 0; line < lines; line++) {
+        let sum = 0;
+        for (let k = 0; k <= Math.min(radius, len - 1); k++) sum += src[at(line, k)];
+        for (let k = 0; k < len; k++) {
+          const lo = Math.max(0, k - radius), hi = Math.min(len - 1, k + radius);
+          dst[at(line, k)] = decide(sum, hi - lo + 1);
+          if (k + radius + 1 < len) sum += src[at(line, k + radius + 1)];
+          if (k - radius >= 0) sum -= src[at(line, k - radius)];
+        }
+      }
+      return dst;
+    };
+    const horizontal = pass(mask, width, height, (y, x) => y * width + x);
+    return pass(horizontal, height, width, (x, y) => y * width + x);
+  }
+
+  largestComponent(mask, width, height) {
+    const labels = new Int32Array(width * height);
+    const queue = new Int32Array(width * height);
+    let best = 0, bestSize = 0, label = 0;
+    for (let start = 0; start < mask.length; start++) {
+      if (!mask[start] || labels[start]) continue;
+      label++;
+      let head = 0, tail = 0, size = 0;
+      labels[start] = label; queue[tail++] = start;
+      while (head < tail) {
+        const p = queue[head++];
+        size++;
+        const x = p % width, y = (p - x) / width;
+        const neighbours = [x > 0 ? p - 1 : -1, x < width - 1 ? p + 1 : -1, y > 0 ? p - width : -1, y < height - 1 ? p + width : -1];
+        for (const q of neighbours) {
+          if (q >= 0 && mask[q] && !labels[q]) { labels[q] = label; queue[tail++] = q; }
+        }
+      }
+      if (size > bestSize) { bestSize = size; best = label; }
+    }
+    if (!best) return mask;
+    return mask.map((v, p) => (labels[p] === best ? 1 : 0));
+  }
+}
+
+module.exports = { SubjectMatting, DEFAULT_OPTIONS, STEPS, optionsFromEnv };
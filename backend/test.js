@@ -1,8 +1,30 @@
 // Test script for backend functionality
 require('dotenv').config({ path: '../.env' });
-const { ImageGenerator } = require('./image-generator');
+const { ImageGenerator, BANNER_WIDTH, BANNER_HEIGHT } = require('./image-generator');
+const { BasePhotoLibrary } = require('./base-photo-library');
+const { JobManager } = require('./job-manager');
+const { ImageCatalog } = require('./image-catalog');
+const { RotationEngine } = require('./rotation-engine');
+const { CampaignScheduler } = require('./campaign-scheduler');
+const { OpenAIEditProvider } = require('./providers/openai');
+const { SubjectMatting, DEFAULT_OPTIONS: MATTE_DEFAULTS, optionsFromEnv: optionsFromMatteEnv } = require('./subject-matting');
+const { ThemeLibrary } = require('./theme-library');
+const { OverlayRenderer } = require('./overlay-renderer');
+const { QualityGate, optionsFromEnv: optionsFromQualityEnv } = require('./quality-gate');
+const { perceptualHash, compare, isNearDuplicate, thresholdsFromEnv, DEFAULT_DUPLICATE_THRESHOLDS } = require('./perceptual-hash');
+const { ExportPipeline, UPLOAD_SPECS, optionsFromEnv: optionsFromExportEnv } = require('./export-pipeline');
+const { BaseCropper, DEFAULT_CROP_OPTIONS, optionsFromEnv: optionsFromCropEnv } = require('./base-photo-crop');
+const { ColorGrader, GRADING_PRESETS, DEFAULT_GRADING_OPTIONS, optionsFromEnv: optionsFromGradingEnv } = require('./color-grading');
+const { UpdateHistory } = require('./update-history');
+const { SelectorProfiles } = require('./selector-profiles');
+const { UpdateSchedule } = require('../extension/schedule');
+const { ImageCache } = require('../extension/image-cache');
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
 const fs = require('fs').promises;
 const path = require('path');
+const os = require('os');
 
 async function testImageGenerator() {
   console.log('🧪 Testing Image Generator...');
@@ -36,12 +58,12 @@ async function testImageGenerator() {
       generatedAt: new Date().toISOString()
     }];
     
-    await generator.saveMetadata(testMetadata);
+    const [record] = await generator.saveMetadata(testMetadata);
+    if (record.prompt !== 'Test prompt') throw new Error('Catalog record lost its prompt');
     console.log('✅ Metadata handling works');
 
     // Clean up test metadata
-    const metadataPath = path.join(generator.storagePath, 'metadata.json');
-    await fs.unlink(metadataPath).catch(() => {});
+    await generator.catalog.remove(record.id);
 
     console.log('🎉 All tests passed!');
     return true;
@@ -52,15 +74,1353 @@ async function testImageGenerator() {
   }
 }
 
+async function testBasePhotoLibrary() {
+  console.log('🧪 Testing Base Photo Library...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-pfp-'));
+  try {
+    const library = new BasePhotoLibrary(dir);
+
+    // A photo dropped into the folder by hand is picked up and becomes active
+    await fs.writeFile(path.join(dir, 'dropped.jpg'), Buffer.from('jpg'));
+    let photos = await library.list();
+    if (photos.length !== 1 || !photos[0].active) throw new Error('Dropped photo not indexed as active');
+    console.log('✅ Existing folder contents indexed');
+
+    const formal = await library.add(Buffer.from('png'), 'formal.png');
+    if (formal.active) throw new Error('Upload should not steal the active photo');
+    await library.setActive(formal.id);
+    if ((await library.getActive()).id !== formal.id) throw new Error('setActive did not switch photo');
+    console.log('✅ Upload and set active work');
+
+    await library.rename(formal.id, 'Conference');
+    if ((await library.get(formal.id)).name !== 'Conference') throw new Error('Rename failed');
+    console.log('✅ Rename works');
+
+    await library.remove(formal.id);
+    photos = await library.list();
+    if (photos.length !== 1 || !photos[0].active) throw new Error('Removing active photo should fall back to another');
+    console.log('✅ Delete falls back to remaining photo');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Base photo library test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testJobManager() {
+  console.log('🧪 Testing Job Manager...');
+
+  try {
+    const jobs = new JobManager();
+    const waitFor = (job) => new Promise(resolve => {
+      if (jobs.isFinished(job)) return resolve(job);
+      jobs.on(`update:${job.id}`, j => { if (jobs.isFinished(j)) resolve(j); });
+    });
+
+    const first = jobs.create({ type: 'test', total: 2 }, async ({ progress }) => {
+      progress(0, { status: 'done', filename: 'a.png' });
+      progress(1, { status: 'failed', error: 'boom' });
+      return { success: true };
+    });
+    const done = await waitFor(first);
+    if (done.status !== 'completed' || done.completed !== 1 || done.failed !== 1) {
+      throw new Error(`Unexpected job state ${done.status} ${done.completed}/${done.failed}`);
+    }
+    console.log('✅ Jobs report per-image progress');
+
+    const slow = jobs.create({ type: 'test', total: 3 }, async ({ signal, progress }) => {
+      for (let i = 0; i < 3 && !signal.aborted; i++) {
+        progress(i, { status: 'done' });
+        await new Promise(resolve => setTimeout(resolve, 50));
+      }
+      return { success: true };
+    });
+    const queued = jobs.create({ type: 'test', total: 1 }, async () => ({ success: true }));
+    jobs.cancel(queued.id);
+    jobs.cancel(slow.id);
+    const [slowDone, queuedDone] = await Promise.all([waitFor(slow), waitFor(queued)]);
+    if (slowDone.status !== 'cancelled' || queuedDone.status !== 'cancelled') throw new Error('Cancel did not stop jobs');
+    if (!slowDone.images.some(i => i.status === 'skipped')) throw new Error('Cancelled job should mark remaining images skipped');
+    console.log('✅ Running and queued jobs can be cancelled');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Job manager test failed:', error.message);
+    return false;
+  }
+}
+
+async function testImageCatalog() {
+  console.log('🧪 Testing Image Catalog...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'catalog-'));
+  try {
+    const png = (color) => sharp({ create: { width: 8, height: 8, channels: 3, background: color } }).png().toBuffer();
+    await fs.writeFile(path.join(dir, 'old.png'), await png('#ff0000'));
+    await fs.writeFile(path.join(dir, 'metadata.json'), JSON.stringify({
+      images: [{ filename: 'old.png', prompt: 'local-background', generatedAt: '2024-01-01T00:00:00.000Z' }]
+    }));
+
+    // Files from before the catalog existed are imported with their legacy metadata
+    let catalog = new ImageCatalog(dir);
+    const imported = await catalog.get('old');
+    if (!imported || imported.provider !== 'local' || imported.width !== 8) throw new Error('Legacy image not imported');
+    console.log('✅ Legacy metadata.json imported');
+
+    await fs.writeFile(path.join(dir, 'new.png'), await png('#0000ff'));
+    await catalog.add({ filename: 'new.png', provider: 'openai', basePhotoId: 'base_1', prompt: 'Studio' });
+    await catalog.markApplied('new');
+
+    // A fresh instance reads everything back from disk
+    catalog = new ImageCatalog(dir);
+    const reloaded = await catalog.get('new');
+    if (reloaded.timesApplied !== 1 || !reloaded.lastAppliedAt || !reloaded.hash) throw new Error('Record not persisted');
+    console.log('✅ Records survive a reload');
+
+    const filtered = await catalog.query({ basePhotoId: 'base_1' });
+    if (filtered.total !== 1 || filtered.images[0].id !== 'new') throw new Error('Filtering failed');
+    const page = await catalog.query({ sort: 'createdAt', order: 'asc', limit: 1, offset: 1 });
+    if (page.total !== 2 || page.images.length !== 1 || page.images[0].id !== 'new') throw new Error('Sorting/pagination failed');
+    console.log('✅ Filtering, sorting and pagination work');
+
+    await catalog.curate('old', { excluded: true, tags: ['Conference', 'conference ', 'formal'] });
+    await catalog.curate('new', { favorite: true });
+    const eligible = await catalog.query({ excluded: false });
+    if (eligible.total !== 1 || eligible.images[0].id !== 'new') throw new Error('Excluded image still listed');
+    const tagged = await catalog.get('old');
+    if (tagged.tags.join(',') !== 'conference,formal') throw new Error(`Tags not normalized: ${tagged.tags}`);
+    if ((await catalog.query({ favorite: true })).images[0].id !== 'new') throw new Error('Favorite filter failed');
+    console.log('✅ Curation flags and tags work');
+
+    await catalog.setEditor('new', { zoom: 40, offsetY: -10, filter: 'studio', visibility: 'connections' });
+    const tuned = await new ImageCatalog(dir).get('new');
+    if (tuned.editor?.zoom !== 40 || tuned.editor.filter !== 'studio' || tuned.editor.visibility !== 'connections') throw new Error('Editor settings not persisted');
+    if ((await catalog.get('old')).editor !== null) throw new Error('Untuned image should have no editor settings');
+    for (const bad of [{ zoom: 150 }, { filter: 'sepia' }, { visibility: 'friends' }, { crop: 1 }]) {
+      let rejected = false;
+      try { await catalog.setEditor('new', bad); } catch { rejected = true; }
+      if (!rejected) throw new Error(`Invalid editor settings accepted: ${JSON.stringify(bad)}`);
+    }
+    if ((await catalog.setEditor('new', null)).editor !== null) throw new Error('Editor settings not cleared');
+    console.log('✅ Editor settings are validated and stored with the image');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Image catalog test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testRotationEngine() {
+  console.log('🧪 Testing Rotation Engine...');
+
+  try {
+    // In-memory stand-in for the catalog with the same query() contract
+    let images = ['a', 'b', 'c', 'd'].map((id, i) => ({
+      id, createdAt: `2024-01-0${i + 1}T00:00:00.000Z`, favorite: id === 'd', excluded: false, lastAppliedAt: null
+    }));
+    const catalog = {
+      query: async () => ({ images: images.filter(img => !img.excluded) })
+    };
+    let seed = 7;
+    const random = () => ((seed = (seed * 16807) % 2147483647) - 1) / 2147483646;
+    const apply = async (engine) => {
+      const img = await engine.next();
+      img.lastAppliedAt = new Date(Date.now() + images.indexOf(img)).toISOString();
+      await engine.markApplied(img);
+      return img.id;
+    };
+
+    const sequential = new RotationEngine(catalog, { random });
+    if ((await sequential.next()).id !== (await sequential.next()).id) throw new Error('next() should be stable until applied');
+    const order = [await apply(sequential), await apply(sequential)];
+    images = images.filter(img => img.id !== 'b'); // deleting the cursor image must not reset the order
+    order.push(await apply(sequential), await apply(sequential));
+    if (order.join('') !== 'abcd') throw new Error(`Sequential order was ${order.join('')}`);
+    console.log('✅ Sequential keeps its place by image id');
+
+    const shuffle = new RotationEngine(catalog, { random });
+    await shuffle.configure({ strategy: 'shuffle' });
+    const round = [await apply(shuffle), await apply(shuffle), await apply(shuffle)];
+    if (new Set(round).size !== 3) throw new Error(`Shuffle repeated an image: ${round.join('')}`);
+    console.log('✅ Shuffle-bag shows each image once per round');
+
+    const weighted = new RotationEngine(catalog, { random });
+    await weighted.configure({ strategy: 'weighted', favoriteWeight: 50 });
+    let favorites = 0;
+    for (let i = 0; i < 20; i++) if ((await apply(weighted)) === 'd') favorites++;
+    if (favorites < 8) throw new Error(`Favorite picked only ${favorites}/20 times`);
+    console.log('✅ Weighted strategy favors starred images');
+
+    images.forEach((img, i) => { img.lastAppliedAt = `2024-02-0${i + 1}T00:00:00.000Z`; });
+    const lru = new RotationEngine(catalog, { random });
+    await lru.configure({ strategy: 'lru' });
+    if ((await lru.next()).id !== images[0].id) throw new Error('LRU did not pick the stalest image');
+    console.log('✅ Least-recently-used picks the stalest image');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Rotation engine test failed:', error.message);
+    return false;
+  }
+}
+
+async function testCampaignScheduler() {
+  console.log('🧪 Testing campaign scheduling...');
+
+  try {
+    const scheduler = new CampaignScheduler();
+    const festive = await scheduler.create({ name: 'Festive', start: '2024-12-20', end: '2025-01-05', recurrence: 'yearly', themes: ['theme_festive'] });
+    const conference = await scheduler.create({ name: 'NodeConf', start: '2025-10-13', end: '2025-10-17', tags: ['NodeConf'], priority: 5 });
+    const friday = await scheduler.create({ name: 'Casual Friday', start: '2025-01-03', end: '2025-01-03', recurrence: 'weekly', until: '2025-02-28', tags: ['casual'], priority: 1 });
+    const payday = await scheduler.create({ name: 'Month end', start: '2025-01-30', end: '2025-01-31', recurrence: 'monthly', tags: ['suit'] });
+    for (const bad of [{ name: 'x', start: '2025-02-30', end: '2025-03-01', tags: ['a'] }, { name: 'x', start: '2025-03-02', end: '2025-03-01', tags: ['a'] }, { name: 'x', start: '2025-03-01', end: '2025-03-02' }]) {
+      if (await scheduler.create(bad).then(() => true, () => false)) throw new Error(`Accepted invalid campaign ${JSON.stringify(bad)}`);
+    }
+
+    const expect = (campaign, date, active) => {
+      if (scheduler.isActive(campaign, date) !== active) throw new Error(`${campaign.name} on ${date} should be ${active ? 'active' : 'inactive'}`);
+    };
+    expect(festive, '2026-12-31', true);
+    expect(festive, '2027-01-02', true);
+    expect(festive, '2026-11-30', false);
+    expect(festive, '2024-06-01', false);
+    expect(conference, '2025-10-15', true);
+    expect(conference, '2026-10-15', false);
+    expect(friday, '2025-02-14', true);
+    expect(friday, '2025-02-13', false);
+    expect(friday, '2025-03-07', false);
+    expect(payday, '2025-02-28', true);
+    expect(payday, '2025-02-27', false);
+    console.log('✅ One-off, weekly, monthly and yearly ranges resolve by date');
+
+    const images = [
+      { id: 'plain', createdAt: '2025-01-01', tags: [] },
+      { id: 'badge', createdAt: '2025-01-02', tags: ['nodeconf'] },
+      { id: 'tree', createdAt: '2025-01-03', tags: [], theme: 'theme_festive' }
+    ];
+    const catalog = { query: async () => ({ images }) };
+    const rotation = new RotationEngine(catalog, { scheduler });
+    const ids = async date => (await scheduler.filterPool(images, date)).images.map(i => i.id).join();
+    if (await ids('2025-10-14') !== 'badge') throw new Error('Conference week should only show the badge image');
+    if (await ids('2025-12-24') !== 'tree') throw new Error('December should draw from the festive theme');
+    if (await ids('2025-06-01') !== 'plain') throw new Error('Campaign images leaked into the normal pool');
+    if (await ids('2025-01-03') !== 'tree') throw new Error('Campaign without images should fall through to the next one');
+
+    if ((await rotation.preview('2025-10-14')).id !== 'badge') throw new Error('Preview ignored the campaign');
+    if ((await rotation.next('2025-06-01')).id !== 'plain') throw new Error('next() ignored the date');
+    if ((await rotation.next('2025-10-14')).id !== 'badge') throw new Error('Pending image survived the campaign start');
+    // The campaign reported with the pool is the one that chose it, not the first active one
+    if ((await scheduler.activeOn('2025-01-03'))[0].id !== friday.id) throw new Error('Casual Friday should come first on 2025-01-03');
+    if ((await rotation.selection('2025-01-03')).campaign?.id !== festive.id) throw new Error('Selection named a campaign without images');
+    if ((await rotation.selection('2025-06-01')).campaign !== null) throw new Error('Selection named a campaign on a normal day');
+    console.log('✅ Campaigns steer the rotation pool and previews');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Campaign scheduler test failed:', error.message);
+    return false;
+  }
+}
+
+async function testUpdateSchedule() {
+  console.log('🧪 Testing update scheduling...');
+
+  try {
+    // 2025-01-06 is a Monday; all times are local
+    const at = (d, h = 0, m = 0) => new Date(2025, 0, d, h, m).getTime();
+    const expect = (actual, expected, what) => {
+      if (actual !== expected) throw new Error(`${what}: expected ${new Date(expected)}, got ${new Date(actual)}`);
+    };
+    const rules = { frequency: 'rules', scheduleRules: [{ days: [1, 4], time: '09:00' }] };
+
+    expect(new UpdateSchedule(rules).nextRun({ now: at(6, 8) }).at, at(6, 9), 'Monday before 09:00');
+    expect(new UpdateSchedule(rules).nextRun({ now: at(6, 10) }).at, at(9, 9), 'Monday after 09:00');
+    expect(new UpdateSchedule({ frequency: 'daily' }).nextRun({ lastRun: at(6, 12), now: at(6, 13) }).at, at(7, 12), 'Daily interval');
+    const jittered = new UpdateSchedule({ ...rules, jitterMinutes: 30 }, { random: () => 0.5 }).nextRun({ now: at(6, 8) });
+    expect(jittered.at, at(6, 9, 15), 'Jitter window');
+    if (new UpdateSchedule(rules).nextRun({ now: at(6, 8) }).reason !== 'scheduled') throw new Error('Regular run reported as catch-up');
+    console.log('✅ Weekday rules, intervals and jitter compute the next run');
+
+    const quiet = new UpdateSchedule({ ...rules, quietHours: { start: '22:00', end: '10:00' } }).nextRun({ now: at(6, 8) });
+    expect(quiet.at, at(6, 10), 'Quiet hours');
+    if (quiet.deferred !== 'quiet-hours') throw new Error('Quiet-hours deferral not reported');
+    const away = new UpdateSchedule({ ...rules, vacations: [{ start: '2025-01-06', end: '2025-01-12' }] }).nextRun({ now: at(5, 12) });
+    expect(away.at, at(13, 9), 'Vacation');
+    if (away.deferred !== 'vacation') throw new Error('Vacation deferral not reported');
+    if (new UpdateSchedule({ quietHours: { start: '22:00', end: '07:00' } }).blockedReason(at(6, 23)) !== 'quiet-hours') {
+      throw new Error('Late evening should be inside overnight quiet hours');
+    }
+    console.log('✅ Quiet hours and vacations push runs back');
+
+    // The browser was closed through Monday 09:00 and reopened on Tuesday
+    const missed = new UpdateSchedule(rules).nextRun({ lastRun: at(2, 9), now: at(7, 8) });
+    expect(missed.at, at(7, 8, 1), 'Catch-up');
+    if (missed.reason !== 'catch-up') throw new Error('Missed run not reported as catch-up');
+    expect(new UpdateSchedule({ ...rules, catchUp: false }).nextRun({ lastRun: at(2, 9), now: at(7, 8) }).at, at(9, 9), 'Skipped catch-up');
+    const lateNight = new UpdateSchedule({ ...rules, quietHours: { start: '22:00', end: '07:00' } }).nextRun({ lastRun: at(2, 9), now: at(7, 23) });
+    expect(lateNight.at, at(8, 7), 'Catch-up during quiet hours');
+    if (new UpdateSchedule({ frequency: 'rules', scheduleRules: [] }).nextRun({ now: at(6) }) !== null) throw new Error('Empty rules should not schedule');
+    console.log('✅ Missed runs are caught up once, outside quiet hours');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Update schedule test failed:', error.message);
+    return false;
+  }
+}
+
+async function testUpdateHistory() {
+  console.log('🧪 Testing update history...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'history-'));
+  try {
+    const history = new UpdateHistory(dir);
+    await history.append({ imageId: 'a', outcome: 'verified', at: '2025-01-01T09:00:00Z' });
+    await history.append({ imageId: 'b', outcome: 'failed', code: 'selector-not-found', error: 'No edit button', at: '2025-01-08T09:00:00Z' });
+    await history.append({ imageId: 'b', outcome: 'verified', trigger: 'manual', at: '2025-01-08T10:00:00Z' });
+    for (const bad of [{ imageId: 'x', outcome: 'maybe' }, { outcome: 'verified' }, { imageId: 'x', outcome: 'failed', trigger: 'cron' }]) {
+      if (await history.append(bad).then(() => true, () => false)) throw new Error(`Accepted invalid entry ${JSON.stringify(bad)}`);
+    }
+
+    // A fresh instance reads the same log back
+    const reloaded = new UpdateHistory(dir);
+    const entries = await reloaded.list();
+    if (entries.map(e => `${e.imageId}:${e.outcome}`).join() !== 'b:verified,b:failed,a:verified') throw new Error('History is not newest first');
+    if (entries[1].code !== 'selector-not-found' || entries[0].error !== null) throw new Error('Failure details not kept');
+    if ((await reloaded.current()).imageId !== 'b') throw new Error('Current picture should be the newest verified one');
+    if ((await reloaded.previous()).imageId !== 'a') throw new Error('Previous picture should skip failures');
+
+    await reloaded.append({ imageId: 'a', outcome: 'verified', trigger: 'rollback' });
+    if ((await reloaded.previous()).imageId !== 'b') throw new Error('Undoing a rollback should bring back the rolled-back picture');
+    console.log('✅ History is append-only and finds the previous picture');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Update history test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testSelectorProfiles() {
+  console.log('🧪 Testing selector profiles...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'selectors-'));
+  try {
+    const profiles = new SelectorProfiles(dir);
+    // The profile bundled with the extension must pass the backend's validation
+    const builtIn = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'extension', 'selector-profile.json'), 'utf8'));
+    profiles.normalize(builtIn);
+    if (await profiles.get() !== null) throw new Error('No profile should be saved yet');
+
+    const first = await profiles.save({ name: 'Team', steps: { editButton: [{ type: 'text', texts: ['Foto bearbeiten'] }] } });
+    const second = await profiles.save({ ...first, steps: { ...first.steps, fileInput: [{ type: 'css', selector: 'input[type=file]', visible: false }] } });
+    if (first.version !== 1 || second.version !== 2) throw new Error('Every save should bump the version');
+    if (first.steps.editButton[0].texts[0] !== 'foto bearbeiten') throw new Error('Texts should be lower-cased');
+    if ((await new SelectorProfiles(dir).get()).steps.fileInput[0].visible !== false) throw new Error('Saved profile not read back');
+    for (const bad of [{ steps: {} }, { steps: { avatar: [{ type: 'css', selector: 'img' }] } }, { steps: { editButton: [{ type: 'xpath', selector: '//button' }] } },
+      { steps: { editButton: [{ type: 'near', texts: ['edit'] }] } }, { steps: { saveButton: [{ type: 'text', texts: [] }] } }]) {
+      if (await profiles.save(bad).then(() => true, () => false)) throw new Error(`Accepted invalid profile ${JSON.stringify(bad)}`);
+    }
+    if (!(await profiles.reset()) || await profiles.get() !== null) throw new Error('Reset should remove the saved profile');
+    console.log('✅ Profiles are validated, versioned and resettable');
+
+    await profiles.addDiagnostics({ failedStep: 'edit-button', profileStep: 'editButton', strategies: [], candidates: [] });
+    await profiles.addDiagnostics({ failedStep: 'file-input', profileStep: 'fileInput', strategies: [], candidates: [] });
+    const diagnostics = await profiles.listDiagnostics();
+    if (diagnostics.map(d => d.failedStep).join() !== 'file-input,edit-button') throw new Error('Diagnostics should be newest first');
+    if (await profiles.addDiagnostics({}).then(() => true, () => false)) throw new Error('Accepted diagnostics without a step');
+    console.log('✅ Diagnostics captures are stored');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Selector profile test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testLocalizedSelectors() {
+  console.log('🧪 Testing localized selectors against DOM fixtures...');
+
+  const saved = { document: global.document, location: global.location, chrome: global.chrome };
+  try {
+    const { parseHTML } = require('linkedom');
+    global.chrome = { runtime: { onMessage: { addListener() {} } } };
+    const { LinkedInAutomation } = require('../extension/content');
+    const profile = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'extension', 'selector-profile.json'), 'utf8'));
+    const fixtures = path.join(__dirname, '..', 'extension', 'fixtures');
+    const steps = ['profilePhoto', 'editButton', 'fileInput', 'saveButton', 'doneButton', 'cropTab', 'zoomSlider', 'straightenSlider', 'cropArea', 'filterTab', 'visibilityButton', 'bannerImage', 'editBannerButton', 'bannerUploadOption'];
+
+    for (const [file, locale] of [['linkedin-profile.en.html', 'en'], ['linkedin-profile.de.html', 'de'], ['linkedin-profile.es.html', 'es'], ['linkedin-profile.fr.html', 'fr']]) {
+      const { document } = parseHTML(await fs.readFile(path.join(fixtures, file), 'utf8'));
+      global.document = document;
+      global.location = { href: 'https://www.linkedin.com/in/me/' };
+      const automation = new LinkedInAutomation();
+      automation.profile = profile;
+
+      if (automation.detectLocale() !== locale) throw new Error(`${file}: detected ${automation.detectLocale()} instead of ${locale}`);
+      for (const step of steps) {
+        const expected = document.querySelector(`[data-fixture="${step}"]`);
+        if (automation.find(step) !== expected) throw new Error(`${file}: ${step} found the wrong element`);
+      }
+      // The edit button is labelled, so it must win over the visible-text distractor before it
+      if (profile.steps.editButton[automation.matchedStrategy.editButton].type !== 'aria') throw new Error(`${file}: edit button not found by aria-label`);
+      if (automation.getProfilePhotoSrc() !== document.querySelector('[data-fixture="profilePhoto"]').src) throw new Error(`${file}: photo src not read`);
+    }
+    console.log('✅ English, German, Spanish and French profiles resolve every step');
+
+    // Without a translation the automation falls back to English wording
+    const { document } = parseHTML('<html lang="it"><body><button aria-label="Edit photo">x</button></body></html>');
+    global.document = document;
+    const automation = new LinkedInAutomation();
+    automation.profile = profile;
+    if (automation.find('editButton') !== document.querySelector('button')) throw new Error('English fallback not used for an unknown language');
+
+    const diagnostics = automation.captureDiagnostics('save', 'saveButton');
+    if (diagnostics.locale !== 'it' || diagnostics.strategies.length !== profile.steps.saveButton.length) throw new Error('Diagnostics incomplete');
+    console.log('✅ Unknown languages fall back to English');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Localized selector test failed:', error.message);
+    return false;
+  } finally {
+    Object.assign(global, saved);
+  }
+}
+
+async function testPhotoEditorSettings() {
+  console.log('🧪 Testing photo editor settings against DOM fixtures...');
+
+  const globals = ['document', 'location', 'chrome', 'Event', 'MouseEvent', 'PointerEvent'];
+  const saved = Object.fromEntries(globals.map(key => [key, global[key]]));
+  try {
+    const { parseHTML } = require('linkedom');
+    global.chrome = { runtime: { onMessage: { addListener() {} } } };
+    const { LinkedInAutomation } = require('../extension/content');
+    const profile = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'extension', 'selector-profile.json'), 'utf8'));
+    const fixtures = path.join(__dirname, '..', 'extension', 'fixtures');
+    const editor = { zoom: 50, straighten: -5, offsetX: 10, filter: 'studio', visibility: 'connections' };
+
+    for (const locale of ['en', 'de', 'es', 'fr']) {
+      const window = parseHTML(await fs.readFile(path.join(fixtures, `linkedin-profile.${locale}.html`), 'utf8'));
+      const { document } = window;
+      // linkedom has one Event class; the events only need to reach the listeners
+      Object.assign(global, { document, location: { href: 'https://www.linkedin.com/in/me/' }, Event: window.Event, MouseEvent: window.Event, PointerEvent: window.Event });
+      const automation = new LinkedInAutomation();
+      automation.profile = profile;
+      automation.sleep = async () => {};
+
+      const fixture = (name) => document.querySelector(`[data-fixture="${name}"]`);
+      const seen = [];
+      for (const name of ['filterOption', 'visibilityButton', 'visibilityOption']) fixture(name).addEventListener('click', () => seen.push(name));
+      fixture('zoomSlider').addEventListener('input', () => seen.push('zoom'));
+      fixture('cropArea').addEventListener('pointermove', () => seen.push('drag'));
+
+      const steps = [];
+      await automation.applyEditorSettings(editor, async (name, fn) => { steps.push(name); return fn(); });
+      if (steps.join(',') !== 'zoom,straighten,offset,filter,visibility-menu,visibility') throw new Error(`${locale}: ran ${steps.join(',')}`);
+      if (fixture('zoomSlider').value !== '2.5' || fixture('straightenSlider').value !== '-5') throw new Error(`${locale}: sliders not set`);
+      for (const name of ['zoom', 'drag', 'filterOption', 'visibilityButton', 'visibilityOption']) {
+        if (!seen.includes(name)) throw new Error(`${locale}: ${name} not used`);
+      }
+    }
+    console.log('✅ Zoom, straighten, offset, filter and visibility applied in every language');
+
+    // A setting whose control is missing fails its step with diagnostics for that option
+    const { document } = parseHTML('<html lang="en"><body><button role="radio" aria-label="Studio">Studio</button></body></html>');
+    global.document = document;
+    const automation = new LinkedInAutomation();
+    automation.profile = profile;
+    automation.sleep = async () => {};
+    let failure = null;
+    await automation.applyEditorSettings({ filter: 'prime' }, async (name, fn, { selectors, option }) => {
+      try {
+        return await fn();
+      } catch (error) {
+        failure = { name, diagnostics: automation.captureDiagnostics(name, selectors, option) };
+        throw error;
+      }
+    }).catch(() => {});
+    if (failure?.name !== 'filter' || failure.diagnostics.option !== 'prime' || failure.diagnostics.strategies[0].matches !== 0) throw new Error('Missing filter not reported');
+    console.log('✅ Missing editor controls fail with diagnostics');
+
+    // An editor without a save button fails the update at save instead of passing silently
+    const page = parseHTML(await fs.readFile(path.join(fixtures, 'linkedin-profile.en.html'), 'utf8'));
+    page.document.querySelector('[data-fixture="saveButton"]').remove();
+    Object.assign(global, { document: page.document, Event: page.Event });
+    const updater = new LinkedInAutomation();
+    updater.profile = profile;
+    updater.sleep = async () => {};
+    updater.createFileFromPath = async () => ({ name: 'photo.png' });
+    updater.uploadFile = async () => {};
+    const report = await updater.updateProfilePicture('http://localhost:3000/uploads/1', 'photo.png', null);
+    if (report.verified || report.failedStep !== 'save' || report.code !== 'selector-not-found') throw new Error(`Missing save button reported as ${report.failedStep}/${report.code}`);
+    if (report.diagnostics?.profileStep !== 'saveButton' || !report.diagnostics.candidates.length) throw new Error('Missing save button has no diagnostics');
+    console.log('✅ A missing save button fails the update with diagnostics');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Photo editor settings test failed:', error.message);
+    return false;
+  } finally {
+    Object.assign(global, saved);
+  }
+}
+
+async function testOfflinePipeline() {
+  console.log('🧪 Testing offline generate → store → rotate with the stub provider...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'pipeline-'));
+  const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER };
+  try {
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    const generator = new ImageGenerator();
+    if (generator.getProvider().name !== 'stub') throw new Error('IMAGE_PROVIDER not honoured');
+
+    const basePath = path.join(dir, 'base.png');
+    await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toFile(basePath);
+
+    const first = await generator.generateImages(basePath, 3, { basePhotoId: 'base_test' });
+    const second = await generator.generateImages(basePath, 3);
+    if (!first.success || first.count !== 3) throw new Error(`Stub batch failed: ${first.error || first.count}`);
+    if (first.images.some((img, i) => img.hash !== second.images[i].hash)) throw new Error('Stub output is not deterministic');
+    if (first.images[0].provider !== 'stub' || first.images[0].basePhotoId !== 'base_test') throw new Error('Provider metadata missing');
+    console.log('✅ Stub provider is deterministic and catalogued');
+
+    const rotation = new RotationEngine(generator.catalog);
+    const next = await rotation.next();
+    if (next.id !== first.images[0].id) throw new Error('Rotation did not start with the oldest stub image');
+    console.log('✅ Stub images flow into rotation');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Offline pipeline test failed:', error.message);
+    return false;
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testBannerRotation() {
+  console.log('🧪 Testing background banners...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'banners-'));
+  const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER };
+  try {
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    const generator = new ImageGenerator();
+    const basePath = path.join(dir, 'base.png');
+    await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toFile(basePath);
+    const photos = (await generator.generateImages(basePath, 2)).images;
+
+    const matched = await generator.generateBanners(2, { match: photos[0] });
+    if (!matched.success || matched.count !== 2) throw new Error(`Banner batch failed: ${matched.error || matched.count}`);
+    const { width, height } = await sharp(matched.images[0].filepath).metadata();
+    if (width !== BANNER_WIDTH || height !== BANNER_HEIGHT) throw new Error(`Banner is ${width}x${height}`);
+    if (matched.images.some(b => b.kind !== 'banner' || b.pairedWith !== null)) throw new Error('Banners not catalogued as unpaired banners');
+    if (photos[0].theme && matched.images[0].theme !== photos[0].theme) throw new Error('Banner does not match the photo theme');
+    console.log('✅ Banners are 1584x396 and follow the photo theme');
+
+    const paired = await generator.generateBanners(0, { pairWith: photos });
+    if (paired.images.map(b => b.pairedWith).join() !== photos.map(p => p.id).join()) throw new Error('Banners not paired one per photo');
+    const catalog = generator.catalog;
+    if ((await catalog.query({ pairedWith: photos[1].id })).images[0]?.id !== paired.images[1].id) throw new Error('pairedWith filter failed');
+    await catalog.curate(matched.images[0].id, { pairedWith: photos[1].id });
+    for (const [id, changes] of [[photos[0].id, { pairedWith: photos[1].id }], [matched.images[1].id, { pairedWith: matched.images[0].id }]]) {
+      if (await catalog.curate(id, changes).then(() => true, () => false)) throw new Error(`Invalid pairing accepted for ${id}`);
+    }
+    console.log('✅ Banners pair with photos and only with photos');
+
+    // Each kind rotates through its own pool
+    const photoRotation = new RotationEngine(catalog);
+    const bannerRotation = new RotationEngine(catalog, { kind: 'banner' });
+    if ((await photoRotation.next()).kind !== 'photo' || (await bannerRotation.next()).id !== matched.images[0].id) throw new Error('Rotation pools are mixed');
+    console.log('✅ Photos and banners rotate separately');
+
+    const history = new UpdateHistory(dir);
+    await history.append({ imageId: photos[0].id, outcome: 'verified', at: '2025-01-01T09:00:00Z' });
+    await history.append({ imageId: paired.images[0].id, kind: 'banner', outcome: 'verified', at: '2025-01-02T09:00:00Z' });
+    if ((await history.current()).imageId !== photos[0].id || (await history.current('banner')).imageId !== paired.images[0].id) throw new Error('History mixes photos and banners');
+    if ((await history.list({ kind: 'photo' })).length !== 1) throw new Error('History kind filter failed');
+    if (await history.append({ imageId: 'x', kind: 'cover', outcome: 'verified' }).then(() => true, () => false)) throw new Error('Unknown kind accepted');
+    console.log('✅ History tracks the live banner apart from the photo');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Banner test failed:', error.message);
+    return false;
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testOfflineCache() {
+  console.log('🧪 Testing the extension offline image cache...');
+
+  try {
+    // In-memory stand-in for IndexedDB and a backend that can be switched off
+    const entries = new Map();
+    const store = {
+      all: async () => [...entries.values()],
+      get: async (id) => entries.get(id),
+      put: async (entry) => { entries.set(entry.id, entry); },
+      delete: async (id) => { entries.delete(id); }
+    };
+    const MB = 1024 * 1024;
+    const record = (id, extra = {}) => ({ id, filename: `${id}.png`, kind: 'photo', hash: `${id}-1`, uploadKey: `${id}-jpeg`, createdAt: `2025-01-0${id.length}T00:00:00Z`, lastAppliedAt: null, favorite: false, excluded: false, ...extra });
+    let images = [
+      record('a', { lastAppliedAt: '2025-02-01T00:00:00Z' }),
+      record('bb'),
+      record('ccc', { favorite: true, lastAppliedAt: '2025-03-01T00:00:00Z' }),
+      record('dddd', { kind: 'banner', pairedWith: 'bb' })
+    ];
+    let online = true;
+    const downloads = [];
+    const fetch = async (url) => {
+      if (!online) throw new Error('ECONNREFUSED');
+      const file = decodeURIComponent(url.split('/images/')[1] || '');
+      if (!file) return { json: async () => ({ success: true, images: images.filter(img => !img.excluded) }) };
+      downloads.push(file);
+      return { ok: true, blob: async () => new Blob([Buffer.alloc(MB, 1)], { type: 'image/jpeg' }) };
+    };
+    const cache = new ImageCache({ backendUrl: 'http://backend', store, fetch });
+
+    let result = await cache.sync({ maxMB: 3, maxImages: 10 });
+    if (result.count !== 3 || result.skipped !== 1 || result.bytes !== 3 * MB) throw new Error(`Size limit not applied: ${JSON.stringify(result)}`);
+    if (entries.has('a')) throw new Error('The most recently applied image should be dropped first');
+    if (!entries.has('ccc')) throw new Error('Favourites should always be cached');
+    result = await cache.sync({ maxMB: 50, maxImages: 2 });
+    if (result.count !== 2 || result.removed !== 1 || !entries.has('ccc') || !entries.has('bb')) throw new Error(`Image limit not applied: ${JSON.stringify(result)}`);
+    console.log('✅ Sync keeps favourites and the images due next within the limits');
+
+    downloads.length = 0;
+    images = images.map(img => img.id === 'ccc' ? { ...img, excluded: true } : img.id === 'bb' ? { ...img, hash: 'bb-2', uploadKey: 'bb-2-jpeg' } : img);
+    result = await cache.sync();
+    if (downloads.join() !== 'bb/upload,dddd/upload,a/upload' || entries.has('ccc')) throw new Error(`Unexpected downloads ${downloads.join()}`);
+    if (result.downloaded !== 3 || result.removed !== 1) throw new Error('Sync counts are wrong');
+    // New export settings on the backend change the upload variant of an unchanged image
+    downloads.length = 0;
+    images = images.map(img => img.id === 'a' ? { ...img, uploadKey: 'a-webp' } : img);
+    result = await cache.sync();
+    if (downloads.join() !== 'a/upload' || result.downloaded !== 1) throw new Error(`Export change not picked up: ${downloads.join()}`);
+    console.log('✅ Only new or changed files are downloaded; hidden images leave the cache');
+
+    // With the backend gone, the cache rotates on its own
+    online = false;
+    if (await cache.sync().then(() => true, (error) => error.code !== 'backend-down')) throw new Error('Offline sync should fail with backend-down');
+    const first = await cache.next();
+    if (first.id !== 'bb' || first.banner?.id !== 'dddd') throw new Error(`Offline rotation picked ${first.id} without its banner`);
+    await cache.markApplied('bb');
+    if ((await cache.next()).id !== 'a' || (await cache.next('banner')).id !== 'dddd') throw new Error('Offline rotation did not move on');
+    const dataUrl = await cache.dataUrl('a');
+    if (!dataUrl.startsWith('data:image/jpeg;base64,') || Buffer.from(dataUrl.split(',')[1], 'base64').length !== MB) throw new Error('Cached file not readable as a data URL');
+    console.log('✅ Offline rotation moves on from the cache and serves files inline');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Offline cache test failed:', error.message);
+    return false;
+  }
+}
+
+// Textured "person" on a light studio background, sharp enough for the quality gate
+function portrait(face = '#c68642', size = 1024, backdrop = '#f4f4f4') {
+  return sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="512" height="512">
+    <defs>
+      <pattern id="weave" width="6" height="6" patternUnits="userSpaceOnUse"><rect width="6" height="6" fill="#1f2937"/><rect width="3" height="3" fill="#4b5563"/></pattern>
+      <pattern id="skin" width="4" height="4" patternUnits="userSpaceOnUse"><rect width="4" height="4" fill="${face}"/><rect width="2" height="2" fill="#a0522d" opacity="0.5"/></pattern>
+    </defs>
+    <rect width="512" height="512" fill="${backdrop}"/>
+    <path d="M76 512 L140 400 L372 400 L436 512 Z" fill="url(#weave)"/>
+    <ellipse cx="256" cy="250" rx="110" ry="150" fill="url(#skin)"/>
+  </svg>`)).resize(size).png().toBuffer();
+}
+
+async function testQualityGate() {
+  console.log('🧪 Testing the quality gate...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'quality-'));
+  const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER };
+  try {
+    const good = await portrait();
+    const gate = new QualityGate();
+    const reference = await gate.reference(await portrait('#c68642', 512));
+
+    const passed = await gate.evaluate(good, reference);
+    if (!passed.passed || passed.faceSimilarity < 0.9) throw new Error(`Good portrait rejected: ${passed.failures.join(', ')}`);
+    const tiny = await sharp({ create: { width: 1024, height: 1024, channels: 3, background: '#f4f4f4' } })
+      .composite([{ input: await portrait('#c68642', 160), left: 432, top: 432 }]).png().toBuffer();
+    const cases = {
+      blurry: await sharp(good).blur(8).toBuffer(),
+      'too dark': await sharp(good).linear(0.15, 0).toBuffer(),
+      'subject too small': tiny,
+      'face does not match': await portrait('#3b82f6')
+    };
+    for (const [reason, buffer] of Object.entries(cases)) {
+      const result = await gate.evaluate(buffer, reference);
+      if (result.passed || !result.failures.some(f => f.startsWith(reason))) throw new Error(`Expected "${reason}", got ${result.failures.join(', ') || 'a pass'}`);
+    }
+    console.log('✅ Blur, exposure, crop coverage and face colour are scored');
+
+    // Settings that are not numbers keep their defaults instead of skipping slots or checks
+    const misread = new QualityGate(optionsFromQualityEnv({ QUALITY_RETRIES: 'two', QUALITY_MIN_SHARPNESS: 'high', QUALITY_MIN_COVERAGE: '0.2' }));
+    if (misread.retries !== gate.retries || misread.thresholds.sharpness !== gate.thresholds.sharpness || misread.thresholds.coverage !== 0.2) {
+      throw new Error(`Non-numeric settings not replaced by defaults: ${misread.retries} ${JSON.stringify(misread.thresholds)}`);
+    }
+
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    const generator = new ImageGenerator();
+    const basePath = path.join(dir, 'base.png');
+    await fs.writeFile(basePath, await portrait('#c68642', 512));
+    // A provider whose first sample of every slot is blurry; the slots differ in backdrop
+    // so the second is not turned away as a lookalike of the first
+    const backdrops = [good, await portrait('#c68642', 1024, '#bfdbfe')];
+    const attempts = [];
+    generator.providers.set('flaky', {
+      name: 'flaky',
+      rateLimited: false,
+      isConfigured: () => true,
+      generate: async ({ index, attempt }) => {
+        attempts.push(`${index}:${attempt}`);
+        return { buffer: attempt === 0 ? cases.blurry : backdrops[index], prompt: 'flaky' };
+      }
+    });
+    const progress = [];
+    const result = await generator.generateImages(basePath, 2, { provider: 'flaky', onProgress: (i, patch) => progress.push(patch) });
+    if (result.count !== 2 || attempts.join() !== '0:0,0:1,1:0,1:1') throw new Error(`Rejected images not regenerated: ${attempts.join()}`);
+    const stored = await new ImageCatalog(generator.storagePath).get(result.images[0].id);
+    if (stored.quality?.attempts !== 2 || stored.quality.sharpness < gate.thresholds.sharpness || 'failures' in stored.quality) throw new Error('Scores not stored with the image');
+    if (!progress.some(p => p.rejected?.[0]?.startsWith('blurry'))) throw new Error('Rejection not reported as progress');
+    console.log('✅ Rejected images are regenerated and the scores kept in the catalog');
+
+    generator.providers.set('blurry', { name: 'blurry', rateLimited: false, isConfigured: () => true, generate: async () => ({ buffer: cases.blurry, prompt: 'blurry' }) });
+    progress.length = 0;
+    const rejected = await generator.generateImages(basePath, 1, { provider: 'blurry', onProgress: (i, patch) => progress.push(patch) });
+    const failure = progress.find(p => p.status === 'failed');
+    if (rejected.count !== 0 || !failure?.error.startsWith('Rejected by the quality gate')) throw new Error('An image below the thresholds was kept');
+    if ((await generator.catalog.query()).total !== 2) throw new Error('Rejected image reached the catalog');
+    console.log(`✅ A slot fails after ${gate.retries + 1} rejected attempts`);
+
+    return true;
+  } catch (error) {
+    console.error('❌ Quality gate test failed:', error.message);
+    return false;
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testDuplicateDetection() {
+  console.log('🧪 Testing near-duplicate detection...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'duplicates-'));
+  const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER };
+  try {
+    const original = await portrait();
+    const hash = await perceptualHash(original);
+    const reencoded = await perceptualHash(await sharp(original).resize(400).jpeg({ quality: 70 }).toBuffer());
+    const blueBackdrop = await perceptualHash(await portrait('#c68642', 1024, '#bfdbfe'));
+    const banner = await perceptualHash(await sharp(original).resize(1584, 396, { fit: 'cover' }).png().toBuffer());
+    if (!/^[0-9a-f]{16}$/.test(hash.a) || !/^[0-9a-f]{16}$/.test(hash.d) || !/^#[0-9A-F]{6}$/.test(hash.color)) throw new Error(`Unexpected hash ${JSON.stringify(hash)}`);
+    if (!isNearDuplicate(hash, reencoded)) throw new Error(`Resized JPEG copy not matched: ${JSON.stringify(compare(hash, reencoded))}`);
+    // A threshold that is not a number keeps its default instead of disabling the check
+    const misread = thresholdsFromEnv({ DUPLICATE_MAX_HASH_DISTANCE: 'six', DUPLICATE_MAX_COLOR_DISTANCE: '30' });
+    if (misread.maxHashDistance !== DEFAULT_DUPLICATE_THRESHOLDS.maxHashDistance || misread.maxColorDistance !== 30 || !isNearDuplicate(hash, hash, misread)) {
+      throw new Error(`Non-numeric threshold not replaced by its default: ${JSON.stringify(misread)}`);
+    }
+    if (isNearDuplicate(hash, blueBackdrop)) throw new Error('Same pose on another backdrop counted as a duplicate');
+    if (isNearDuplicate(hash, banner)) throw new Error('Different crop counted as a duplicate');
+    console.log('✅ Re-encoded copies match; other backdrops and crops do not');
+
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    const generator = new ImageGenerator();
+    const basePath = path.join(dir, 'base.png');
+    await fs.writeFile(basePath, await portrait('#c68642', 512));
+    // Returns the same portrait until its third attempt, then one on a new backdrop
+    const attempts = [];
+    generator.providers.set('repeat', {
+      name: 'repeat',
+      rateLimited: false,
+      isConfigured: () => true,
+      generate: async ({ index, attempt }) => {
+        attempts.push(`${index}:${attempt}`);
+        return { buffer: attempt < 2 ? original : await portrait('#c68642', 1024, '#fde68a'), prompt: 'repeat' };
+      }
+    });
+    const first = await generator.generateImages(basePath, 1, { provider: 'repeat' });
+    if (first.count !== 1 || attempts.join() !== '0:0') throw new Error(`First image not kept on its first attempt: ${attempts.join()}`);
+    const stored = await generator.catalog.get(first.images[0].id);
+    if (stored.phash?.a !== hash.a) throw new Error('Perceptual hash not stored with the image');
+
+    attempts.length = 0;
+    const progress = [];
+    const second = await generator.generateImages(basePath, 1, { provider: 'repeat', onProgress: (i, patch) => progress.push(patch) });
+    if (second.count !== 1 || attempts.join() !== '0:0,0:1,0:2') throw new Error(`Lookalike not regenerated: ${attempts.join()}`);
+    if (!progress.some(p => p.rejected?.[0] === `near-duplicate of ${first.images[0].id}`)) throw new Error('Lookalike rejection not reported as progress');
+
+    generator.providers.set('stuck', { name: 'stuck', rateLimited: false, isConfigured: () => true, generate: async () => ({ buffer: original, prompt: 'stuck' }) });
+    progress.length = 0;
+    const stuck = await generator.generateImages(basePath, 1, { provider: 'stuck', onProgress: (i, patch) => progress.push(patch) });
+    if (stuck.count !== 0 || !progress.find(p => p.status === 'failed')?.error.startsWith('Rejected as a lookalike')) throw new Error('A slot that only produced lookalikes was kept');
+    console.log('✅ Lookalikes of stored photos are regenerated at generation time');
+
+    // Copies that predate the check (or were imported) are grouped for pruning
+    const catalog = generator.catalog;
+    await fs.writeFile(path.join(generator.storagePath, 'copy_1.png'), original);
+    await fs.writeFile(path.join(generator.storagePath, 'copy_2.jpg'), await sharp(original).jpeg({ quality: 80 }).toBuffer());
+    await catalog.add({ filename: 'copy_1.png', provider: 'import' });
+    const favorite = await catalog.add({ filename: 'copy_2.jpg', provider: 'import' });
+    await catalog.curate(favorite.id, { favorite: true });
+    const groups = await catalog.duplicates({ kind: 'photo' });
+    if (groups.length !== 1 || groups[0].images.length !== 3) throw new Error(`Expected one group of 3, got ${JSON.stringify(groups.map(g => g.images.map(i => i.id)))}`);
+    if (groups[0].keep !== favorite.id || groups[0].images[0].id !== favorite.id || groups[0].images[0].hashDistance !== 0) throw new Error('The favourite is not the copy to keep');
+    if ((await catalog.duplicates({ kind: 'banner' })).length) throw new Error('Photos reported under banners');
+    if ((await catalog.duplicates({ thresholds: { maxHashDistance: 6, maxColorDistance: 0 } }))[0]?.images.length === 3) throw new Error('Thresholds ignored');
+
+    const removed = await generator.deleteImage(groups[0].images[1].id);
+    if (!removed || await generator.catalog.get(removed.id) || await fs.access(removed.filepath).then(() => true, () => false)) throw new Error('Pruned image still stored');
+    console.log('✅ Lookalikes are grouped with the copy to keep first and can be pruned');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Duplicate detection test failed:', error.message);
+    return false;
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testExportPipeline() {
+  console.log('🧪 Testing the upload export pipeline...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'export-'));
+  const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER };
+  try {
+    // A landscape master in Display P3 carrying camera EXIF and a GPS position, like a phone photo
+    const noise = Buffer.alloc(1200 * 900 * 3);
+    for (let i = 0; i < noise.length; i++) noise[i] = (i * 7919) % 251;
+    const master = await sharp(noise, { raw: { width: 1200, height: 900, channels: 3 } })
+      .withExif({ IFD0: { Make: 'PhoneMaker', Model: 'Phone 1' }, IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 30/1 0/1' } })
+      .withIccProfile('p3')
+      .jpeg({ quality: 95 })
+      .toBuffer();
+    if (!(await sharp(master).metadata()).exif) throw new Error('Test master has no EXIF to strip');
+
+    const exporter = new ExportPipeline({ targetKB: 200 });
+    const photo = await exporter.publish(master, 'photo');
+    const meta = await sharp(photo.buffer).metadata();
+    if (meta.format !== 'jpeg' || photo.mime !== 'image/jpeg' || meta.width !== meta.height || meta.width !== 900) throw new Error(`Expected a 900px square JPEG, got ${meta.format} ${meta.width}x${meta.height}`);
+    if (meta.exif || meta.xmp || photo.buffer.includes('PhoneMaker')) throw new Error('EXIF from the master survived the export');
+    if (meta.space !== 'srgb' || !meta.icc?.toString('latin1').replace(/\0/g, '').includes('sRGB')) throw new Error('Export is not tagged sRGB');
+    if (photo.bytes > 200 * 1024 || photo.bytes !== photo.buffer.length) throw new Error(`${photo.bytes} bytes is over the 200 KB target`);
+    console.log(`✅ Photos become square sRGB JPEGs without EXIF or GPS (${Math.round(photo.bytes / 1024)} KB at quality ${photo.quality})`);
+
+    // A target too small for minQuality shrinks the image, down to LinkedIn's 400px minimum
+    const tight = await new ExportPipeline({ targetKB: 16 }).publish(master, 'photo');
+    if (tight.width >= 900 || tight.width < UPLOAD_SPECS.photo.minWidth) throw new Error(`Tight target gave ${tight.width}px`);
+    const banner = await new ExportPipeline({ format: 'webp' }).publish(master, 'banner');
+    const bannerMeta = await sharp(banner.buffer).metadata();
+    if (bannerMeta.format !== 'webp' || banner.mime !== 'image/webp' || bannerMeta.width !== 1584 || bannerMeta.height !== 396) throw new Error(`Banner exported as ${bannerMeta.format} ${bannerMeta.width}x${bannerMeta.height}`);
+    if (optionsFromExportEnv({ EXPORT_FORMAT: 'JPG', EXPORT_TARGET_KB: '300' }).format !== 'jpeg') throw new Error('EXPORT_FORMAT=JPG not read as jpeg');
+    for (const bad of [{ format: 'gif' }, { minQuality: 95, maxQuality: 80 }, { maxQuality: 120 }, { minQuality: 0 }, optionsFromExportEnv({ EXPORT_TARGET_KB: 'big' })]) {
+      if (await Promise.resolve().then(() => new ExportPipeline(bad)).then(() => true, () => false)) throw new Error(`Invalid export options accepted: ${JSON.stringify(bad)}`);
+    }
+    console.log('✅ Small targets shrink within the limits; banners export at 1584x396');
+
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    const generator = new ImageGenerator();
+    await fs.mkdir(generator.storagePath, { recursive: true });
+    await fs.writeFile(path.join(generator.storagePath, 'master.jpg'), master);
+    const image = await generator.catalog.add({ filename: 'master.jpg', provider: 'import' });
+    const upload = await generator.uploadVariant(image.id);
+    if (upload.filename !== 'master.jpg' || upload.mime !== 'image/jpeg' || path.dirname(upload.filepath) !== generator.uploadsPath) throw new Error(`Unexpected upload ${JSON.stringify(upload)}`);
+    const { mtimeMs } = await fs.stat(upload.filepath);
+    if ((await generator.uploadVariant(image.id)).filepath !== upload.filepath || (await fs.stat(upload.filepath)).mtimeMs !== mtimeMs) throw new Error('Upload variant exported twice');
+    const jpegKey = generator.uploadKey(image);
+    if (!upload.filepath.includes(`.${jpegKey}.`)) throw new Error('Upload variant not named by its upload key');
+    generator.exporter = new ExportPipeline({ format: 'webp' });
+    if (generator.uploadKey(image) === jpegKey) throw new Error('Upload key ignores the export settings');
+    const webp = await generator.uploadVariant(image.id);
+    if (webp.filename !== 'master.webp' || webp.mime !== 'image/webp' || (await fs.readdir(generator.uploadsPath)).length !== 1) throw new Error('Changed settings did not replace the upload variant');
+    if ((await generator.catalog.query()).total !== 1) throw new Error('Upload variants reached the catalog');
+    await generator.deleteImage(image.id);
+    if ((await fs.readdir(generator.uploadsPath)).length) throw new Error('Upload variant left behind');
+    console.log('✅ Upload variants are made once per image and settings, and go with the image');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Export pipeline test failed:', error.message);
+    return false;
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testBaseCrop() {
+  console.log('🧪 Testing base photo auto-crop...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'base-crop-'));
+  try {
+    // A landscape phone shot with the person small and to the right (the head's top at y=378)
+    const person = await portrait('#c68642', 400);
+    const landscape = await sharp({ create: { width: 1600, height: 900, channels: 3, background: '#f4f4f4' } })
+      .composite([{ input: person, left: 1050, top: 300 }])
+      .jpeg({ quality: 90 })
+      .toBuffer();
+    const cropper = new BaseCropper();
+    const detection = await cropper.detect(landscape);
+    if (detection.source !== 'mask' || detection.width !== 1600 || detection.height !== 900) throw new Error(`Unexpected detection ${JSON.stringify(detection)}`);
+    const { head } = detection;
+    const headCentre = head.left + head.width / 2;
+    if (Math.abs(headCentre - 1250) > 20 || Math.abs(head.top - 378) > 10) throw new Error(`Head found at ${JSON.stringify(head)}`);
+
+    const crop = cropper.frame(detection);
+    cropper.validate(crop, 1600, 900);
+    if (Math.abs(crop.left + crop.size / 2 - headCentre) > 2) throw new Error('Crop not centred on the head');
+    const headroom = head.top - crop.top;
+    if (headroom < crop.size * 0.05 || headroom > crop.size * 0.15 || Math.abs(head.height / crop.size - 0.4) > 0.05) throw new Error(`Head not framed: ${JSON.stringify(crop)}`);
+    // A setting that is not a number keeps its default rather than breaking every frame
+    const misread = new BaseCropper(optionsFromCropEnv({ BASE_CROP_HEADROOM: 'x', BASE_CROP_SIZE: '512' }));
+    if (misread.options.headroom !== DEFAULT_CROP_OPTIONS.headroom || misread.options.outputSize !== 512 || !Number.isInteger(misread.frame(detection).top)) {
+      throw new Error(`Non-numeric crop setting not replaced by its default: ${JSON.stringify(misread.options)}`);
+    }
+    const looser = cropper.frame(detection, { headSize: 0.3, headroom: 0.2 });
+    if (looser.size <= crop.size || head.top - looser.top <= headroom) throw new Error('Headroom and head size not applied');
+    const prepared = await cropper.apply(landscape, crop);
+    const meta = await sharp(prepared).metadata();
+    if (meta.format !== 'png' || meta.width !== 1024 || meta.height !== 1024) throw new Error(`Prepared photo is ${meta.width}x${meta.height}`);
+    console.log('✅ The subject of a landscape photo is found and framed square around the head');
+
+    // Crops refer to the upright photo
+    const sideways = await sharp(landscape).withMetadata({ orientation: 6 }).jpeg().toBuffer();
+    const upright = await cropper.dimensions(sideways);
+    if (upright.width !== 900 || upright.height !== 1600) throw new Error('EXIF orientation ignored');
+    const blank = await sharp({ create: { width: 600, height: 400, channels: 3, background: '#808080' } }).png().toBuffer();
+    const nothing = await cropper.detect(blank);
+    const centre = cropper.frame(nothing);
+    if (nothing.source !== 'none' || centre.left !== 100 || centre.top !== 0 || centre.size !== 400) throw new Error(`No-subject photo framed as ${JSON.stringify(centre)}`);
+    for (const bad of [{ left: 1500, top: 0, size: 400 }, { left: 0, top: 0, size: 10 }, { left: 0.5, top: 0, size: 100 }]) {
+      if (await Promise.resolve().then(() => cropper.validate(bad, 1600, 900)).then(() => true, () => false)) throw new Error(`Invalid crop accepted: ${JSON.stringify(bad)}`);
+    }
+
+    // The preview dims what LinkedIn's circle hides
+    const preview = await sharp(await cropper.preview(landscape, crop, 128)).removeAlpha().raw().toBuffer();
+    const plain = await sharp(await cropper.apply(landscape, crop, 128)).removeAlpha().raw().toBuffer();
+    if (preview[0] >= plain[0] * 0.6 || Math.abs(preview[(64 * 128 + 64) * 3] - plain[(64 * 128 + 64) * 3]) > 2) throw new Error('Preview does not show the circular crop');
+    console.log('✅ Centre square without a subject, manual crops checked, circular preview');
+
+    const library = new BasePhotoLibrary(dir);
+    const photo = await library.add(landscape, 'phone.jpg');
+    await library.setCrop(photo.id, { ...crop, source: 'auto' });
+    if ((await library.get(photo.id)).crop?.size !== crop.size) throw new Error('Crop not saved with the photo');
+    await library.setCrop(photo.id, null);
+    if ((await library.get(photo.id)).crop) throw new Error('Crop not cleared');
+
+    const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER };
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    try {
+      const generator = new ImageGenerator();
+      const manual = { left: 1100, top: 450, size: 300 };
+      const base = await generator.prepareBasePhoto(landscape, manual);
+      if (base.crop !== manual || (await sharp(base.buffer).metadata()).width !== 1024 || (await sharp(base.unscaled).metadata()).width !== 300) throw new Error('Saved crop not used for generation');
+      if ((await generator.prepareBasePhoto(landscape)).crop.size !== crop.size) throw new Error('Photo without a crop not framed automatically');
+      generator.cropper.enabled = false;
+      if ((await generator.prepareBasePhoto(landscape, manual)).buffer !== landscape) throw new Error('BASE_CROP=off still crops');
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+    console.log('✅ Crops are saved per base photo and used for generation');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Base photo crop test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testColorGrading() {
+  console.log('🧪 Testing colour grading...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'grading-'));
+  try {
+    // A warm-lit subject (white shirt gone orange) cut out for a cold blue backdrop
+    const background = await sharp({ create: { width: 400, height: 400, channels: 3, background: '#2050c0' } }).png().toBuffer();
+    const subject = await sharp(Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="200" height="300">
+      <ellipse cx="100" cy="80" rx="55" ry="70" fill="#e0a070"/>
+      <rect x="20" y="160" width="160" height="140" fill="#f0dcc0"/>
+    </svg>`)).png().toBuffer();
+    const pasted = await sharp(background).composite([{ input: subject, gravity: 'center' }]).png().toBuffer();
+    const pixel = async (buffer, left, top) => Array.from(await sharp(buffer).removeAlpha().extract({ left, top, width: 1, height: 1 }).raw().toBuffer());
+
+    const grader = new ColorGrader();
+    const graded = await grader.grade(pasted, { preset: 'natural', layers: { background, subject } });
+    const [before, after] = [await pixel(pasted, 200, 300), await pixel(graded, 200, 300)];
+    if (after[0] - after[2] >= (before[0] - before[2]) / 2) throw new Error(`Shirt still warm: ${before} -> ${after}`);
+    const backdrop = await pixel(graded, 200, 20);
+    if (Math.abs(backdrop[2] - 0xc0) > 10) throw new Error(`Backdrop recoloured: ${backdrop}`);
+    const [corner, middle] = [await pixel(graded, 1, 1), await pixel(graded, 60, 200)];
+    if (corner[2] >= 0xc0 - 10 || Math.abs(middle[2] - 0xc0) > 6) throw new Error(`No vignette: corner ${corner}, middle ${middle}`);
+    console.log('✅ The subject is white balanced and lit like the backdrop, corners vignetted');
+
+    // The rim light follows the subject's outline, strongest at the top
+    const rim = await sharp(await grader.rimLight(subject, background, 1)).extractChannel(3).raw().toBuffer();
+    const glow = (x, y) => rim[y * 200 + x];
+    const strongest = (points) => Math.max(...points.map(([x, y]) => glow(x, y)));
+    const top = strongest([8, 9, 10, 11, 12, 13, 14].map(y => [100, y]));
+    const side = strongest([18, 19, 20, 21, 22, 23, 24].map(x => [x, 290]));
+    if (!side || top <= side || glow(100, 80) || glow(100, 5)) throw new Error(`Rim light not along the outline: top ${top}, side ${side}`);
+    const warm = await pixel(await grader.grade(pasted, { preset: 'warm' }), 200, 300);
+    const cool = await pixel(await grader.grade(pasted, { preset: 'cool' }), 200, 300);
+    if (warm[0] - warm[2] <= cool[0] - cool[2] + 20) throw new Error(`Warm ${warm} vs cool ${cool}`);
+    const [r, g, b] = await pixel(await grader.grade(pasted, { preset: 'bw' }), 200, 300);
+    if (r !== g || g !== b) throw new Error('B&W picture has colour');
+    if (await grader.grade(pasted, { preset: 'none' }) !== pasted) throw new Error('"none" changed the picture');
+    if (await Promise.resolve().then(() => grader.grade(pasted, { preset: 'sepia' })).then(() => true, () => false)) throw new Error('Unknown preset accepted');
+    if (grader.list()[0].id !== 'none' || grader.list().length !== Object.keys(GRADING_PRESETS).length + 1) throw new Error('Presets not listed');
+    const misread = new ColorGrader(optionsFromGradingEnv({ GRADING_WHITE_BALANCE: 'x', GRADING_LIGHT_MATCH: '0.5' }));
+    if (misread.options.whiteBalance !== DEFAULT_GRADING_OPTIONS.whiteBalance || misread.options.lightMatch !== 0.5) {
+      throw new Error(`Non-numeric grading setting not replaced by its default: ${JSON.stringify(misread.options)}`);
+    }
+    console.log('✅ Rim light, warm/cool/B&W presets, "none" and unknown presets');
+
+    const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER, GRADING_PRESET: process.env.GRADING_PRESET };
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    process.env.GRADING_PRESET = 'matte';
+    try {
+      const basePath = path.join(dir, 'base.png');
+      await fs.writeFile(basePath, await portrait('#c68642', 256));
+      const generator = new ImageGenerator();
+      const batch = await generator.generateImages(basePath, 1, { grading: 'bw' });
+      if (!batch.success || batch.images[0].grading !== 'bw') throw new Error(`Preset not recorded: ${JSON.stringify(batch)}`);
+      const stats = await sharp(batch.images[0].filepath).stats();
+      if (stats.channels.slice(0, 3).some(c => Math.abs(c.mean - stats.channels[0].mean) > 0.5)) throw new Error('Batch not graded with its preset');
+      const fallback = await generator.generateImages(basePath, 1);
+      if (fallback.images[0].grading !== 'matte') throw new Error('GRADING_PRESET not the default');
+
+      // Without a preset the provider's picture is kept as it is, and recorded as 'none'
+      delete process.env.GRADING_PRESET;
+      const plain = new ImageGenerator();
+      const [ungraded, none, natural] = [await plain.generateImages(basePath, 1), await plain.generateImages(basePath, 1, { grading: 'none' }), await plain.generateImages(basePath, 1, { grading: 'natural' })]
+        .map(result => result.images[0]);
+      if (ungraded.grading !== 'none' || ungraded.hash !== none.hash || ungraded.hash === natural.hash) throw new Error('Batch without a preset was graded');
+      if ((await generator.generateImages(basePath, 1, { grading: 'sepia' })).success) throw new Error('Unknown batch preset accepted');
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+    }
+    console.log('✅ Presets are chosen per batch and recorded with each image');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Colour grading test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testMaskedEdit() {
+  console.log('🧪 Testing background-preserving edit mode against a mock API...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'edit-'));
+  const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER };
+  let server;
+  try {
+    // Mock /images/edits: rejects anything but a square PNG + matching mask whose
+    // background is transparent and subject opaque, then answers with solid green
+    const app = express();
+    const upload = multer({ storage: multer.memoryStorage() });
+    app.post('/v1/images/edits', upload.fields([{ name: 'image' }, { name: 'mask' }]), async (req, res) => {
+      const problems = [];
+      const image = req.files?.image?.[0];
+      const mask = req.files?.mask?.[0];
+      if (req.headers.authorization !== 'Bearer test-key') problems.push('auth header');
+      if (!image || !mask) problems.push('image and mask parts');
+      if (!req.body.prompt) problems.push('prompt');
+      if (image && mask) {
+        const [im, mm] = await Promise.all([sharp(image.buffer).metadata(), sharp(mask.buffer).metadata()]);
+        if (im.format !== 'png' || mm.format !== 'png') problems.push('png uploads');
+        if (im.width !== 1024 || im.height !== 1024 || mm.width !== 1024 || mm.height !== 1024) problems.push('1024x1024 size');
+        if (!mm.hasAlpha) problems.push('mask alpha channel');
+        const alpha = await sharp(mask.buffer).extractChannel('alpha').raw().toBuffer();
+        if (alpha[0] !== 0) problems.push('transparent background in mask');
+        if (alpha[512 * 1024 + 512] !== 255) problems.push('opaque subject in mask');
+      }
+      if (problems.length) return res.status(400).json({ error: { message: `expected ${problems.join(', ')}` } });
+      const green = await sharp({ create: { width: 1024, height: 1024, channels: 3, background: '#00ff00' } }).png().toBuffer();
+      res.json({ data: [{ b64_json: green.toString('base64') }] });
+    });
+    server = await new Promise(resolve => { const s = app.listen(0, () => resolve(s)); });
+
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    const generator = new ImageGenerator();
+    const provider = new OpenAIEditProvider({
+      generator,
+      apiKey: 'test-key',
+      baseUrl: `http://127.0.0.1:${server.address().port}/v1`
+    });
+
+    // Brown "person" on a white studio background
+    const photo = await sharp({ create: { width: 600, height: 800, channels: 3, background: '#ffffff' } })
+      .composite([{ input: Buffer.from('<svg width="300" height="500"><ellipse cx="150" cy="250" rx="140" ry="240" fill="#a0522d"/></svg>') }])
+      .jpeg()
+      .toBuffer();
+
+    const result = await provider.generate({ prompt: 'Studio backdrop', context: { basePhotoBuffer: photo } });
+    const { data, info } = await sharp(result.buffer).removeAlpha().raw().toBuffer({ resolveWithObject: true });
+    const pixel = (x, y) => Array.from(data.subarray((y * info.width + x) * 3, (y * info.width + x) * 3 + 3));
+    const [cr, cg, cb] = pixel(5, 5);
+    const [sr, sg, sb] = pixel(512, 512);
+    if (!(cg > 200 && cr < 60 && cb < 60)) throw new Error(`Background not replaced: ${[cr, cg, cb]}`);
+    if (Math.abs(sr - 0xa0) > 12 || Math.abs(sg - 0x52) > 12 || Math.abs(sb - 0x2d) > 12) throw new Error(`Subject changed: ${[sr, sg, sb]}`);
+    console.log('✅ Multipart payload and mask accepted; subject preserved');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Masked edit test failed:', error.message);
+    return false;
+  } finally {
+    if (server) server.close();
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testSubjectMatting() {
+  console.log('🧪 Testing built-in subject matting...');
+
+  try {
+    // White studio background, dark jacket over a white shirt, white teeth in the face
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="400" height="500">
+      <rect width="400" height="500" fill="#fafafa"/>
+      <path d="M60 500 L110 330 L290 330 L340 500 Z" fill="#1f2937"/>
+      <rect x="170" y="330" width="60" height="170" fill="#ffffff"/>
+      <rect x="165" y="280" width="70" height="60" fill="#c68642"/>
+      <ellipse cx="200" cy="200" rx="90" ry="120" fill="#c68642"/>
+      <rect x="170" y="250" width="60" height="18" fill="#ffffff"/>
+    </svg>`;
+    const photo = await sharp(Buffer.from(svg)).png().toBuffer();
+
+    const { cutout, steps } = await new SubjectMatting().extract(photo, { debug: true });
+    const { data, info } = await sharp(cutout).raw().toBuffer({ resolveWithObject: true });
+    const alphaAt = (x, y) => data[(y * info.width + x) * info.channels + 3];
+
+    if (alphaAt(5, 5) > 20 || alphaAt(30, 450) > 20) throw new Error('Background not removed');
+    if (alphaAt(200, 259) < 230) throw new Error('Teeth were punched out');
+    if (alphaAt(200, 420) < 230 || alphaAt(200, 498) < 230) throw new Error('White shirt was punched out');
+    if (alphaAt(200, 150) < 230) throw new Error('Face missing');
+    for (const step of ['flood', 'filled', 'cleaned', 'mask', 'cutout']) {
+      if (!steps[step]) throw new Error(`Missing debug mask "${step}"`);
+    }
+    console.log('✅ Background removed; shirt and teeth kept; debug masks produced');
+
+    // Tuning that is not a number keeps its default instead of reaching the flood fill as NaN
+    const tuning = optionsFromMatteEnv({ MATTE_TOLERANCE: 'loose', MATTE_MORPH_RADIUS: '3' });
+    if ('tolerance' in tuning || tuning.morphRadius !== 3) throw new Error(`Non-numeric matting setting kept: ${JSON.stringify(tuning)}`);
+    const tuned = await sharp(await new SubjectMatting(tuning).extract(photo)).raw().toBuffer({ resolveWithObject: true });
+    if (tuned.data[(5 * tuned.info.width + 5) * tuned.info.channels + 3] > 20 || new SubjectMatting(tuning).options.tolerance !== MATTE_DEFAULTS.tolerance) {
+      throw new Error('Matting with a non-numeric setting did not fall back to the default');
+    }
+    console.log('✅ Non-numeric MATTE_* settings keep their defaults');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Subject matting test failed:', error.message);
+    return false;
+  }
+}
+
+async function testThemeLibrary() {
+  console.log('🧪 Testing background themes...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'backgrounds-'));
+  try {
+    const themes = new ThemeLibrary(dir);
+    if ((await themes.list()).filter(t => t.builtIn).length !== 10) throw new Error('Built-in palettes missing');
+
+    const bokeh = await themes.create({ name: 'Bokeh', type: 'pattern', pattern: 'bokeh', colors: ['#111827', '#1F2937'], noise: 0.1 });
+    const radial = await themes.create({ name: 'Spotlight', type: 'radial', colors: ['#64748B', '#0F172A'] });
+    for (const bad of [{ name: 'x', type: 'plaid' }, { name: 'x', type: 'solid', colors: ['red'] }, { name: 'x', type: 'linear', colors: ['#fff'], noise: 2 }]) {
+      if (await themes.create(bad).then(() => true, () => false)) throw new Error(`Accepted invalid theme ${JSON.stringify(bad)}`);
+    }
+    await themes.update(radial.id, { name: 'Soft spotlight' });
+    if ((await themes.get(radial.id)).name !== 'Soft spotlight') throw new Error('Update failed');
+    if (await themes.remove('deep-blue').then(() => true, () => false)) throw new Error('Built-in theme was removed');
+    console.log('✅ Themes can be created, validated and edited');
+
+    const [a, b] = await Promise.all([0, 1].map(seed => themes.render(bokeh, 64, 64, { seed })));
+    const info = await sharp(a).metadata();
+    if (info.width !== 64 || a.equals(b)) throw new Error('Bokeh render is not seeded per image');
+    console.log('✅ Pattern themes render and vary per image');
+
+    // A warm photo dropped into the folder becomes a photo theme and is pulled toward a blue subject
+    await sharp({ create: { width: 80, height: 60, channels: 3, background: '#c08040' } }).jpeg().toFile(path.join(dir, 'beach.jpg'));
+    const photo = (await themes.list()).find(t => t.type === 'photo');
+    if (!photo || photo.photo !== 'beach.jpg') throw new Error('Dropped background photo not picked up');
+    const subject = await sharp({ create: { width: 32, height: 32, channels: 4, background: { r: 40, g: 80, b: 200, alpha: 1 } } }).png().toBuffer();
+    const plain = await sharp(await themes.render(photo, 64, 64)).stats();
+    const matched = await sharp(await themes.render(photo, 64, 64, { subjectPng: subject })).stats();
+    if (!(matched.channels[2].mean > plain.channels[2].mean && matched.channels[0].mean < plain.channels[0].mean)) {
+      throw new Error('Photo backdrop was not colour-matched to the subject');
+    }
+    await themes.remove(photo.id);
+    if ((await themes.listPhotos()).length !== 0) throw new Error('Removing the photo theme left the file behind');
+    console.log('✅ Background photos are blurred, colour-matched and removable');
+
+    const picked = await themes.resolve([radial.id, bokeh.id]);
+    if (picked.map(t => t.id).join() !== [radial.id, bokeh.id].join()) throw new Error('resolve() lost the requested order');
+    if (await themes.resolve(['nope']).then(() => true, () => false)) throw new Error('Unknown theme id accepted');
+    console.log('✅ Batches resolve the selected themes');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Theme library test failed:', error.message);
+    return false;
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
+async function testOverlays() {
+  console.log('🧪 Testing frame and badge overlays...');
+
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'overlays-'));
+  const saved = { STORAGE_PATH: process.env.STORAGE_PATH, IMAGE_PROVIDER: process.env.IMAGE_PROVIDER, OVERLAYS_DIR: process.env.OVERLAYS_DIR };
+  try {
+    const renderer = new OverlayRenderer(path.join(dir, 'overlays'));
+    const logo = await renderer.addLogo(await sharp({ create: { width: 40, height: 40, channels: 4, background: '#e11d48' } }).png().toBuffer());
+    for (const bad of [[{ type: 'sticker' }], [{ type: 'ring', colorTheme: 'neon' }], [{ type: 'badge', logo: 'missing.png' }], [{ type: 'ring', width: 2 }]]) {
+      if (await renderer.normalize(bad).then(() => true, () => false)) throw new Error(`Accepted invalid overlays ${JSON.stringify(bad)}`);
+    }
+    const overlays = await renderer.normalize([
+      { type: 'ring', colorTheme: 'opentowork', text: '#OPENTOWORK', arc: 200 },
+      { type: 'badge', logo, position: 'top-left', background: null }
+    ]);
+    if (overlays[0].color !== '#057642' || overlays[1].size !== 0.22) throw new Error('Scheme colours or defaults not filled in');
+    if ((await renderer.normalize(overlays)).length !== 2) throw new Error('Stored overlays do not validate again');
+    console.log('✅ Overlay definitions are validated and normalised');
+
+    const blank = await sharp({ create: { width: 200, height: 200, channels: 3, background: '#808080' } }).png().toBuffer();
+    const { data, info } = await sharp(await renderer.apply(blank, overlays)).raw().toBuffer({ resolveWithObject: true });
+    const at = (x, y) => Array.from(data.slice((y * 200 + x) * info.channels, (y * 200 + x) * info.channels + 3)).join();
+    if (at(8, 100) !== '5,118,66' || at(192, 100) !== '5,118,66') throw new Error('Ring arc not drawn');
+    if (at(100, 100) !== '128,128,128' || at(100, 4) !== '128,128,128') throw new Error('Ring painted outside its arc');
+    if (at(56, 56) !== '225,29,72') throw new Error('Badge not drawn top-left');
+    console.log('✅ Rings and badges stay inside the circular crop');
+
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.IMAGE_PROVIDER = 'stub';
+    process.env.OVERLAYS_DIR = path.join(dir, 'overlays');
+    const generator = new ImageGenerator();
+    const basePath = path.join(dir, 'base.png');
+    await sharp({ create: { width: 64, height: 64, channels: 3, background: '#336699' } }).png().toFile(basePath);
+    const plain = await generator.generateImages(basePath, 1);
+    const framed = await generator.generateImages(basePath, 1, { overlays: [{ type: 'ring', colorTheme: 'gold', text: 'SPEAKING' }] });
+    const [image] = framed.images;
+    if (image.overlays[0]?.color !== '#C9A227') throw new Error('Overlays not stored in the catalog record');
+    if (image.hash === plain.images[0].hash) throw new Error('Overlay not rendered into the image');
+    const restored = await generator.applyOverlays(image.id, []);
+    if (restored.hash !== plain.images[0].hash || restored.overlays.length) throw new Error('Removing overlays did not restore the original');
+    const reframed = await generator.applyOverlays(image.id, image.overlays);
+    if (reframed.hash !== image.hash) throw new Error('Re-rendering the stored overlays is not reproducible');
+    console.log('✅ Batches record their overlays and can be re-rendered');
+
+    return true;
+  } catch (error) {
+    console.error('❌ Overlay test failed:', error.message);
+    return false;
+  } finally {
+    for (const [key, value] of Object.entries(saved)) {
+      if (value === undefined) delete process.env[key];
+      else process.env[key] = value;
+    }
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+}
+
 async function testServer() {
   console.log('🧪 Testing Server...');
   
   try {
-    const server = require('./server');
+    const ImageGenerationServer = require('./server');
     console.log('✅ Server module loaded');
-    
-    // Test would require actually starting the server
-    // For now, just verify the module loads
+
+    // A temp upload is removed even when its job is cancelled while still queued
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'server-'));
+    const saved = { STORAGE_PATH: process.env.STORAGE_PATH, BASE_PFP_DIR: process.env.BASE_PFP_DIR };
+    process.env.STORAGE_PATH = path.join(dir, 'generated');
+    process.env.BASE_PFP_DIR = path.join(dir, 'base');
+    try {
+      const server = new ImageGenerationServer();
+      let release;
+      const busy = server.jobs.create({ type: 'test', total: 1 }, () => new Promise(resolve => { release = resolve; }));
+      const tempPath = path.join(dir, 'base_upload.jpg');
+      await fs.writeFile(tempPath, 'upload');
+      const job = server.startGenerationJob('generate-images', tempPath, 1, {}, () => fs.unlink(tempPath).catch(() => {}));
+      const finished = new Promise(resolve => server.jobs.once(`update:${job.id}`, resolve));
+      server.jobs.cancel(job.id);
+      await finished;
+      release({ success: true });
+      if (job.status !== 'cancelled' || busy.status === 'cancelled') throw new Error('Wrong job cancelled');
+      if (await fs.access(tempPath).then(() => true, () => false)) throw new Error('Temp upload of a cancelled queued job left behind');
+    } finally {
+      for (const [key, value] of Object.entries(saved)) {
+        if (value === undefined) delete process.env[key];
+        else process.env[key] = value;
+      }
+      await fs.rm(dir, { recursive: true, force: true });
+    }
+    console.log('✅ Cancelling a queued job removes its temp upload');
+
     console.log('✅ Server tests passed!');
     return true;
 
@@ -75,13 +1435,57 @@ async function runTests() {
   console.log('========================');
   
   const imageTest = await testImageGenerator();
+  const libraryTest = await testBasePhotoLibrary();
+  const jobTest = await testJobManager();
+  const catalogTest = await testImageCatalog();
+  const rotationTest = await testRotationEngine();
+  const campaignTest = await testCampaignScheduler();
+  const scheduleTest = await testUpdateSchedule();
+  const historyTest = await testUpdateHistory();
+  const selectorTest = await testSelectorProfiles();
+  const localeTest = await testLocalizedSelectors();
+  const editorTest = await testPhotoEditorSettings();
+  const pipelineTest = await testOfflinePipeline();
+  const bannerTest = await testBannerRotation();
+  const cacheTest = await testOfflineCache();
+  const qualityTest = await testQualityGate();
+  const duplicateTest = await testDuplicateDetection();
+  const exportTest = await testExportPipeline();
+  const cropTest = await testBaseCrop();
+  const gradingTest = await testColorGrading();
+  const editTest = await testMaskedEdit();
+  const mattingTest = await testSubjectMatting();
+  const themeTest = await testThemeLibrary();
+  const overlayTest = await testOverlays();
   const serverTest = await testServer();
   
   console.log('\n📊 Test Results:');
   console.log(`Image Generator: ${imageTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Base Photo Library: ${libraryTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Job Manager: ${jobTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Image Catalog: ${catalogTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Rotation Engine: ${rotationTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Campaign Scheduler: ${campaignTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Update Schedule: ${scheduleTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Update History: ${historyTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Selector Profiles: ${selectorTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Localized Selectors: ${localeTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Photo Editor Settings: ${editorTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Offline Pipeline: ${pipelineTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Background Banners: ${bannerTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Offline Cache: ${cacheTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Quality Gate: ${qualityTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Duplicate Detection: ${duplicateTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Export Pipeline: ${exportTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Base Photo Crop: ${cropTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Colour Grading: ${gradingTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Masked Edit: ${editTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Subject Matting: ${mattingTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Background Themes: ${themeTest ? '✅ PASS' : '❌ FAIL'}`);
+  console.log(`Overlays: ${overlayTest ? '✅ PASS' : '❌ FAIL'}`);
   console.log(`Server: ${serverTest ? '✅ PASS' : '❌ FAIL'}`);
   
-  if (imageTest && serverTest) {
+  if (imageTest && libraryTest && jobTest && catalogTest && rotationTest && campaignTest && scheduleTest && historyTest && selectorTest && localeTest && editorTest && pipelineTest && bannerTest && cacheTest && qualityTest && duplicateTest && exportTest && cropTest && gradingTest && editTest && mattingTest && themeTest && overlayTest && serverTest) {
     console.log('\n🎉 All tests passed! Backend is ready.');
     process.exit(0);
   } else {
@@ -95,4 +1499,4 @@ if (require.main === module) {
   runTests();
 }
 
-module.exports = { testImageGenerator, testServer };
+module.exports = { testImageGenerator, testBasePhotoLibrary, testJobManager, testImageCatalog, testRotationEngine, testCampaignScheduler, testUpdateSchedule, testUpdateHistory, testSelectorProfiles, testLocalizedSelectors, testPhotoEditorSettings, testOfflinePipeline, testBannerRotation, testOfflineCache, testQualityGate, testDuplicateDetection, testExportPipeline, testBaseCrop, testColorGrading, testMaskedEdit, testSubjectMatting, testThemeLibrary, testOverlays, testServer };
@@ -46,14 +46,8 @@ else
   die "Health endpoint returned empty response"
 fi
 
-# 2) Generate images from local base
-log "Requesting generation of $NUM_IMAGES image(s) from base folder (verbose)"
-curl -v -sS -X POST "$BACKEND_URL/generate-from-base" \
-  -H 'Content-Type: application/json' \
-  -d "{\"numImages\":$NUM_IMAGES}" \
-  -w '\n[HTTP_STATUS:%{http_code}]\n' 2>&1 | tee -a "$LOG_FILE"
-
-log "Generation result (pretty)"
+# 2) Start a generation job from the active base photo
+log "Requesting generation of $NUM_IMAGES image(s) from base folder"
 gen_json="$(curl -sS -X POST "$BACKEND_URL/generate-from-base" -H 'Content-Type: application/json' -d "{\"numImages\":$NUM_IMAGES}" || true)"
 if [[ -n "$gen_json" ]]; then
   echo "$gen_json" | pretty | tee -a "$LOG_FILE" >/dev/null
@@ -61,6 +55,20 @@ else
   die "Generation endpoint returned empty response"
 fi
 
+if have jq; then
+  JOB_ID="$(echo "$gen_json" | jq -r '.jobId // empty')"
+else
+  JOB_ID="$(echo "$gen_json" | grep -o '"jobId"\s*:\s*"[^"]\+"' | head -n1 | sed -E 's/.*:\s*"([^"]+)"/\1/')"
+fi
+[[ -n "${JOB_ID:-}" ]] || die "No job id returned"
+
+# Follow the job's event stream; the server closes it once the job finishes
+log "Streaming progress for job $JOB_ID"
+curl -sS -N "$BACKEND_URL/jobs/$JOB_ID/events" | grep --line-buffered '^event:' | tee -a "$LOG_FILE" || true
+
+log "Final job state (pretty)"
+curl -sS "$BACKEND_URL/jobs/$JOB_ID" | pretty | tee -a "$LOG_FILE" >/dev/null
+
 # 3) List images
 log "Listing images (verbose)"
 curl -v -sS "$BACKEND_URL/images" \
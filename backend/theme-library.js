@@ -0,0 +1,364 @@
+// Background themes: built-in palettes, user-defined themes and a folder of
+// background photos, plus rendering of any theme to a PNG (CommonJS)
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+
+const INDEX_FILE = 'themes.json';
+const PHOTO_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.webp'];
+const THEME_TYPES = ['linear', 'radial', 'solid', 'pattern', 'photo'];
+const PATTERNS = ['dots', 'grid', 'stripes', 'triangles', 'bokeh'];
+const HEX_COLOR = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+
+// The original ten gradient palettes; always available and never editable
+const BUILT_IN_THEMES = [
+  ['deep-blue', 'Deep blue', '#0E5E9C', '#0B4170'],
+  ['linkedin-blue', 'LinkedIn blue', '#0077B5', '#004E75'],
+  ['neutral-dark', 'Neutral dark', '#1F2937', '#111827'],
+  ['gray', 'Gray', '#4B5563', '#1F2937'],
+  ['blue', 'Blue', '#2563EB', '#1D4ED8'],
+  ['slate', 'Slate', '#64748B', '#334155'],
+  ['teal', 'Teal', '#10B981', '#047857'],
+  ['purple', 'Purple', '#6D28D9', '#4C1D95'],
+  ['amber', 'Amber', '#F59E0B', '#D97706'],
+  ['cyan', 'Cyan', '#0EA5E9', '#0369A1']
+].map(([id, name, c1, c2]) => ({ id, name, type: 'linear', colors: [c1, c2], angle: 45, noise: 0.06, builtIn: true }));
+
+const DEFAULTS = {
+  angle: 45,              // linear: degrees, 0 = left to right, 90 = top to bottom
+  patternColor: '#FFFFFF',
+  patternOpacity: 0.12,
+  noise: 0,               // 0..1 opacity of the film grain layer
+  blur: 12,               // photo: gaussian sigma so the backdrop reads as out of focus
+  match: 0.35             // photo: 0..1 how far the photo's colour cast is pulled toward the subject
+};
+
+// themes.json holds user themes; built-ins live in code. Photos dropped into the
+// folder by hand get a photo theme on the next sync, like the base photo library.
+class ThemeLibrary {
+  constructor(dir) {
+    this.dir = dir;
+    this.indexPath = path.join(dir, INDEX_FILE);
+  }
+
+  async readIndex() {
+    try {
+      const { themes } = JSON.parse(await fs.readFile(this.indexPath, 'utf8'));
+      return { themes: Array.isArray(themes) ? themes : [] };
+    } catch {
+      return { themes: [] };
+    }
+  }
+
+  async writeIndex(index) {
+    await fs.mkdir(this.dir, { recursive: true }).catch(() => {});
+    await fs.writeFile(this.indexPath, JSON.stringify(index, null, 2));
+  }
+
+  async listPhotos() {
+    return (await fs.readdir(this.dir).catch(() => []))
+      .filter(f => PHOTO_EXTENSIONS.includes(path.extname(f).toLowerCase()))
+      .sort();
+  }
+
+  // Drop photo themes whose file is gone; add one for every unreferenced photo
+  async sync() {
+    const index = await this.readIndex();
+    const photos = await this.listPhotos();
+    let changed = false;
+
+    const themes = index.themes.filter(t => t.type !== 'photo' || photos.includes(t.photo));
+    if (themes.length !== index.themes.length) changed = true;
+    for (const photo of photos) {
+      if (themes.some(t => t.type === 'photo' && t.photo === photo)) continue;
+      themes.push(this.normalize({ name: path.basename(photo, path.extname(photo)), type: 'photo', photo }, photos));
+      changed = true;
+    }
+
+    const next = { themes };
+    if (changed) await this.writeIndex(next);
+    return next;
+  }
+
+  async list() {
+    const { themes } = await this.sync();
+    return [...BUILT_IN_THEMES, ...themes];
+  }
+
+  async get(id) {
+    return (await this.list()).find(t => t.id === id) || null;
+  }
+
+  // Themes a batch draws from; no ids means every theme
+  async resolve(ids) {
+    const themes = await this.list();
+    if (!ids || ids.length === 0) return themes;
+    return ids.map(id => {
+      const theme = themes.find(t => t.id === id);
+      if (!theme) throw new Error(`Unknown theme "${id}"`);
+      return theme;
+    });
+  }
+
+  async create(definition) {
+    const index = await this.sync();
+    const theme = this.normalize(definition, await this.listPhotos());
+    index.themes.push(theme);
+    await this.writeIndex(index);
+    return theme;
+  }
+
+  async update(id, patch) {
+    if (BUILT_IN_THEMES.some(t => t.id === id)) throw new Error('Built-in themes cannot be changed');
+    const index = await this.sync();
+    const position = index.themes.findIndex(t => t.id === id);
+    if (position === -1) return null;
+
+    const current = index.themes[position];
+    const theme = this.normalize({ ...current, ...patch, id, createdAt: current.createdAt }, await this.listPhotos());
+    index.themes[position] = theme;
+    await this.writeIndex(index);
+    return theme;
+  }
+
+  // Removing the last theme that uses a photo also removes the photo, otherwise
+  // the next sync would bring the theme straight back
+  async remove(id) {
+    if (BUILT_IN_THEMES.some(t => t.id === id)) throw new Error('Built-in themes cannot be removed');
+    const index = await this.sync();
+    const theme = index.themes.find(t => t.id === id);
+    if (!theme) return false;
+
+    index.themes = index.themes.filter(t => t.id !== id);
+    if (theme.type === 'photo' && !index.themes.some(t => t.type === 'photo' && t.photo === theme.photo)) {
+      await fs.unlink(path.join(this.dir, theme.photo)).catch(() => {});
+    }
+    await this.writeIndex(index);
+    return true;
+  }
+
+  // Store an uploaded background photo and return the photo theme created for it
+  async addPhoto(buffer, originalName, name) {
+    const ext = path.extname(originalName || '').toLowerCase();
+    if (!PHOTO_EXTENSIONS.includes(ext)) {
+      throw new Error(`Unsupported file type "${ext || 'unknown'}". Use ${PHOTO_EXTENSIONS.join('/')}`);
+    }
+    await fs.mkdir(this.dir, { recursive: true }).catch(() => {});
+    const filename = `bg_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}${ext}`;
+    await fs.writeFile(path.join(this.dir, filename), buffer);
+
+    const { themes } = await this.sync();
+    const theme = themes.find(t => t.type === 'photo' && t.photo === filename);
+    const label = String(name || path.basename(originalName, ext)).trim();
+    return label ? this.update(theme.id, { name: label }) : theme;
+  }
+
+  // Validates a definition and keeps only the fields that apply to its type
+  normalize(definition = {}, photos = []) {
+    const { type } = definition;
+    if (!THEME_TYPES.includes(type)) throw new Error(`type must be one of ${THEME_TYPES.join(', ')}`);
+    const name = String(definition.name || '').trim();
+    if (!name) throw new Error('name must not be empty');
+
+    const theme = {
+      id: definition.id || this.createId(),
+      name,
+      type,
+      noise: this.number(definition, 'noise', 0, 1)
+    };
+
+    if (type === 'photo') {
+      if (!photos.includes(definition.photo)) throw new Error(`photo must be a file in the backgrounds folder`);
+      theme.photo = definition.photo;
+      theme.blur = this.number(definition, 'blur', 0, 100);
+      theme.match = this.number(definition, 'match', 0, 1);
+    } else {
+      const colors = definition.colors;
+      const max = type === 'solid' ? 1 : 5;
+      if (!Array.isArray(colors) || colors.length < 1 || colors.length > max || !colors.every(c => HEX_COLOR.test(c))) {
+        throw new Error(`colors must be an array of 1-${max} hex colours`);
+      }
+      theme.colors = colors;
+    }
+    if (type === 'linear' || type === 'pattern') theme.angle = this.number(definition, 'angle', -360, 360);
+    if (type === 'pattern') {
+      if (!PATTERNS.includes(definition.pattern)) throw new Error(`pattern must be one of ${PATTERNS.join(', ')}`);
+      theme.pattern = definition.pattern;
+      const patternColor = definition.patternColor ?? DEFAULTS.patternColor;
+      if (!HEX_COLOR.test(patternColor)) throw new Error('patternColor must be a hex colour');
+      theme.patternColor = patternColor;
+      theme.patternOpacity = this.number(definition, 'patternOpacity', 0, 1);
+    }
+
+    theme.createdAt = definition.createdAt || new Date().toISOString();
+    return theme;
+  }
+
+  number(definition, key, min, max) {
+    const value = definition[key] ?? DEFAULTS[key];
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${key} must be a number between ${min} and ${max}`);
+    }
+    return value;
+  }
+
+  createId() {
+    return `theme_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`;
+  }
+
+  // Renders a backdrop. `seed` varies the random parts (bokeh) between images;
+  // `subjectPng` lets photo themes pick up the subject's colour cast.
+  async render(theme, width, height, { seed = 0, subjectPng = null } = {}) {
+    if (theme.type === 'photo') return this.renderPhoto(theme, width, height, subjectPng);
+    return sharp(Buffer.from(this.toSvg(theme, width, height, seed))).png().toBuffer();
+  }
+
+  toSvg(theme, width, height, seed) {
+    const defs = [];
+    const layers = [];
+    const [first] = theme.colors;
+
+    if (theme.type === 'solid') {
+      layers.push(`<rect width="100%" height="100%" fill="${first}"/>`);
+    } else if (theme.type === 'radial') {
+      defs.push(`<radialGradient id="g" cx="50%" cy="40%" r="75%">${this.stops(theme.colors)}</radialGradient>`);
+      layers.push('<rect width="100%" height="100%" fill="url(#g)"/>');
+    } else {
+      defs.push(this.linearGradient(theme.colors, theme.angle ?? DEFAULTS.angle));
+      layers.push('<rect width="100%" height="100%" fill="url(#g)"/>');
+    }
+
+    if (theme.type === 'pattern') {
+      const overlay = this.patternSvg(theme, width, height, seed);
+      defs.push(overlay.defs);
+      layers.push(`<g opacity="${theme.patternOpacity}">${overlay.body}</g>`);
+    }
+    if (theme.noise > 0) {
+      defs.push(this.grainFilter());
+      layers.push(`<rect width="100%" height="100%" fill="#000" opacity="${theme.noise}" filter="url(#grain)"/>`);
+    }
+
+    return `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <defs>${defs.join('')}</defs>
+  ${layers.join('\n  ')}
+</svg>`;
+  }
+
+  stops(colors) {
+    if (colors.length === 1) return `<stop offset="0%" stop-color="${colors[0]}"/>`;
+    return colors.map((c, i) => `<stop offset="${Math.round((i / (colors.length - 1)) * 100)}%" stop-color="${c}"/>`).join('');
+  }
+
+  // Endpoints sit on the bounding box edge, so 45deg runs corner to corner
+  linearGradient(colors, angle) {
+    const rad = (angle * Math.PI) / 180;
+    const dx = Math.cos(rad), dy = Math.sin(rad);
+    const scale = 0.5 / Math.max(Math.abs(dx), Math.abs(dy));
+    const at = v => Number((0.5 + v * scale).toFixed(4));
+    return `<linearGradient id="g" x1="${at(-dx)}" y1="${at(-dy)}" x2="${at(dx)}" y2="${at(dy)}">${this.stops(colors)}</linearGradient>`;
+  }
+
+  patternSvg(theme, width, height, seed) {
+    const color = theme.patternColor;
+    const s = Math.max(8, Math.round(Math.min(width, height) / 16));
+    const tile = (content, transform = '') =>
+      `<pattern id="p" width="${s}" height="${s}" patternUnits="userSpaceOnUse"${transform}>${content}</pattern>`;
+    const fill = '<rect width="100%" height="100%" fill="url(#p)"/>';
+
+    switch (theme.pattern) {
+      case 'dots':
+        return { defs: tile(`<circle cx="${s / 2}" cy="${s / 2}" r="${s * 0.12}" fill="${color}"/>`), body: fill };
+      case 'grid':
+        return { defs: tile(`<path d="M ${s} 0 L 0 0 0 ${s}" fill="none" stroke="${color}" stroke-width="1.5"/>`), body: fill };
+      case 'stripes':
+        return { defs: tile(`<rect width="${s / 4}" height="${s}" fill="${color}"/>`, ' patternTransform="rotate(45)"'), body: fill };
+      case 'triangles':
+        return { defs: tile(`<path d="M 0 ${s} L ${s / 2} 0 L ${s} ${s} Z" fill="${color}"/>`), body: fill };
+      default:
+        return this.bokehSvg(color, width, height, seed);
+    }
+  }
+
+  // Soft out-of-focus light discs; positions are seeded so each image differs
+  bokehSvg(color, width, height, seed) {
+    const random = this.seededRandom(seed + 1);
+    const unit = Math.min(width, height);
+    const circles = [];
+    for (let i = 0; i < 18; i++) {
+      const r = unit * (0.03 + random() * 0.09);
+      circles.push(`<circle cx="${Math.round(random() * width)}" cy="${Math.round(random() * height)}" r="${Math.round(r)}" ` +
+        `fill="${color}" opacity="${(0.3 + random() * 0.7).toFixed(2)}"/>`);
+    }
+    const blur = (unit * 0.01).toFixed(1);
+    return {
+      defs: `<filter id="soft" x="-20%" y="-20%" width="140%" height="140%"><feGaussianBlur stdDeviation="${blur}"/></filter>`,
+      body: `<g filter="url(#soft)">${circles.join('')}</g>`
+    };
+  }
+
+  grainFilter() {
+    return `<filter id="grain">
+      <feTurbulence type="fractalNoise" baseFrequency="0.9" numOctaves="1" stitchTiles="stitch"/>
+      <feColorMatrix type="saturate" values="0"/>
+      <feComponentTransfer>
+        <feFuncA type="table" tableValues="0 0.05"/>
+      </feComponentTransfer>
+      <feBlend mode="multiply"/>
+    </filter>`;
+  }
+
+  async renderPhoto(theme, width, height, subjectPng) {
+    let image = sharp(path.join(this.dir, theme.photo)).rotate().resize(width, height, { fit: 'cover' }).removeAlpha();
+    if (theme.blur > 0.3) image = image.blur(theme.blur);
+    let buffer = await image.png().toBuffer();
+
+    // Pull each channel's mean part of the way toward the subject's so the
+    // backdrop and the person look lit by the same light
+    if (subjectPng && theme.match > 0) {
+      const target = await this.subjectMean(subjectPng);
+      if (target) {
+        const { channels } = await sharp(buffer).stats();
+        const gains = channels.slice(0, 3).map((c, k) => {
+          const mean = Math.max(1, c.mean);
+          return (mean + (target[k] - mean) * theme.match) / mean;
+        });
+        buffer = await sharp(buffer).linear(gains, [0, 0, 0]).png().toBuffer();
+      }
+    }
+
+    if (theme.noise > 0) {
+      const grain = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"><defs>${this.grainFilter()}</defs>` +
+        `<rect width="100%" height="100%" fill="#000" opacity="${theme.noise}" filter="url(#grain)"/></svg>`;
+      buffer = await sharp(buffer).composite([{ input: Buffer.from(grain) }]).png().toBuffer();
+    }
+    return buffer;
+  }
+
+  // Mean RGB of the opaque pixels of a cutout, or null when it is fully transparent
+  async subjectMean(subjectPng) {
+    const { data } = await sharp(subjectPng).resize(64, 64, { fit: 'inside' }).ensureAlpha().raw().toBuffer({ resolveWithObject: true });
+    const sum = [0, 0, 0];
+    let count = 0;
+    for (let i = 0; i < data.length; i += 4) {
+      if (data[i + 3] < 128) continue;
+      sum[0] += data[i]; sum[1] += data[i + 1]; sum[2] += data[i + 2];
+      count++;
+    }
+    return count ? sum.map(v => v / count) : null;
+  }
+
+  seededRandom(seed) {
+    let a = seed >>> 0;
+    return () => {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+}
+
+module.exports = { ThemeLibrary, BUILT_IN_THEMES, THEME_TYPES, PATTERNS };
@@ -0,0 +1,98 @@
+// Append-only log of profile picture updates, stored as JSON lines (CommonJS)
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const HISTORY_FILE = 'history.jsonl';
+const OUTCOMES = ['verified', 'failed'];
+const TRIGGERS = ['scheduled', 'manual', 'rollback'];
+const KINDS = ['photo', 'banner'];
+
+// One line per attempt, never rewritten: which picture went live (or failed to)
+// when, and why. The newest verified photo entry is the picture that is live now;
+// banner updates are logged alongside with kind "banner".
+class UpdateHistory {
+  constructor(storagePath) {
+    this.historyPath = path.join(storagePath, HISTORY_FILE);
+    this.entries = null;
+  }
+
+  async load() {
+    if (this.entries) return this.entries;
+    let raw = '';
+    try {
+      raw = await fs.readFile(this.historyPath, 'utf8');
+    } catch {
+      raw = '';
+    }
+    this.entries = [];
+    for (const line of raw.split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        this.entries.push(JSON.parse(line));
+      } catch (e) {
+        console.warn('Skipping corrupt history line:', e.message);
+      }
+    }
+    return this.entries;
+  }
+
+  async append(definition) {
+    const entries = await this.load();
+    const entry = this.normalize(definition);
+    await fs.mkdir(path.dirname(this.historyPath), { recursive: true }).catch(() => {});
+    await fs.appendFile(this.historyPath, JSON.stringify(entry) + '\n');
+    entries.push(entry);
+    return entry;
+  }
+
+  // Newest first; ?outcome narrows to verified or failed attempts, ?kind to photos or banners
+  async list({ limit = 50, outcome, kind } = {}) {
+    const entries = (await this.load()).slice().reverse();
+    return entries
+      .filter(e => (!outcome || e.outcome === outcome) && (!kind || (e.kind || 'photo') === kind))
+      .slice(0, limit);
+  }
+
+  // The picture (or banner) that is live now
+  async current(kind = 'photo') {
+    return (await this.list({ outcome: 'verified', kind, limit: 1 }))[0] || null;
+  }
+
+  // The last picture that was live before the current one
+  async previous(kind = 'photo') {
+    const [current, ...earlier] = await this.list({ outcome: 'verified', kind, limit: Infinity });
+    if (!current) return null;
+    return earlier.find(e => e.imageId && e.imageId !== current.imageId) || null;
+  }
+
+  normalize(definition = {}) {
+    const outcome = definition.outcome;
+    if (!OUTCOMES.includes(outcome)) throw new Error(`outcome must be one of ${OUTCOMES.join(', ')}`);
+    const trigger = definition.trigger ?? 'scheduled';
+    if (!TRIGGERS.includes(trigger)) throw new Error(`trigger must be one of ${TRIGGERS.join(', ')}`);
+    const kind = definition.kind ?? 'photo';
+    if (!KINDS.includes(kind)) throw new Error(`kind must be one of ${KINDS.join(', ')}`);
+    const imageId = definition.imageId ?? null;
+    if (imageId !== null && typeof imageId !== 'string') throw new Error('imageId must be a string');
+    if (outcome === 'verified' && !imageId) throw new Error('A verified update needs an imageId');
+    const at = definition.at ?? new Date().toISOString();
+    if (Number.isNaN(Date.parse(at))) throw new Error('at must be an ISO timestamp');
+    const text = (key) => (definition[key] == null ? null : String(definition[key]).slice(0, 500));
+
+    return {
+      id: `update_${Date.now().toString(36)}_${crypto.randomBytes(3).toString('hex')}`,
+      at: new Date(at).toISOString(),
+      imageId,
+      kind,
+      outcome,
+      trigger,
+      code: outcome === 'failed' ? text('code') : null,
+      error: outcome === 'failed' ? text('error') : null,
+      failedStep: outcome === 'failed' ? text('failedStep') : null,
+      durationMs: Number.isFinite(definition.durationMs) ? Math.round(definition.durationMs) : null
+    };
+  }
+}
+
+module.exports = { UpdateHistory, OUTCOMES, TRIGGERS, KINDS };
@@ -1,33 +1,88 @@
 // Background service worker for scheduling and automation
+importScripts('schedule.js', 'image-cache.js');
+
+const UPDATE_ALARM = 'linkedin-profile-update';
+const BANNER_ALARM = 'linkedin-banner-update';
+const CACHE_SYNC_ALARM = 'linkedin-image-cache-sync';
+const CACHE_SYNC_MINUTES = 60;
+const PENDING_SYNC_LIMIT = 100;
+const PAUSED_NOTIFICATION = 'linkedin-updates-paused';
+const ATTEMPT_HISTORY_LIMIT = 20;
+const HISTORY_MIRROR_LIMIT = 50;
+// How long an update waits for the LinkedIn tab to finish loading
+const TAB_LOAD_TIMEOUT_MS = 30000;
+
+// Retries after a failed scheduled update, by failure code: the delay doubles
+// with every attempt (capped at maxDelayMinutes); after maxAttempts updates pause
+const RETRY_POLICIES = {
+  'backend-down': { delayMinutes: 5, maxDelayMinutes: 120, maxAttempts: 6 },
+  'not-logged-in': { delayMinutes: 60, maxDelayMinutes: 240, maxAttempts: 3 },
+  'selector-not-found': { delayMinutes: 30, maxDelayMinutes: 240, maxAttempts: 3 },
+  'verification-failed': { delayMinutes: 15, maxDelayMinutes: 120, maxAttempts: 3 },
+  unknown: { delayMinutes: 15, maxDelayMinutes: 240, maxAttempts: 4 }
+};
+// Failures a retry cannot fix; the next regular run tries again
+const NO_RETRY_CODES = ['no-images'];
+
 class LinkedInAutoUpdater {
   constructor() {
     this.backendUrl = 'http://localhost:3000';
+    this.cache = new ImageCache({ backendUrl: this.backendUrl });
+    this.syncing = null;
     this.init();
   }
 
   async init() {
     // Set up alarm listener
     chrome.alarms.onAlarm.addListener((alarm) => {
-      if (alarm.name === 'linkedin-profile-update') {
-        this.handleScheduledUpdate();
+      if (alarm.name === UPDATE_ALARM) {
+        this.runScheduledUpdate();
+      } else if (alarm.name === BANNER_ALARM) {
+        this.runScheduledBannerUpdate();
+      } else if (alarm.name === CACHE_SYNC_ALARM) {
+        this.syncCache();
       }
     });
 
+    chrome.notifications.onClicked.addListener(async (notificationId) => {
+      if (notificationId !== PAUSED_NOTIFICATION) return;
+      const { updatesPaused } = await chrome.storage.local.get(['updatesPaused']);
+      if (updatesPaused?.code === 'not-logged-in') chrome.tabs.create({ url: 'https://www.linkedin.com/login' });
+      chrome.notifications.clear(notificationId);
+    });
+
     // Initialize default settings
     await this.initializeSettings();
 
-    // Schedule on startup
+    // Schedule on startup; a run missed while the browser was closed is caught up here
     await this.scheduleNextUpdate();
+    await this.scheduleNextBannerUpdate();
+
+    // Keep the offline cache fresh while the backend is up
+    if (!(await chrome.alarms.get(CACHE_SYNC_ALARM))) {
+      await chrome.alarms.create(CACHE_SYNC_ALARM, { periodInMinutes: CACHE_SYNC_MINUTES });
+    }
+    this.syncCache();
   }
 
   async initializeSettings() {
     const defaultSettings = {
       isEnabled: true,
-      frequency: 'weekly', // daily, weekly, custom
+      frequency: 'weekly', // daily, weekly, custom, rules
       customInterval: 7, // days for custom frequency
+      scheduleRules: [{ days: [1], time: '09:00' }], // weekdays (0 = Sunday) and local time for 'rules'
+      jitterMinutes: 30, // random delay added to every run
+      quietHours: null, // { start: 'HH:MM', end: 'HH:MM' }
+      vacations: [], // [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }]
+      catchUp: true, // run once after start-up when a run was missed
       numImages: 10,
-      currentImageIndex: 0,
+      rotationStrategy: 'sequential', // sequential, shuffle, random, weighted, lru
       lastUpdate: null,
+      // Cover banner: 'paired' changes it together with the photo, 'schedule' on its own
+      // frequency (quiet hours, vacations and jitter are shared with the photo)
+      banner: { isEnabled: false, mode: 'paired', frequency: 'weekly', customInterval: 7, scheduleRules: [{ days: [4], time: '09:00' }] },
+      lastBannerUpdate: null,
+      offlineCache: { ...DEFAULT_CACHE_LIMITS }, // images kept in IndexedDB for when the backend is down
       storagePath: './generated-images'
     };
 
@@ -35,7 +90,7 @@ class LinkedInAutoUpdater {
     await chrome.storage.sync.set(result);
   }
 
-  async handleScheduledUpdate() {
+  async handleScheduledUpdate(trigger = 'scheduled') {
     try {
       const settings = await chrome.storage.sync.get();
       
@@ -44,121 +99,566 @@ class LinkedInAutoUpdater {
         return;
       }
 
-      // Check if we have generated images
-      const images = await this.getStoredImages();
-      if (images.length === 0) {
+      // Campaigns are scheduled by calendar date, so use the browser's local day
+      const today = this.localDate();
+      const campaign = await this.getActiveCampaign(today);
+      if (campaign) console.log(`Campaign "${campaign.name}" is active on ${today}`);
+
+      // Ask the backend rotation engine which image is up next
+      const image = await this.getNextImage(today);
+      if (!image) {
         console.log('No images available for update');
-        return;
+        const report = { success: false, verified: false, code: 'no-images', error: 'No images available for update', steps: [] };
+        await this.recordUpdateResult(null, report, trigger);
+        return report;
       }
 
-      // Ensure we have a LinkedIn profile tab open
-      let [tab] = await chrome.tabs.query({ url: '*://www.linkedin.com/*' });
-      if (!tab) {
-        tab = await chrome.tabs.create({ url: 'https://www.linkedin.com/in/me/' });
-      } else if (!/linkedin\.com\/in\//i.test(tab.url)) {
-        await chrome.tabs.update(tab.id, { url: 'https://www.linkedin.com/in/me/' });
+      const report = await this.applyImage(image, trigger);
+      if (report.verified) {
+        // Only a verified update advances the rotation past this image
+        await this.markApplied(image.id);
+        // A paired banner changes with the photo: the one paired with it, else the next banner
+        if (settings.banner?.isEnabled && settings.banner.mode === 'paired') {
+          await this.handleBannerUpdate(trigger, image.banner);
+        }
+      }
+      return report;
+
+    } catch (error) {
+      console.error('Error during scheduled update:', error);
+      const report = { success: false, verified: false, code: error.code || 'unknown', error: error.message, steps: [] };
+      await this.recordUpdateResult(null, report, trigger);
+      return report;
+    }
+  }
+
+  // Puts a picture from the history back on LinkedIn without moving the rotation
+  async restorePicture(image) {
+    try {
+      return await this.applyImage({
+        id: image.id,
+        path: this.uploadUrl(image.id),
+        name: image.filename,
+        editor: image.editor || null
+      }, 'rollback');
+    } catch (error) {
+      console.error('Error restoring picture:', error);
+      const report = { success: false, verified: false, code: error.code || 'unknown', error: error.message, steps: [] };
+      await this.recordUpdateResult(image, report, 'rollback');
+      return report;
+    }
+  }
+
+  // Puts a banner on LinkedIn: `banner`, or the next one from the banner rotation.
+  // Banner failures are reported but never retried or pause updates
+  async handleBannerUpdate(trigger = 'scheduled', banner = null) {
+    try {
+      const next = banner || await this.getNextImage(this.localDate(), 'banner');
+      if (!next) {
+        const report = { success: false, verified: false, code: 'no-images', error: 'No banners available for update', steps: [] };
+        await this.recordUpdateResult(null, report, trigger, 'banner');
+        return report;
       }
+      const report = await this.applyImage(next, trigger, 'banner');
+      if (report.verified) await this.markApplied(next.id);
+      return report;
+    } catch (error) {
+      console.error('Error during banner update:', error);
+      const report = { success: false, verified: false, code: error.code || 'unknown', error: error.message, steps: [] };
+      await this.recordUpdateResult(null, report, trigger, 'banner');
+      return report;
+    }
+  }
 
-      // Wait for the page to load
+  // Drives the content script with `image` (a photo or a banner) and records the outcome
+  async applyImage(image, trigger, kind = 'photo') {
+    // Ensure we have a LinkedIn profile tab open
+    let [tab] = await chrome.tabs.query({ url: '*://www.linkedin.com/*' });
+    if (!tab) {
+      tab = await chrome.tabs.create({ url: 'https://www.linkedin.com/in/me/' });
+    } else if (!/linkedin\.com\/in\//i.test(tab.url)) {
+      await chrome.tabs.update(tab.id, { url: 'https://www.linkedin.com/in/me/' });
+    }
+
+    // Wait for the page to load; a tab that never does is recorded as a failed update
+    try {
       await this.waitForTabLoad(tab.id);
+    } catch (error) {
+      const report = { success: false, verified: false, code: error.code || 'unknown', error: error.message, failedStep: 'load', steps: [] };
+      await this.recordUpdateResult(image, report, trigger, kind);
+      console.warn(`${kind === 'banner' ? 'Background banner' : 'Profile picture'} update failed at load:`, error.message);
+      return report;
+    }
 
-      // Pick current image
-      const image = images[settings.currentImageIndex % images.length];
+    // The content script answers once the update has run, with a step-by-step report
+    const selectorProfile = await this.getSelectorProfile();
+    // Images from the offline cache travel inline, so the backend is not needed at all
+    const imagePath = image.cached ? await this.cache.dataUrl(image.id) : image.path;
+    const report = await chrome.tabs.sendMessage(tab.id, {
+      action: kind === 'banner' ? 'updateBanner' : 'updateProfilePicture',
+      imagePath,
+      imageName: image.name,
+      editor: image.editor || null,
+      selectorProfile
+    }).catch(err => ({ success: false, verified: false, error: err?.message || 'No response', steps: [] }));
+    await this.recordUpdateResult(image, report, trigger, kind);
+    if (report?.diagnostics) await this.recordDiagnostics(report.diagnostics);
 
-      // Tell content script to update
-      const response = await chrome.tabs.sendMessage(tab.id, {
-        action: 'updateProfilePicture',
-        imagePath: image.path,
-        imageName: image.name
-      }).catch(err => ({ success: false, error: err?.message }));
+    const label = kind === 'banner' ? 'Background banner' : 'Profile picture';
+    if (!report?.verified) {
+      console.warn(`${label} update failed${report?.failedStep ? ` at ${report.failedStep}` : ''}:`, report?.error || 'No response');
+      return report;
+    }
 
-      if (!response || response.success !== true) {
-        console.warn('Content script did not confirm update start:', response?.error || 'No response');
-      }
+    await chrome.storage.sync.set({ [kind === 'banner' ? 'lastBannerUpdate' : 'lastUpdate']: Date.now() });
+    console.log(`${label} ${trigger === 'rollback' ? 'restored' : 'updated'} and verified in ${report.durationMs}ms`);
+    return report;
+  }
 
-      // Update index for next time
-      const nextIndex = (settings.currentImageIndex + 1) % images.length;
-      await chrome.storage.sync.set({ 
-        currentImageIndex: nextIndex,
-        lastUpdate: Date.now()
+  // The built-in selector profile with the backend's saved profile layered over it
+  // step by step and phrase by phrase; fetched before every update so edits apply without a reload
+  async getSelectorProfile() {
+    if (!this.builtInProfile) {
+      this.builtInProfile = await (await fetch(chrome.runtime.getURL('selector-profile.json'))).json();
+    }
+    let saved;
+    try {
+      const result = await (await fetch(`${this.backendUrl}/selectors`)).json();
+      saved = result.success ? result.profile : undefined;
+    } catch (error) {
+      console.warn('Could not load selector profile, using the last known one:', error);
+    }
+    if (saved === undefined) {
+      ({ savedSelectorProfile: saved = null } = await chrome.storage.local.get(['savedSelectorProfile']));
+    } else {
+      await chrome.storage.local.set({ savedSelectorProfile: saved });
+    }
+
+    if (!saved) return { ...this.builtInProfile, source: 'built-in' };
+    return {
+      name: saved.name,
+      version: saved.version,
+      source: 'backend',
+      phrases: { ...this.builtInProfile.phrases, ...saved.phrases },
+      steps: { ...this.builtInProfile.steps, ...saved.steps }
+    };
+  }
+
+  async recordDiagnostics(diagnostics) {
+    await chrome.storage.local.set({ lastDiagnostics: diagnostics });
+    try {
+      await fetch(`${this.backendUrl}/diagnostics`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(diagnostics)
       });
+    } catch (error) {
+      console.warn('Could not upload diagnostics:', error);
+    }
+  }
 
-      console.log('Profile picture update triggered');
+  // Saves (profile) or removes (null) the team's selector profile on the backend
+  async saveSelectorProfile(profile) {
+    try {
+      const response = await fetch(`${this.backendUrl}/selectors`, profile
+        ? { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(profile) }
+        : { method: 'DELETE' });
+      const result = await response.json();
+      if (!result.success) return { success: false, error: result.error };
+      await chrome.storage.local.set({ savedSelectorProfile: result.profile || null });
+      return { success: true, profile: await this.getSelectorProfile() };
+    } catch (error) {
+      console.error('Error saving selector profile:', error);
+      return { success: false, error: error.message };
+    }
+  }
 
+  // Keeps the outcome of the last attempt and a short attempt list for the popup,
+  // and appends it to the update history (backend, mirrored locally). Banners only
+  // keep their last result locally; the backend history has them all
+  async recordUpdateResult(image, report, trigger = 'scheduled', kind = 'photo') {
+    const result = { ...report, code: report.verified ? null : report.code || 'unknown', imageId: image?.id || null, finishedAt: Date.now() };
+    const { updateAttempts = [], updateHistory = [] } = await chrome.storage.local.get(['updateAttempts', 'updateHistory']);
+    const attempt = { at: result.finishedAt, verified: result.verified, code: result.code, error: result.error, failedStep: result.failedStep || null };
+    const entry = {
+      at: new Date(result.finishedAt).toISOString(),
+      imageId: result.imageId,
+      filename: image?.name || image?.filename || null,
+      kind,
+      outcome: result.verified ? 'verified' : 'failed',
+      trigger,
+      code: result.code,
+      error: result.error || null,
+      failedStep: result.failedStep || null,
+      durationMs: report.durationMs
+    };
+    await chrome.storage.local.set(kind === 'banner' ? { lastBannerResult: result } : {
+      lastUpdateResult: result,
+      updateAttempts: [attempt, ...updateAttempts].slice(0, ATTEMPT_HISTORY_LIMIT),
+      updateHistory: [entry, ...updateHistory].slice(0, HISTORY_MIRROR_LIMIT)
+    });
+
+    try {
+      await fetch(`${this.backendUrl}/history`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(entry)
+      });
     } catch (error) {
-      console.error('Error during scheduled update:', error);
+      console.warn('Could not record update history, keeping it for the next sync:', error);
+      await this.queuePendingSync({ type: 'history', entry });
+    }
+  }
+
+  // Schedules a retry for a failed scheduled update, or pauses updates once the
+  // failure's policy runs out of attempts
+  async handleUpdateOutcome(report) {
+    if (!report) return;
+    if (report.verified) {
+      await chrome.storage.local.set({ retryState: null, updatesPaused: null });
+      return;
+    }
+
+    const code = report.code || 'unknown';
+    if (NO_RETRY_CODES.includes(code)) {
+      await chrome.storage.local.set({ retryState: null });
+      return;
+    }
+
+    const policy = RETRY_POLICIES[code] || RETRY_POLICIES.unknown;
+    const { retryState } = await chrome.storage.local.get(['retryState']);
+    // A different failure starts its own count
+    const attempt = retryState?.code === code ? retryState.attempt + 1 : 1;
+    if (attempt > policy.maxAttempts) {
+      await this.pauseUpdates(code, report.error, attempt - 1);
+      return;
+    }
+
+    const delayMinutes = Math.min(policy.delayMinutes * 2 ** (attempt - 1), policy.maxDelayMinutes);
+    const retryAt = Date.now() + delayMinutes * 60 * 1000;
+    await chrome.storage.local.set({ retryState: { code, attempt, maxAttempts: policy.maxAttempts, retryAt, error: report.error } });
+    console.log(`Retrying ${code} failure in ${delayMinutes} minutes (attempt ${attempt} of ${policy.maxAttempts})`);
+  }
+
+  async pauseUpdates(code, error, attempts) {
+    await chrome.storage.local.set({ retryState: null, updatesPaused: { code, error, attempts, since: Date.now() } });
+    await chrome.alarms.clear(UPDATE_ALARM);
+    await chrome.alarms.clear(BANNER_ALARM);
+    const reasons = {
+      'backend-down': 'The image backend is not reachable. Start it and resume updates from the popup.',
+      'not-logged-in': 'You are not logged in to LinkedIn. Click to log in, then resume updates from the popup.',
+      'selector-not-found': 'The LinkedIn page layout was not recognised, so the photo could not be changed.',
+      'verification-failed': 'The photo was uploaded but never showed up on your profile.'
+    };
+    chrome.notifications.create(PAUSED_NOTIFICATION, {
+      type: 'basic',
+      iconUrl: 'icons/icon128.png',
+      title: 'Profile picture updates paused',
+      message: `${reasons[code] || error || 'Updates kept failing.'} (${attempts} failed attempts)`,
+      priority: 2
+    });
+    console.warn(`Scheduled updates paused after ${attempts} failed attempts (${code})`);
+  }
+
+  async resumeUpdates() {
+    await chrome.storage.local.set({ retryState: null, updatesPaused: null });
+    chrome.notifications.clear(PAUSED_NOTIFICATION);
+    await this.scheduleNextUpdate();
+    await this.scheduleNextBannerUpdate();
+  }
+
+  async markApplied(imageId) {
+    await this.cache.markApplied(imageId).catch(error => console.warn('Could not update the offline cache:', error));
+    try {
+      await fetch(`${this.backendUrl}/images/${encodeURIComponent(imageId)}/applied`, { method: 'POST' });
+    } catch (error) {
+      console.warn('Could not record applied image, keeping it for the next sync:', error);
+      await this.queuePendingSync({ type: 'applied', imageId });
     }
   }
 
-  async waitForTabLoad(tabId) {
-    return new Promise((resolve) => {
+  // Reports made while the backend was down, replayed oldest first by the next sync
+  async queuePendingSync(item) {
+    const { pendingSync = [] } = await chrome.storage.local.get(['pendingSync']);
+    await chrome.storage.local.set({ pendingSync: [...pendingSync, item].slice(-PENDING_SYNC_LIMIT) });
+  }
+
+  async flushPendingSync() {
+    const { pendingSync = [] } = await chrome.storage.local.get(['pendingSync']);
+    const failed = [];
+    for (const item of pendingSync) {
+      const request = item.type === 'applied'
+        ? fetch(`${this.backendUrl}/images/${encodeURIComponent(item.imageId)}/applied`, { method: 'POST' })
+        : fetch(`${this.backendUrl}/history`, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(item.entry) });
+      // Only an unreachable backend keeps an item; a rejected one (e.g. a deleted image) is dropped
+      await request.catch(() => failed.push(item));
+    }
+    await chrome.storage.local.set({ pendingSync: failed });
+  }
+
+  // Mirrors the curated pool into IndexedDB; the outcome is kept in cacheStatus for the popup
+  async syncCache() {
+    if (this.syncing) return this.syncing;
+    this.syncing = (async () => {
+      const { cacheStatus: previous = {} } = await chrome.storage.local.get(['cacheStatus']);
+      const { offlineCache } = await chrome.storage.sync.get(['offlineCache']);
+      const limits = ImageCache.limits(offlineCache);
+      await chrome.storage.local.set({ cacheStatus: { ...previous, state: 'syncing', limits } });
+      let cacheStatus;
+      try {
+        await this.flushPendingSync();
+        const result = await this.cache.sync(limits);
+        cacheStatus = { state: 'synced', ...result, limits, syncedAt: Date.now(), error: null };
+        console.log(`Offline cache synced: ${result.count} images, ${result.downloaded} downloaded, ${result.skipped} over the limits`);
+      } catch (error) {
+        const state = error.code === 'backend-down' ? 'offline' : 'error';
+        const stored = await this.cache.status().catch(() => ({ count: 0, bytes: 0 }));
+        cacheStatus = { ...previous, ...stored, state, limits, checkedAt: Date.now(), error: error.message };
+        console.warn('Offline cache not synced:', error.message);
+      }
+      await chrome.storage.local.set({ cacheStatus });
+      return cacheStatus;
+    })().finally(() => { this.syncing = null; });
+    return this.syncing;
+  }
+
+  // LinkedIn gets the backend's upload export of an image, never the stored master
+  uploadUrl(id) {
+    return `${this.backendUrl}/images/${encodeURIComponent(id)}/upload`;
+  }
+
+  // The offline rotation's next image in the shape getNextImage returns
+  async getCachedImage(kind) {
+    const toImage = (record) => ({ id: record.id, name: record.filename, editor: record.editor || null, cached: true });
+    const record = await this.cache.next(kind);
+    if (!record) return null;
+    return kind === 'photo' ? { ...toImage(record), banner: record.banner ? toImage(record.banner) : null } : toImage(record);
+  }
+
+  // Resolves once the tab has finished loading, at once if it already has; rejects after
+  // `timeoutMs` so a tab that never loads does not hold the update forever
+  async waitForTabLoad(tabId, timeoutMs = TAB_LOAD_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      const done = (error) => {
+        clearTimeout(timer);
+        chrome.tabs.onUpdated.removeListener(listener);
+        if (error) reject(error);
+        else resolve();
+      };
       const listener = (updatedTabId, info) => {
-        if (updatedTabId === tabId && info.status === 'complete') {
-          chrome.tabs.onUpdated.removeListener(listener);
-          resolve();
-        }
+        if (updatedTabId === tabId && info.status === 'complete') done();
       };
+      const timer = setTimeout(() => {
+        const error = new Error(`LinkedIn tab did not finish loading within ${Math.round(timeoutMs / 1000)}s`);
+        error.code = 'tab-load-timeout';
+        done(error);
+      }, timeoutMs);
+      // Listen first, then look: a tab that completes in between is still caught
       chrome.tabs.onUpdated.addListener(listener);
+      chrome.tabs.get(tabId).then(tab => {
+        if (tab?.status === 'complete') done();
+      }, error => done(error));
     });
   }
 
-  async getStoredImages() {
+  localDate(now = new Date()) {
+    return UpdateSchedule.localDate(now.getTime());
+  }
+
+  // The campaign that owns the rotation on `date`, or null for the normal pool
+  async getActiveCampaign(date) {
     try {
-      const response = await fetch(`${this.backendUrl}/images`);
+      const response = await fetch(`${this.backendUrl}/campaigns/preview?date=${date}`);
       const data = await response.json();
-      
+      return data.success ? data.campaign : null;
+    } catch (error) {
+      console.warn('Could not check campaigns:', error);
+      return null;
+    }
+  }
+
+  // The next photo (with its paired banner, if any) or, for kind 'banner', the next banner
+  async getNextImage(date, kind = 'photo') {
+    try {
+      const query = new URLSearchParams({ kind });
+      if (date) query.set('date', date);
+      const response = await fetch(`${this.backendUrl}/rotation/next?${query}`);
+      const data = await response.json();
+
       if (data.success) {
-        return data.images.map(img => ({
-          path: `${this.backendUrl}/images/${img.filename}`,
-          name: img.filename
-        }));
+        // Excluded images must never reach LinkedIn, even if the backend let one through
+        if (data.image.excluded) return null;
+        const toImage = (record) => ({
+          id: record.id,
+          path: this.uploadUrl(record.id),
+          name: record.filename,
+          editor: record.editor || null
+        });
+        const banner = data.banner && !data.banner.excluded ? toImage(data.banner) : null;
+        return kind === 'photo' ? { ...toImage(data.image), banner } : toImage(data.image);
       } else {
-        console.error('Error fetching stored images:', data.error);
-        return [];
+        console.error('Error fetching next image:', data.error);
+        return null;
       }
     } catch (error) {
-      console.error('Error fetching stored images:', error);
-      return [];
+      // Without the backend the rotation carries on from the offline cache
+      const cached = await this.getCachedImage(kind).catch(() => null);
+      if (cached) {
+        console.warn(`Backend not reachable, using cached ${kind} ${cached.id}:`, error);
+        const { cacheStatus } = await chrome.storage.local.get(['cacheStatus']);
+        await chrome.storage.local.set({ cacheStatus: { ...cacheStatus, state: 'offline', checkedAt: Date.now(), error: error.message } });
+        return cached;
+      }
+      console.error('Error fetching next image:', error);
+      throw Object.assign(new Error(`Backend not reachable: ${error.message}`), { code: 'backend-down' });
     }
   }
 
+  async setRotationStrategy(strategy) {
+    try {
+      const response = await fetch(`${this.backendUrl}/rotation`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ strategy })
+      });
+      const result = await response.json();
+      if (!result.success) console.error('Error setting rotation strategy:', result.error);
+      return result;
+    } catch (error) {
+      console.error('Error setting rotation strategy:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Alarm entry point; settings may have changed since the alarm was set
+  async runScheduledUpdate() {
+    const settings = await chrome.storage.sync.get();
+    const { updatesPaused } = await chrome.storage.local.get(['updatesPaused']);
+    const blocked = new UpdateSchedule(settings).blockedReason(Date.now());
+    if (updatesPaused) {
+      console.log(`Scheduled update skipped (paused after ${updatesPaused.code})`);
+    } else if (blocked) {
+      console.log(`Scheduled update skipped (${blocked})`);
+    } else {
+      await this.handleUpdateOutcome(await this.handleScheduledUpdate());
+    }
+    // Failed or skipped runs count too; retries are scheduled separately
+    await chrome.storage.local.set({ lastScheduledAttempt: Date.now() });
+    await this.scheduleNextUpdate();
+  }
+
   async scheduleNextUpdate() {
     const settings = await chrome.storage.sync.get();
-    
-    if (!settings.isEnabled) {
-      await chrome.alarms.clear('linkedin-profile-update');
+    const { lastScheduledAttempt, nextRun: stored, retryState, updatesPaused } =
+      await chrome.storage.local.get(['lastScheduledAttempt', 'nextRun', 'retryState', 'updatesPaused']);
+
+    if (!settings.isEnabled || updatesPaused) {
+      await chrome.alarms.clear(UPDATE_ALARM);
+      await chrome.storage.local.set({ nextRun: null });
       return;
     }
 
-    let intervalMinutes;
-    switch (settings.frequency) {
-      case 'daily':
-        intervalMinutes = 24 * 60;
-        break;
-      case 'weekly':
-        intervalMinutes = 7 * 24 * 60;
-        break;
-      case 'custom':
-        intervalMinutes = settings.customInterval * 24 * 60;
-        break;
-      default:
-        intervalMinutes = 7 * 24 * 60; // weekly default
-    }
-
-    // Clear existing alarm
-    await chrome.alarms.clear('linkedin-profile-update');
-    
-    // Set new alarm
-    await chrome.alarms.create('linkedin-profile-update', {
-      delayInMinutes: 1, // first run soon for testing; then period applies
-      periodInMinutes: intervalMinutes
-    });
+    const lastRun = Math.max(settings.lastUpdate || 0, lastScheduledAttempt || 0) || null;
+    const basis = `${UpdateSchedule.basis(settings, lastRun)}|${retryState?.retryAt || ''}`;
+
+    // The service worker restarts often; keep the pending alarm (and its jitter) while nothing changed
+    const alarm = await chrome.alarms.get(UPDATE_ALARM);
+    if (alarm && stored?.basis === basis && stored.at > Date.now()) return;
+
+    await chrome.alarms.clear(UPDATE_ALARM);
+    const schedule = new UpdateSchedule(settings);
+    let next = schedule.nextRun({ lastRun, now: Date.now() });
+    // A pending retry wins when it comes first; it respects quiet hours and vacations too
+    if (retryState) {
+      const retry = schedule.defer(Math.max(retryState.retryAt, Date.now() + 60 * 1000));
+      if (!next || retry.at < next.at) {
+        next = { ...retry, reason: 'retry', attempt: retryState.attempt, maxAttempts: retryState.maxAttempts };
+      }
+    }
+    if (!next) {
+      console.warn('No update could be scheduled; check the schedule rules');
+      await chrome.storage.local.set({ nextRun: null });
+      return;
+    }
+
+    await chrome.alarms.create(UPDATE_ALARM, { when: next.at });
+    await chrome.storage.local.set({ nextRun: { ...next, basis } });
+
+    console.log(`Next update scheduled for ${new Date(next.at).toLocaleString()} (${next.reason}${next.deferred ? `, moved out of ${next.deferred}` : ''})`);
+  }
+
+  // The banner's own schedule: its frequency and rules, the photo's jitter, quiet hours and vacations
+  bannerSchedule(settings) {
+    return new UpdateSchedule({ ...settings, ...settings.banner });
+  }
+
+  async runScheduledBannerUpdate() {
+    const settings = await chrome.storage.sync.get();
+    const { updatesPaused } = await chrome.storage.local.get(['updatesPaused']);
+    const blocked = this.bannerSchedule(settings).blockedReason(Date.now());
+    if (updatesPaused) {
+      console.log(`Scheduled banner update skipped (paused after ${updatesPaused.code})`);
+    } else if (blocked) {
+      console.log(`Scheduled banner update skipped (${blocked})`);
+    } else {
+      await this.handleBannerUpdate();
+    }
+    await chrome.storage.local.set({ lastBannerAttempt: Date.now() });
+    await this.scheduleNextBannerUpdate();
+  }
+
+  // Only a banner on its own schedule gets an alarm; a paired one changes with the photo
+  async scheduleNextBannerUpdate() {
+    const settings = await chrome.storage.sync.get();
+    const { lastBannerAttempt, nextBannerRun: stored, updatesPaused } =
+      await chrome.storage.local.get(['lastBannerAttempt', 'nextBannerRun', 'updatesPaused']);
+
+    if (!settings.isEnabled || !settings.banner?.isEnabled || settings.banner.mode !== 'schedule' || updatesPaused) {
+      await chrome.alarms.clear(BANNER_ALARM);
+      await chrome.storage.local.set({ nextBannerRun: null });
+      return;
+    }
+
+    const lastRun = Math.max(settings.lastBannerUpdate || 0, lastBannerAttempt || 0) || null;
+    const basis = UpdateSchedule.basis({ ...settings, ...settings.banner }, lastRun);
+    const alarm = await chrome.alarms.get(BANNER_ALARM);
+    if (alarm && stored?.basis === basis && stored.at > Date.now()) return;
+
+    await chrome.alarms.clear(BANNER_ALARM);
+    const next = this.bannerSchedule(settings).nextRun({ lastRun, now: Date.now() });
+    if (!next) {
+      console.warn('No banner update could be scheduled; check the banner schedule');
+      await chrome.storage.local.set({ nextBannerRun: null });
+      return;
+    }
 
-    console.log(`Next update scheduled every ${intervalMinutes} minutes`);
+    await chrome.alarms.create(BANNER_ALARM, { when: next.at });
+    await chrome.storage.local.set({ nextBannerRun: { ...next, basis } });
+    console.log(`Next banner update scheduled for ${new Date(next.at).toLocaleString()} (${next.reason})`);
   }
 
+  async generateBanners({ numBanners, themes, pair }) {
+    try {
+      const response = await fetch(`${this.backendUrl}/generate-banners`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ numBanners, themes, pair })
+      });
+      const result = await response.json();
+      return result.success ? { success: true, count: result.count } : { success: false, error: result.error };
+    } catch (error) {
+      console.error('Error generating banners:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Manual updates ignore quiet hours; a verified one also resumes paused updates
   async forceUpdate() {
-    await this.handleScheduledUpdate();
+    const report = await this.handleScheduledUpdate('manual');
+    if (report?.verified) {
+      await this.resumeUpdates();
+    }
+    return report;
   }
 
   async generateImages(basePhoto, numImages) {
@@ -177,8 +677,8 @@ class LinkedInAutoUpdater {
       const result = await response.json();
       
       if (result.success) {
-        console.log(`Generated ${result.count} images successfully`);
-        return { success: true, count: result.count };
+        console.log(`Generation job ${result.jobId} started`);
+        return this.toJobResponse(result);
       } else {
         console.error('Error generating images:', result.error);
         return { success: false, error: result.error };
@@ -189,17 +689,17 @@ class LinkedInAutoUpdater {
     }
   }
 
-  async generateFromBase(numImages) {
+  async generateFromBase(numImages, basePhotoId, provider, themes, overlays, grading) {
     try {
       const response = await fetch(`${this.backendUrl}/generate-from-base`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ numImages })
+        body: JSON.stringify({ numImages, basePhotoId, provider, themes, overlays, grading })
       });
       const result = await response.json();
       if (result.success) {
-        console.log(`Generated ${result.count} images from base folder`);
-        return { success: true, count: result.count };
+        console.log(`Generation job ${result.jobId} started from base photo`);
+        return this.toJobResponse(result);
       } else {
         console.error('Error generating from base:', result.error);
         return { success: false, error: result.error };
@@ -209,6 +709,227 @@ class LinkedInAutoUpdater {
       return { success: false, error: error.message };
     }
   }
+
+  async listProviders() {
+    try {
+      const response = await fetch(`${this.backendUrl}/providers`);
+      const result = await response.json();
+      return result.success ? { success: true, providers: result.providers } : { success: false, error: result.error };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listGradingPresets() {
+    try {
+      const response = await fetch(`${this.backendUrl}/grading-presets`);
+      const result = await response.json();
+      return result.success ? { success: true, presets: result.presets } : { success: false, error: result.error };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listThemes() {
+    try {
+      const response = await fetch(`${this.backendUrl}/themes`);
+      const result = await response.json();
+      if (!result.success) return { success: false, error: result.error };
+      return {
+        success: true,
+        themes: result.themes.map(t => ({ id: t.id, name: t.name, type: t.type, previewUrl: `${this.backendUrl}${t.previewUrl}?size=64` }))
+      };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async listOverlays() {
+    try {
+      const response = await fetch(`${this.backendUrl}/overlays`);
+      const result = await response.json();
+      if (!result.success) return { success: false, error: result.error };
+      return { success: true, logos: result.logos.map(l => ({ ...l, url: `${this.backendUrl}${l.url}` })) };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async uploadOverlayLogo(name, buffer) {
+    try {
+      const form = new FormData();
+      form.append('image', new Blob([buffer], { type: 'image/png' }), name || 'logo.png');
+      const response = await fetch(`${this.backendUrl}/overlays/logos`, { method: 'POST', body: form });
+      const result = await response.json();
+      return result.success ? { success: true, logo: result.logo } : { success: false, error: result.error };
+    } catch (error) {
+      console.error('Error uploading overlay logo:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Generation endpoints answer right away with a job; progress is streamed from eventsUrl
+  toJobResponse(result) {
+    return {
+      success: true,
+      jobId: result.jobId,
+      total: result.total,
+      eventsUrl: `${this.backendUrl}${result.eventsUrl}`
+    };
+  }
+
+  async getJob(jobId) {
+    try {
+      const response = await fetch(`${this.backendUrl}/jobs/${encodeURIComponent(jobId)}`);
+      const result = await response.json();
+      return result.success ? { success: true, job: result.job } : { success: false, error: result.error };
+    } catch (error) {
+      return { success: false, error: error.message };
+    }
+  }
+
+  async cancelJob(jobId) {
+    try {
+      const response = await fetch(`${this.backendUrl}/jobs/${encodeURIComponent(jobId)}/cancel`, { method: 'POST' });
+      const result = await response.json();
+      return result.success ? { success: true, job: result.job } : { success: false, error: result.error };
+    } catch (error) {
+      console.error('Error cancelling job:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Gallery (backend /images catalog)
+  async listImages() {
+    try {
+      const response = await fetch(`${this.backendUrl}/images?sort=createdAt&order=desc`);
+      const result = await response.json();
+      if (!result.success) return { success: false, error: result.error };
+      return {
+        success: true,
+        images: result.images.map(img => ({
+          id: img.id,
+          filename: img.filename,
+          kind: img.kind,
+          pairedWith: img.pairedWith,
+          favorite: img.favorite,
+          excluded: img.excluded,
+          tags: img.tags,
+          editor: img.editor || null,
+          quality: img.quality || null,
+          thumbnailUrl: `${this.backendUrl}/images/${encodeURIComponent(img.id)}/thumbnail`
+        }))
+      };
+    } catch (error) {
+      console.error('Error listing images:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Timeline for the popup; falls back to the local mirror while the backend is down
+  async getHistory() {
+    try {
+      const response = await fetch(`${this.backendUrl}/history?limit=30&kind=photo`);
+      const result = await response.json();
+      if (!result.success) return { success: false, error: result.error };
+      return {
+        success: true,
+        source: 'backend',
+        entries: result.entries.map(entry => ({
+          ...entry,
+          filename: entry.image?.filename || null,
+          thumbnailUrl: entry.image ? `${this.backendUrl}/images/${encodeURIComponent(entry.imageId)}/thumbnail` : null
+        }))
+      };
+    } catch (error) {
+      console.warn('Could not load update history, using local copy:', error);
+      const { updateHistory = [] } = await chrome.storage.local.get(['updateHistory']);
+      return { success: true, source: 'local', entries: updateHistory.map(e => ({ ...e, thumbnailUrl: null })) };
+    }
+  }
+
+  // Starts restoring the picture that was live before the current one
+  async undoUpdate() {
+    try {
+      const response = await fetch(`${this.backendUrl}/history/previous`);
+      const result = await response.json();
+      if (!result.success) return { success: false, error: result.error };
+      this.restorePicture(result.entry.image);
+      return { success: true, image: result.entry.image };
+    } catch (error) {
+      console.error('Error finding previous picture:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async updateImage(id, changes) {
+    try {
+      const response = await fetch(`${this.backendUrl}/images/${encodeURIComponent(id)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+      });
+      const result = await response.json();
+      if (!result.success) return { success: false, error: result.error };
+      // Hidden images must leave the offline pool too
+      if ('excluded' in changes || 'favorite' in changes) this.syncCache();
+      return { success: true, image: result.image };
+    } catch (error) {
+      console.error('Error updating image:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // LinkedIn editor settings applied whenever this image goes live; null clears them
+  async setImageEditor(id, editor) {
+    try {
+      const response = await fetch(`${this.backendUrl}/images/${encodeURIComponent(id)}/editor`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ editor })
+      });
+      const result = await response.json();
+      return result.success ? { success: true, image: result.image } : { success: false, error: result.error };
+    } catch (error) {
+      console.error('Error saving editor settings:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  // Base photo library (backend /base-photos)
+  async listBasePhotos() {
+    try {
+      const response = await fetch(`${this.backendUrl}/base-photos`);
+      const result = await response.json();
+      if (!result.success) return { success: false, error: result.error };
+      return {
+        success: true,
+        photos: result.photos.map(p => ({
+          ...p,
+          previewUrl: `${this.backendUrl}${p.previewUrl}`,
+          cropPreviewUrl: `${this.backendUrl}${p.cropPreviewUrl}`
+        }))
+      };
+    } catch (error) {
+      console.error('Error listing base photos:', error);
+      return { success: false, error: error.message };
+    }
+  }
+
+  async basePhotoRequest(method, id, suffix = '', body) {
+    try {
+      const response = await fetch(`${this.backendUrl}/base-photos/${encodeURIComponent(id)}${suffix}`, {
+        method,
+        headers: body ? { 'Content-Type': 'application/json' } : undefined,
+        body: body ? JSON.stringify(body) : undefined
+      });
+      const result = await response.json();
+      return result.success ? result : { success: false, error: result.error };
+    } catch (error) {
+      console.error(`Error on base photo ${id}:`, error);
+      return { success: false, error: error.message };
+    }
+  }
 }
 
 // Initialize the auto updater
@@ -223,9 +944,9 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
         const form = new FormData();
         form.append('image', blob, msg.name || 'upload.jpg');
 
-        const res = await fetch('http://localhost:3000/upload-base', { method: 'POST', body: form });
+        const res = await fetch(`${autoUpdater.backendUrl}/upload-base`, { method: 'POST', body: form });
         const json = await res.json();
-        sendResponse({ ok: res.ok && json?.ok, ...json });
+        sendResponse({ ok: res.ok && json?.success === true, ...json });
       } catch (e) {
         console.error('uploadBasePhoto failed:', e);
         sendResponse({ ok: false, error: String(e) });
@@ -246,6 +967,30 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       autoUpdater.forceUpdate();
       sendResponse({ success: true });
       break;
+    case 'getSelectorProfile':
+      autoUpdater.getSelectorProfile()
+        .then(profile => sendResponse({ success: true, profile }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
+    case 'saveSelectorProfile':
+      autoUpdater.saveSelectorProfile(request.profile).then(sendResponse);
+      return true;
+    case 'getHistory':
+      autoUpdater.getHistory().then(sendResponse);
+      return true;
+    case 'undoUpdate':
+      autoUpdater.undoUpdate().then(sendResponse);
+      return true;
+    case 'restorePicture':
+      // The outcome arrives through lastUpdateResult, like forceUpdate
+      autoUpdater.restorePicture(request.image);
+      sendResponse({ success: true });
+      break;
+    case 'resumeUpdates':
+      autoUpdater.resumeUpdates()
+        .then(() => sendResponse({ success: true }))
+        .catch(error => sendResponse({ success: false, error: error.message }));
+      return true;
     case 'generateImages':
       autoUpdater.generateImages(request.basePhoto, request.numImages)
         .then(result => sendResponse(result))
@@ -256,16 +1001,76 @@ chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
         sendResponse({ settings });
       });
       return true; // Keep message channel open for async response
+    case 'syncCache':
+      autoUpdater.syncCache().then(cacheStatus => sendResponse({ success: cacheStatus.state === 'synced', cacheStatus }));
+      return true;
     case 'updateSettings':
       chrome.storage.sync.set(request.settings).then(() => {
         autoUpdater.scheduleNextUpdate();
+        autoUpdater.scheduleNextBannerUpdate();
+        if (request.settings.offlineCache) autoUpdater.syncCache();
+        if (request.settings.rotationStrategy) autoUpdater.setRotationStrategy(request.settings.rotationStrategy);
         sendResponse({ success: true });
       });
       return true;
     case 'generateFromBase':
-      autoUpdater.generateFromBase(request.numImages)
+      autoUpdater.generateFromBase(request.numImages, request.basePhotoId, request.provider, request.themes, request.overlays, request.grading)
         .then(result => sendResponse(result))
         .catch(error => sendResponse({ success: false, error: error.message }));
       return true;
+    case 'listProviders':
+      autoUpdater.listProviders().then(sendResponse);
+      return true;
+    case 'listGradingPresets':
+      autoUpdater.listGradingPresets().then(sendResponse);
+      return true;
+    case 'listThemes':
+      autoUpdater.listThemes().then(sendResponse);
+      return true;
+    case 'listOverlays':
+      autoUpdater.listOverlays().then(sendResponse);
+      return true;
+    case 'uploadOverlayLogo':
+      autoUpdater.uploadOverlayLogo(request.name, request.buffer).then(sendResponse);
+      return true;
+    case 'getJob':
+      autoUpdater.getJob(request.jobId).then(sendResponse);
+      return true;
+    case 'cancelJob':
+      autoUpdater.cancelJob(request.jobId).then(sendResponse);
+      return true;
+    case 'listImages':
+      autoUpdater.listImages().then(sendResponse);
+      return true;
+    case 'updateImage':
+      autoUpdater.updateImage(request.id, request.changes).then(sendResponse);
+      return true;
+    case 'generateBanners':
+      autoUpdater.generateBanners(request).then(sendResponse);
+      return true;
+    case 'updateBannerNow':
+      autoUpdater.handleBannerUpdate('manual').then(sendResponse);
+      return true;
+    case 'setImageEditor':
+      autoUpdater.setImageEditor(request.id, request.editor).then(sendResponse);
+      return true;
+    case 'listBasePhotos':
+      autoUpdater.listBasePhotos().then(sendResponse);
+      return true;
+    case 'setActiveBasePhoto':
+      autoUpdater.basePhotoRequest('POST', request.id, '/activate').then(sendResponse);
+      return true;
+    case 'renameBasePhoto':
+      autoUpdater.basePhotoRequest('PATCH', request.id, '', { name: request.name }).then(sendResponse);
+      return true;
+    case 'deleteBasePhoto':
+      autoUpdater.basePhotoRequest('DELETE', request.id).then(sendResponse);
+      return true;
+    case 'getBaseCrop':
+      autoUpdater.basePhotoRequest('GET', request.id, '/crop').then(sendResponse);
+      return true;
+    case 'setBaseCrop':
+      autoUpdater.basePhotoRequest('PUT', request.id, '/crop', request.crop).then(sendResponse);
+      return true;
   }
 });
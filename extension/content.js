@@ -1,6 +1,18 @@
 // Content script for LinkedIn automation
+const BUTTON_SELECTOR = 'button, [role="button"]';
+// What an update replaces: the profile step showing the current image, the button that
+// opens its dialog and, for banners, the "upload" entry of the menu that button may open
+const TARGETS = {
+  photo: { name: 'photo', image: 'profilePhoto', edit: 'editButton', menu: null },
+  banner: { name: 'banner', image: 'bannerImage', edit: 'editBannerButton', menu: 'bannerUploadOption' }
+};
+
 class LinkedInAutomation {
   constructor() {
+    // Selector profile for the current update, sent by the background script:
+    // { name, version, steps: { <step>: [strategy, ...] } }; see selector-profile.json
+    this.profile = null;
+    this.matchedStrategy = {}; // step -> index of the strategy that found its element
     this.init();
   }
 
@@ -8,97 +20,383 @@ class LinkedInAutomation {
     // Listen for messages from background script
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
       if (request.action === 'updateProfilePicture') {
-        this.updateProfilePicture(request.imagePath, request.imageName);
-        sendResponse({ success: true });
+        // Reply only once the update has finished, with the full report
+        this.profile = request.selectorProfile;
+        this.updateProfilePicture(request.imagePath, request.imageName, request.editor).then(sendResponse);
+        return true;
+      }
+      if (request.action === 'updateBanner') {
+        this.profile = request.selectorProfile;
+        this.updateBanner(request.imagePath, request.imageName).then(sendResponse);
+        return true;
       }
       // Removed the openFilePicker handler since we're doing it directly in popup
     });
   }
 
-  async updateProfilePicture(imagePath, imageName) {
+  // Profile picture update; `editor` holds the photo editor settings applied before saving
+  async updateProfilePicture(imagePath, imageName, editor = null) {
+    return this.runUpdate(TARGETS.photo, imagePath, imageName, editor);
+  }
+
+  // Same flow and report for the cover banner, through LinkedIn's "edit background" dialog
+  async updateBanner(imagePath, imageName) {
+    return this.runUpdate(TARGETS.banner, imagePath, imageName, null);
+  }
+
+  // Runs every step of an update and resolves (never rejects) with a report:
+  // { success, verified, error, code, failedStep, steps, durationMs, photo, profileVersion, locale, diagnostics }.
+  // - success: the new image is verifiably on the page, not just that the steps ran.
+  // - code: not-logged-in, selector-not-found, backend-down or verification-failed, for the retry policy.
+  // - steps: [{ name, ok, startedAt, durationMs, detail }]; a lookup step's detail is the strategy that matched.
+  // - diagnostics: what every strategy saw on the page, when a lookup step failed.
+  async runUpdate(target, imagePath, imageName, editor) {
+    const startedAt = Date.now();
+    const report = {
+      success: false, verified: false, error: null, code: null, failedStep: null, steps: [], durationMs: 0,
+      photo: { before: null, after: null }, profileVersion: this.profile?.version ?? null, locale: this.detectLocale(), diagnostics: null
+    };
+
+    const step = async (name, fn, { code = null, selectors = null, option = null } = {}) => {
+      const entry = { name, ok: false, startedAt: Date.now() - startedAt, durationMs: 0, detail: null };
+      report.steps.push(entry);
+      try {
+        const result = await fn();
+        entry.ok = true;
+        if (selectors) entry.detail = { strategy: this.matchedStrategy[selectors] ?? null };
+        return result;
+      } catch (error) {
+        report.failedStep = name;
+        report.code = error.code || code;
+        if (selectors) report.diagnostics = this.captureDiagnostics(name, selectors, option);
+        throw error;
+      } finally {
+        entry.durationMs = Date.now() - startedAt - entry.startedAt;
+      }
+    };
+
     try {
-      console.log('Starting profile picture update with:', imageName);
+      console.log(`Starting ${target.name} update with:`, imageName);
 
+      this.matchedStrategy = {};
       // Avoid navigating here; background should ensure correct page
-      if (!/linkedin\.com\/in\//i.test(location.href)) {
-        console.warn('Not on a LinkedIn profile page. Open your profile and try again.');
-        return;
-      }
+      await step('profile-page', () => {
+        if (!this.profile?.steps) throw new Error('No selector profile was provided');
+        if (this.isLoginPage()) {
+          throw Object.assign(new Error('Not logged in to LinkedIn'), { code: 'not-logged-in' });
+        }
+        if (!/linkedin\.com\/in\//i.test(location.href)) {
+          throw new Error('Not on a LinkedIn profile page. Open your profile and try again.');
+        }
+      });
 
-      const editButton = await this.findProfilePictureEditButton();
-      if (!editButton) {
-        throw new Error('Could not find profile picture edit button');
-      }
+      report.photo.before = await step(`read-${target.name}`, () => {
+        const src = this.getImageSrc(target.image);
+        if (!src) throw new Error(`Could not find the current ${target.name === 'photo' ? 'profile photo' : 'background banner'}`);
+        return src;
+      }, { code: 'selector-not-found', selectors: target.image });
+
+      const editButton = await step('edit-button', async () => {
+        const button = this.find(target.edit);
+        if (!button) throw new Error(`Could not find the ${target.name === 'photo' ? 'profile picture' : 'background banner'} edit button`);
+        return button;
+      }, { code: 'selector-not-found', selectors: target.edit });
 
       editButton.click();
       await this.sleep(1000);
 
-      const fileInput = await this.waitForFileInput();
-      if (!fileInput) {
-        throw new Error('Could not find file input');
+      // The banner button may open a menu first; its upload entry leads to the file input
+      const menuEntry = target.menu && this.find(target.menu);
+      if (menuEntry) {
+        menuEntry.click();
+        await this.sleep(1000);
       }
 
-      const file = await this.createFileFromPath(imagePath, imageName);
-      if (!file) {
-        throw new Error('Could not create file from path');
-      }
+      const fileInput = await step('file-input', async () => {
+        const input = await this.waitForFileInput();
+        if (!input) throw new Error('Could not find file input');
+        return input;
+      }, { code: 'selector-not-found', selectors: 'fileInput' });
+
+      const file = await step('fetch-image', async () => {
+        const created = await this.createFileFromPath(imagePath, imageName);
+        if (!created) throw new Error('Could not create file from path');
+        return created;
+      }, { code: 'backend-down' });
+
+      await step('upload', () => this.uploadFile(fileInput, file));
+      await step('upload-complete', () => this.waitForUploadComplete());
+      await this.applyEditorSettings(editor, step);
+      await step('save', () => this.saveChanges(), { code: 'selector-not-found', selectors: 'saveButton' });
+
+      report.photo.after = await step('verify', async () => {
+        const src = await this.waitForImageChange(target.image, report.photo.before);
+        if (!src) throw new Error(`${target.name === 'photo' ? 'Profile photo' : 'Background banner'} did not change after saving`);
+        return src;
+      }, { code: 'verification-failed', selectors: target.image });
+
+      report.verified = true;
+      report.success = true;
+      console.log(`${target.name === 'photo' ? 'Profile picture' : 'Background banner'} updated successfully`);
+    } catch (error) {
+      console.error(`Error updating ${target.name}:`, error);
+      report.error = error.message;
+    }
 
-      await this.uploadFile(fileInput, file);
-      await this.waitForUploadComplete();
-      await this.saveChanges();
+    report.durationMs = Date.now() - startedAt;
+    return report;
+  }
 
-      console.log('Profile picture updated successfully');
+  // LinkedIn sends logged-out visitors to a login form or the auth wall
+  isLoginPage() {
+    return /linkedin\.com\/(login|authwall|checkpoint|uas\/login)/i.test(location.href) ||
+      !!document.querySelector('form.login__form, #session_key');
+  }
 
-    } catch (error) {
-      console.error('Error updating profile picture:', error);
-      throw error;
+  getProfilePhotoSrc() {
+    return this.getImageSrc('profilePhoto');
+  }
+
+  getImageSrc(step) {
+    return this.find(step)?.src || null;
+  }
+
+  // Polls until the src of the image found by `step` differs from `before`; null on timeout
+  async waitForImageChange(step, before, timeout = 20000) {
+    const startTime = Date.now();
+    while (Date.now() - startTime < timeout) {
+      const src = this.getImageSrc(step);
+      if (src && src !== before) return src;
+      await this.sleep(500);
     }
+    return null;
   }
 
-  async findProfilePictureEditButton() {
-    const selectors = [
-      '[data-control-name="edit_photo"]',
-      'button[aria-label*="photo" i]',
-      'button[aria-label*="picture" i]',
-      '.pv-top-card__photo-edit-button'
-    ];
+  // Sets the photo editor's crop, filter and visibility controls; every setting
+  // present is its own step, so a missing control fails the update with diagnostics
+  async applyEditorSettings(editor, step) {
+    if (!editor) return;
+    const lookup = (selectors, option = null) => ({ code: 'selector-not-found', selectors, option });
 
-    for (const selector of selectors) {
+    if (['zoom', 'straighten', 'offsetX', 'offsetY'].some(key => editor[key] !== undefined)) {
+      // The crop tab is usually open already
+      this.find('cropTab')?.click();
+      await this.sleep(300);
+    }
+    if (editor.zoom !== undefined) {
+      await step('zoom', () => this.setSlider('zoomSlider', ({ min, max }) => min + (max - min) * editor.zoom / 100), lookup('zoomSlider'));
+    }
+    if (editor.straighten !== undefined) {
+      await step('straighten', () => this.setSlider('straightenSlider', () => editor.straighten), lookup('straightenSlider'));
+    }
+    if (editor.offsetX || editor.offsetY) {
+      await step('offset', () => this.dragCrop(editor.offsetX || 0, editor.offsetY || 0), lookup('cropArea'));
+    }
+    if (editor.filter) {
+      this.find('filterTab')?.click();
+      await this.sleep(300);
+      await step('filter', () => this.chooseOption('filterOption', editor.filter), lookup('filterOption', editor.filter));
+    }
+    if (editor.visibility) {
+      await step('visibility-menu', async () => {
+        const button = this.find('visibilityButton');
+        if (!button) throw new Error('Could not find the photo visibility setting');
+        button.click();
+        await this.sleep(300);
+      }, lookup('visibilityButton'));
+      await step('visibility', () => this.chooseOption('visibilityOption', editor.visibility), lookup('visibilityOption', editor.visibility));
+    }
+  }
+
+  // Moves a slider to target({ min, max }), clamped to its range. Range inputs get their
+  // value set the way a drag would (native setter, then input and change events);
+  // ARIA sliders are stepped with the arrow keys
+  async setSlider(profileStep, target) {
+    const slider = this.find(profileStep);
+    if (!slider) throw new Error(`Could not find the ${profileStep}`);
+    const native = slider.tagName === 'INPUT';
+    const read = (name, fallback) => {
+      const value = parseFloat(slider.getAttribute(native ? name : `aria-value${name}`));
+      return Number.isFinite(value) ? value : fallback;
+    };
+    const min = read('min', 0);
+    const max = read('max', 100);
+    const value = Math.min(max, Math.max(min, target({ min, max })));
+
+    if (native) {
+      const setter = Object.getOwnPropertyDescriptor(Object.getPrototypeOf(slider), 'value')?.set;
+      if (setter) setter.call(slider, String(value));
+      else slider.value = String(value);
+      slider.dispatchEvent(new Event('input', { bubbles: true }));
+      slider.dispatchEvent(new Event('change', { bubbles: true }));
+      return;
+    }
+
+    slider.focus?.();
+    for (let i = 0; i < 500; i++) {
+      const now = read('now', min);
+      if (Math.abs(now - value) < 1) return;
+      const key = now < value ? 'ArrowRight' : 'ArrowLeft';
+      slider.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true }));
+      slider.dispatchEvent(new KeyboardEvent('keyup', { key, bubbles: true }));
+      if (read('now', min) === now) throw new Error(`The ${profileStep} did not respond to the keyboard`);
+    }
+  }
+
+  // Drags the photo inside the crop frame by a percentage of the frame's size
+  async dragCrop(offsetX, offsetY) {
+    const area = this.find('cropArea');
+    if (!area) throw new Error('Could not find the crop area');
+    const rect = area.getBoundingClientRect();
+    const from = { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+    const to = { x: from.x + rect.width * offsetX / 100, y: from.y + rect.height * offsetY / 100 };
+    const fire = (type, point, pressed) => {
+      const init = { bubbles: true, cancelable: true, clientX: point.x, clientY: point.y, button: 0, buttons: pressed ? 1 : 0 };
+      area.dispatchEvent(new PointerEvent(`pointer${type}`, { ...init, pointerId: 1, isPrimary: true }));
+      area.dispatchEvent(new MouseEvent(`mouse${type}`, init));
+    };
+
+    fire('down', from, true);
+    for (let i = 1; i <= 10; i++) {
+      fire('move', { x: from.x + (to.x - from.x) * i / 10, y: from.y + (to.y - from.y) * i / 10 }, true);
+      await this.sleep(20);
+    }
+    fire('up', to, false);
+  }
+
+  // Clicks the option labelled for `option` (a filter or visibility name)
+  async chooseOption(profileStep, option) {
+    const element = this.find(profileStep, option);
+    if (!element) throw new Error(`Could not find the "${option}" option`);
+    element.click();
+    await this.sleep(300);
+  }
+
+  // First element found by the profile's strategies for `step`, tried in order.
+  // `option` picks one of several choices, see phrasesFor
+  find(step, option = null) {
+    const strategies = this.profile?.steps?.[step] || [];
+    for (const [index, strategy] of strategies.entries()) {
+      let element;
       try {
-        const element = document.querySelector(selector);
-        if (element && element.offsetParent !== null) {
-          return element;
-        }
-      } catch (_) {}
-    }
-
-    // Try any button near the profile picture
-    const profilePicture = document.querySelector('.pv-top-card__photo img, .profile-photo img');
-    if (profilePicture) {
-      const parent = profilePicture.closest('.pv-top-card__photo, .profile-photo') || profilePicture.parentElement;
-      if (parent) {
-        const btn = Array.from(parent.querySelectorAll('button, [role="button"]')).find(b =>
-          this.textMatches(b, ['edit photo', 'change photo', 'edit picture', 'change picture'])
-        );
-        if (btn) return btn;
+        element = this.candidates(strategy, option).find(el => strategy.visible === false || this.isVisible(el));
+      } catch (error) {
+        continue; // an invalid selector in a user-edited profile must not stop the other strategies
+      }
+      if (element) {
+        this.matchedStrategy[step] = index;
+        return element;
       }
     }
+    return null;
+  }
 
-    // Fallback: scan all buttons by text
-    const btnByText = this.findButtonByText(['edit photo', 'change photo', 'edit picture', 'change picture']);
-    if (btnByText) return btnByText;
+  // Every element a strategy matches, visible or not. Wording comes from `texts`
+  // and/or a `phrase` looked up in the profile's translation tables:
+  //   css:  { selector }
+  //   aria: { role, phrase | texts, selector? }  elements of a role whose aria-label matches
+  //   text: { phrase | texts, selector? }  buttons whose aria-label or text matches, aria-label first
+  //   near: { anchor, closest?, phrase | texts, selector? }  like text, within the anchor's container
+  candidates(strategy, option = null) {
+    switch (strategy.type) {
+      case 'css':
+        return Array.from(document.querySelectorAll(strategy.selector));
+      case 'aria': {
+        const texts = this.phrasesFor(strategy, option);
+        return Array.from(document.querySelectorAll(strategy.selector || this.roleSelector(strategy.role)))
+          .filter(el => this.includesAny(el.getAttribute('aria-label'), texts));
+      }
+      case 'text':
+        return this.rankByText(document.querySelectorAll(strategy.selector || BUTTON_SELECTOR), this.phrasesFor(strategy, option));
+      case 'near': {
+        const anchor = document.querySelector(strategy.anchor);
+        if (!anchor) return [];
+        const scope = (strategy.closest && anchor.closest(strategy.closest)) || anchor.parentElement;
+        return this.rankByText(scope?.querySelectorAll(strategy.selector || BUTTON_SELECTOR) || [], this.phrasesFor(strategy, option));
+      }
+      default:
+        return [];
+    }
+  }
 
-    return null;
+  // The page's language from <html lang> ("de-DE" -> "de"), falling back to the browser's
+  detectLocale() {
+    const lang = document.documentElement?.getAttribute('lang') || globalThis.navigator?.language || 'en';
+    return lang.toLowerCase().split(/[-_]/)[0] || 'en';
+  }
+
+  // A strategy's explicit texts, then its phrase in the page's language, then in English.
+  // With an `option` the phrase names a family: "filter" looks up "filter-studio"
+  phrasesFor(strategy, option = null) {
+    const phrase = strategy.phrase && (option ? `${strategy.phrase}-${option}` : strategy.phrase);
+    const table = (phrase && this.profile?.phrases?.[phrase]) || {};
+    const locale = this.detectLocale();
+    return [...(strategy.texts || []), ...(table[locale] || []), ...(locale === 'en' ? [] : table.en || [])];
+  }
+
+  roleSelector(role = 'button') {
+    const native = { button: 'button', img: 'img', link: 'a[href]', radio: 'input[type="radio"]', slider: 'input[type="range"]' }[role];
+    return native ? `${native}, [role="${role}"]` : `[role="${role}"]`;
+  }
+
+  // Elements whose aria-label matches come before those that only match by visible text
+  rankByText(elements, texts) {
+    const labelled = [];
+    const byText = [];
+    for (const el of elements) {
+      if (this.includesAny(el.getAttribute('aria-label'), texts)) labelled.push(el);
+      else if (this.includesAny(el.textContent, texts)) byText.push(el);
+    }
+    return [...labelled, ...byText];
   }
 
-  findButtonByText(texts) {
-    const buttons = Array.from(document.querySelectorAll('button, [role="button"]'));
-    return buttons.find(b => this.textMatches(b, texts));
+  includesAny(value, texts) {
+    const t = (value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+    return !!t && texts.some(x => t.includes(x.toLowerCase()));
   }
 
-  textMatches(el, texts) {
-    const t = (el.textContent || '').trim().toLowerCase();
-    return texts.some(x => t.includes(x));
+  isVisible(el) {
+    return el.offsetParent !== null;
+  }
+
+  // What each strategy of a failed step saw, plus the page's buttons and file inputs,
+  // so a broken selector can be fixed without reproducing the failure
+  captureDiagnostics(failedStep, step, option = null) {
+    const strategies = this.profile?.steps?.[step] || [];
+    return {
+      failedStep,
+      profileStep: step,
+      option,
+      profileName: this.profile?.name || null,
+      profileVersion: this.profile?.version ?? null,
+      locale: this.detectLocale(),
+      url: location.href,
+      capturedAt: new Date().toISOString(),
+      strategies: strategies.map(strategy => {
+        try {
+          const found = this.candidates(strategy, option);
+          return { strategy, matches: found.length, elements: found.slice(0, 5).map(el => this.describeElement(el)) };
+        } catch (error) {
+          return { strategy, matches: 0, error: error.message, elements: [] };
+        }
+      }),
+      candidates: Array.from(document.querySelectorAll(`${BUTTON_SELECTOR}, input[type="file"], input[type="range"], [role="slider"], [role="radio"], img`))
+        .filter(el => el.tagName !== 'IMG' || el.width >= 64)
+        .slice(0, 60)
+        .map(el => this.describeElement(el))
+    };
+  }
+
+  describeElement(el) {
+    return {
+      tag: el.tagName.toLowerCase(),
+      id: el.id || null,
+      classes: Array.from(el.classList).slice(0, 6),
+      text: (el.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 80) || null,
+      ariaLabel: el.getAttribute('aria-label'),
+      type: el.getAttribute('type'),
+      visible: this.isVisible(el)
+    };
   }
 
   async waitForFileInput() {
@@ -106,8 +404,8 @@ class LinkedInAutomation {
     let attempts = 0;
 
     while (attempts < maxAttempts) {
-      const fileInput = document.querySelector('input[type="file"]');
-      if (fileInput && fileInput.offsetParent !== null) {
+      const fileInput = this.find('fileInput');
+      if (fileInput) {
         return fileInput;
       }
       await this.sleep(500);
@@ -119,12 +417,15 @@ class LinkedInAutomation {
 
   async createFileFromPath(imagePath, imageName) {
     try {
-      // imagePath should be a URL like http://localhost:3000/images/<file>
+      // imagePath is the backend's upload export (http://localhost:3000/images/<id>/upload), or a
+      // data: URL of it from the offline cache; the file name follows the format it came in
       const res = await fetch(imagePath, { cache: 'no-store' });
       if (!res.ok) throw new Error(`fetch ${res.status}`);
       const blob = await res.blob();
       const type = blob.type || 'image/jpeg';
-      return new File([blob], imageName || 'profile.jpg', { type });
+      const extension = { 'image/jpeg': 'jpg', 'image/webp': 'webp', 'image/png': 'png' }[type] || 'jpg';
+      const stem = (imageName || 'profile').replace(/\.[^.]+$/, '');
+      return new File([blob], `${stem}.${extension}`, { type });
     } catch (error) {
       console.error('createFileFromPath error:', error);
       return null;
@@ -152,7 +453,7 @@ class LinkedInAutomation {
 
     while (Date.now() - startTime < maxWaitTime) {
       // Look for upload progress indicators
-      const progressIndicator = document.querySelector('.upload-progress, .loading, [data-test-id="upload-progress"]');
+      const progressIndicator = this.find('uploadProgress');
       if (!progressIndicator) {
         // Upload might be complete
         await this.sleep(1000);
@@ -165,21 +466,13 @@ class LinkedInAutomation {
   }
 
   async saveChanges() {
-    // Look for explicit save buttons by attribute or class
-    let saveButton = document.querySelector('button[data-control-name="save"], .save-button');
-    if (!saveButton) {
-      saveButton = this.findButtonByText(['save', 'apply', 'done']);
-    }
-    if (saveButton) {
-      saveButton.click();
-      await this.sleep(2000);
-    }
+    const saveButton = this.find('saveButton');
+    if (!saveButton) throw new Error('Could not find the save button');
+    saveButton.click();
+    await this.sleep(2000);
 
     // Also try to find and click any "Done" or "Close" button
-    let doneButton = document.querySelector('.done-button');
-    if (!doneButton) {
-      doneButton = this.findButtonByText(['done', 'close']);
-    }
+    const doneButton = this.find('doneButton');
     if (doneButton) {
       doneButton.click();
       await this.sleep(1000);
@@ -201,5 +494,9 @@ class LinkedInAutomation {
   }
 }
 
-// Initialize the automation
-const linkedinAutomation = new LinkedInAutomation();
\ No newline at end of file
+// Initialize the automation; under Node (fixture tests) only export the class
+if (typeof module !== 'undefined') {
+  module.exports = { LinkedInAutomation };
+} else {
+  const linkedinAutomation = new LinkedInAutomation();
+}
\ No newline at end of file
@@ -0,0 +1,160 @@
+// Offline copy of the curated image pool; loaded by the service worker via importScripts.
+// The backend stays the source of truth: sync() mirrors it whenever it is reachable and
+// the service worker rotates from the cache while it is not
+const CACHE_DB = 'linkedin-image-cache';
+const CACHE_STORE = 'images';
+const MB = 1024 * 1024;
+const DEFAULT_CACHE_LIMITS = { maxMB: 50, maxImages: 100 };
+
+// Entries are { id, record, blob, bytes, cachedAt }; record is the backend's catalog record
+class IndexedDbStore {
+  constructor(name = CACHE_DB) {
+    this.name = name;
+    this.db = null;
+  }
+
+  open() {
+    if (!this.db) {
+      this.db = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.name, 1);
+        request.onupgradeneeded = () => request.result.createObjectStore(CACHE_STORE, { keyPath: 'id' });
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return this.db;
+  }
+
+  async run(mode, operation) {
+    const db = await this.open();
+    return new Promise((resolve, reject) => {
+      const request = operation(db.transaction(CACHE_STORE, mode).objectStore(CACHE_STORE));
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  all() { return this.run('readonly', store => store.getAll()); }
+  get(id) { return this.run('readonly', store => store.get(id)); }
+  put(entry) { return this.run('readwrite', store => store.put(entry)); }
+  delete(id) { return this.run('readwrite', store => store.delete(id)); }
+}
+
+class ImageCache {
+  constructor({ backendUrl, store = new IndexedDbStore(), fetch: fetchImpl = (...args) => fetch(...args) } = {}) {
+    this.backendUrl = backendUrl;
+    this.store = store;
+    this.fetch = fetchImpl;
+  }
+
+  // Fills the cache with the backend's curated images, in priority order, until maxImages
+  // or maxMB is reached; unchanged files (same uploadKey, which follows both the image and
+  // the backend's export settings) are not downloaded again and anything hidden, deleted or
+  // out of budget is dropped
+  async sync(limits = {}) {
+    const { maxMB, maxImages } = ImageCache.limits(limits);
+    let result;
+    try {
+      result = await (await this.fetch(`${this.backendUrl}/images?excluded=false`)).json();
+    } catch (error) {
+      throw Object.assign(new Error(`Backend not reachable: ${error.message}`), { code: 'backend-down' });
+    }
+    if (!result.success) throw new Error(result.error);
+
+    const cached = new Map((await this.store.all()).map(entry => [entry.id, entry]));
+    const kept = new Set();
+    let bytes = 0;
+    let downloaded = 0;
+    let skipped = 0;
+    for (const record of ImageCache.byPriority(result.images)) {
+      if (kept.size >= maxImages) {
+        skipped++;
+        continue;
+      }
+      let entry = cached.get(record.id);
+      const fresh = !entry || ImageCache.versionOf(entry.record) !== ImageCache.versionOf(record);
+      if (fresh) {
+        // The upload export, so offline updates send LinkedIn the same file as online ones
+        const response = await this.fetch(`${this.backendUrl}/images/${encodeURIComponent(record.id)}/upload`);
+        if (!response.ok) {
+          skipped++;
+          continue;
+        }
+        const blob = await response.blob();
+        entry = { id: record.id, blob, bytes: blob.size, cachedAt: Date.now() };
+      }
+      if (bytes + entry.bytes > maxMB * MB) {
+        skipped++;
+        continue;
+      }
+      await this.store.put({ ...entry, record });
+      if (fresh) downloaded++;
+      kept.add(record.id);
+      bytes += entry.bytes;
+    }
+
+    const stale = [...cached.keys()].filter(id => !kept.has(id));
+    for (const id of stale) await this.store.delete(id);
+    return { count: kept.size, bytes, downloaded, skipped, removed: stale.length };
+  }
+
+  // What the cached blob was made from; backends without uploadKey only have the master's hash
+  static versionOf(record) {
+    return record.uploadKey || record.hash;
+  }
+
+  // Favourites first, then the images the rotation reaches soonest: never applied,
+  // then least recently applied, oldest first on ties
+  static byPriority(records) {
+    return [...records].sort((a, b) =>
+      (b.favorite ? 1 : 0) - (a.favorite ? 1 : 0) ||
+      (a.lastAppliedAt || '').localeCompare(b.lastAppliedAt || '') ||
+      (a.createdAt || '').localeCompare(b.createdAt || ''));
+  }
+
+  static limits({ maxMB, maxImages } = {}) {
+    return {
+      maxMB: Math.max(1, Number(maxMB) || DEFAULT_CACHE_LIMITS.maxMB),
+      maxImages: Math.max(1, Math.floor(Number(maxImages)) || DEFAULT_CACHE_LIMITS.maxImages)
+    };
+  }
+
+  // The offline rotation: the least recently applied cached image of `kind`.
+  // A photo comes with its paired banner, if that is cached too
+  async next(kind = 'photo') {
+    const entries = await this.store.all();
+    const pool = entries.filter(entry => (entry.record.kind || 'photo') === kind && !entry.record.excluded);
+    if (!pool.length) return null;
+    const [next] = pool.sort((a, b) =>
+      (a.record.lastAppliedAt || '').localeCompare(b.record.lastAppliedAt || '') ||
+      (a.record.createdAt || '').localeCompare(b.record.createdAt || ''));
+    if (kind !== 'photo') return next.record;
+    const banner = entries.find(entry => entry.record.kind === 'banner' && entry.record.pairedWith === next.record.id && !entry.record.excluded);
+    return { ...next.record, banner: banner?.record || null };
+  }
+
+  // Applying offline moves the cached rotation on until the next sync brings the backend's record
+  async markApplied(id, at = new Date().toISOString()) {
+    const entry = await this.store.get(id);
+    if (!entry) return;
+    entry.record = { ...entry.record, lastAppliedAt: at, timesApplied: (entry.record.timesApplied || 0) + 1 };
+    await this.store.put(entry);
+  }
+
+  // The cached file as a data: URL the content script can fetch without the backend
+  async dataUrl(id) {
+    const entry = await this.store.get(id);
+    if (!entry) return null;
+    const bytes = new Uint8Array(await entry.blob.arrayBuffer());
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    return `data:${entry.blob.type || 'image/png'};base64,${btoa(binary)}`;
+  }
+
+  async status() {
+    const entries = await this.store.all();
+    return { count: entries.length, bytes: entries.reduce((sum, entry) => sum + entry.bytes, 0) };
+  }
+}
+
+if (typeof module !== 'undefined') module.exports = { ImageCache, IndexedDbStore, DEFAULT_CACHE_LIMITS };
@@ -2,6 +2,9 @@
 class PopupController {
   constructor() {
     this.settings = {};
+    this.basePhotos = [];
+    this.cropping = null;
+    this.jobEvents = null;
     this.init();
   }
 
@@ -9,6 +12,19 @@ class PopupController {
     await this.loadSettings();
     this.setupEventListeners();
     this.updateUI();
+    await this.renderNextRun();
+    await this.renderLastResult();
+    await this.renderBannerStatus();
+    await this.renderCacheStatus();
+    await this.loadBasePhotos();
+    await this.loadProviders();
+    await this.loadGradingPresets();
+    await this.loadThemes();
+    await this.loadOverlayLogos();
+    await this.loadGallery();
+    await this.loadHistory();
+    await this.loadSelectorProfile();
+    await this.resumeActiveJob();
   }
 
   async loadSettings() {
@@ -17,16 +33,22 @@ class PopupController {
         isEnabled: true,
         frequency: 'weekly',
         customInterval: 7,
+        scheduleRules: [{ days: [1], time: '09:00' }],
+        jitterMinutes: 30,
+        quietHours: null,
+        vacations: [],
+        catchUp: true,
         numImages: 10,
-        currentImageIndex: 0,
+        rotationStrategy: 'sequential',
+        themeIds: [],
+        overlay: { colorTheme: '', text: '', logo: '', position: 'bottom-right' },
         lastUpdate: null,
+        banner: { isEnabled: false, mode: 'paired', frequency: 'weekly', customInterval: 7, scheduleRules: [{ days: [4], time: '09:00' }] },
+        lastBannerUpdate: null,
+        offlineCache: { maxMB: 50, maxImages: 100 },
         storagePath: './generated-images'
       });
-      
-      // Load base photo from local storage (larger quota)
-      const localResult = await chrome.storage.local.get(['basePhoto']);
-      result.basePhoto = localResult.basePhoto || null;
-      
+
       this.settings = result;
     } catch (error) {
       console.error('Error loading settings:', error);
@@ -74,6 +96,38 @@ class PopupController {
       removePhoto.addEventListener('click', () => this.removeBasePhoto());
     }
 
+    const basePhotoSelect = document.getElementById('base-photo-select');
+    basePhotoSelect.addEventListener('change', (e) => this.selectBasePhoto(e.target.value));
+
+    document.getElementById('rename-photo').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.renameBasePhoto();
+    });
+
+    document.getElementById('edit-crop').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openCropEditor(this.selectedBasePhoto);
+    });
+
+    for (const id of ['crop-size', 'crop-x', 'crop-y']) {
+      document.getElementById(id).addEventListener('input', () => this.previewCrop());
+    }
+
+    document.getElementById('save-crop').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.saveCrop(this.readCropEditor());
+    });
+
+    document.getElementById('auto-crop').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.saveCrop({ auto: true, headroom: parseInt(document.getElementById('crop-headroom').value) / 100 });
+    });
+
+    document.getElementById('close-crop').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openCropEditor(null);
+    });
+
     // Number of images slider
     const numImagesSlider = document.getElementById('num-images');
     const numImagesValue = document.getElementById('num-images-value');
@@ -95,6 +149,99 @@ class PopupController {
       } else {
         customInterval.classList.add('hidden');
       }
+      document.getElementById('schedule-rules').classList.toggle('hidden', e.target.value !== 'rules');
+    });
+
+    // Weekday and time rule for the 'rules' frequency
+    const updateRule = () => {
+      const days = Array.from(document.querySelectorAll('#weekday-picker input:checked')).map(input => Number(input.value));
+      this.settings.scheduleRules = [{ days, time: document.getElementById('schedule-time').value || '09:00' }];
+    };
+    document.getElementById('weekday-picker').addEventListener('change', updateRule);
+    document.getElementById('schedule-time').addEventListener('change', updateRule);
+
+    document.getElementById('jitter-minutes').addEventListener('input', (e) => {
+      this.settings.jitterMinutes = parseInt(e.target.value) || 0;
+    });
+
+    // Quiet hours apply only when both ends are set
+    const updateQuietHours = () => {
+      const start = document.getElementById('quiet-start').value;
+      const end = document.getElementById('quiet-end').value;
+      this.settings.quietHours = start && end ? { start, end } : null;
+    };
+    document.getElementById('quiet-start').addEventListener('change', updateQuietHours);
+    document.getElementById('quiet-end').addEventListener('change', updateQuietHours);
+
+    document.getElementById('add-vacation').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.addVacation();
+    });
+
+    document.getElementById('resume-updates').addEventListener('click', async (e) => {
+      e.preventDefault();
+      await chrome.runtime.sendMessage({ action: 'resumeUpdates' });
+      this.showStatus('Scheduled updates resumed', 'success');
+    });
+
+    document.getElementById('catch-up').addEventListener('change', (e) => {
+      this.settings.catchUp = e.target.checked;
+    });
+
+    // The service worker stores each computed run; follow it while the popup is open
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && (changes.nextRun || changes.updatesPaused)) this.renderNextRun();
+      if (area === 'local' && (changes.nextBannerRun || changes.lastBannerResult)) this.renderBannerStatus();
+      if (area === 'local' && changes.cacheStatus) this.renderCacheStatus();
+      if (area === 'local' && changes.lastUpdateResult) {
+        this.renderLastResult(true);
+        this.loadHistory();
+        this.renderDiagnostics();
+      }
+    });
+
+    // Background banner: paired with the photo or on its own frequency
+    const setBanner = (changes) => {
+      this.settings.banner = { ...this.settings.banner, ...changes };
+      this.updateBannerUI();
+    };
+    document.getElementById('banner-enabled').addEventListener('change', (e) => setBanner({ isEnabled: e.target.checked }));
+    document.getElementById('banner-mode').addEventListener('change', (e) => setBanner({ mode: e.target.value }));
+    document.getElementById('banner-frequency').addEventListener('change', (e) => setBanner({ frequency: e.target.value }));
+    document.getElementById('banner-custom-days').addEventListener('input', (e) => {
+      setBanner({ customInterval: parseInt(e.target.value) || 7 });
+    });
+
+    document.getElementById('generate-banners').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.generateBanners(false);
+    });
+
+    document.getElementById('pair-banners').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.generateBanners(true);
+    });
+
+    document.getElementById('update-banner').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.updateBannerNow();
+    });
+
+    // Offline cache limits apply on the next sync (saving settings starts one)
+    document.getElementById('cache-max-mb').addEventListener('input', (e) => {
+      this.settings.offlineCache = { ...this.settings.offlineCache, maxMB: parseInt(e.target.value) || 50 };
+    });
+    document.getElementById('cache-max-images').addEventListener('input', (e) => {
+      this.settings.offlineCache = { ...this.settings.offlineCache, maxImages: parseInt(e.target.value) || 100 };
+    });
+
+    document.getElementById('sync-cache').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.syncCache();
+    });
+
+    document.getElementById('rotation-strategy').addEventListener('change', (e) => {
+      this.settings.rotationStrategy = e.target.value;
     });
 
     // Custom interval input
@@ -112,6 +259,22 @@ class PopupController {
       enabledToggle.classList.toggle('active', this.settings.isEnabled);
     });
 
+    // Frame and badge overlay for the next batch
+    for (const [id, key] of [['overlay-theme', 'colorTheme'], ['overlay-text', 'text'], ['overlay-logo', 'logo'], ['overlay-position', 'position']]) {
+      document.getElementById(id).addEventListener('change', (e) => {
+        this.settings.overlay = { ...this.settings.overlay, [key]: e.target.value };
+      });
+    }
+    document.getElementById('upload-logo').addEventListener('click', (e) => {
+      e.preventDefault();
+      document.getElementById('overlay-logo-file').click();
+    });
+    document.getElementById('overlay-logo-file').addEventListener('change', async (e) => {
+      const [file] = e.target.files || [];
+      if (file) await this.uploadOverlayLogo(file);
+      e.target.value = '';
+    });
+
     // Buttons
     document.getElementById('generate-images').addEventListener('click', (e) => {
       e.preventDefault();
@@ -119,6 +282,51 @@ class PopupController {
       this.generateImages();
     });
 
+    document.getElementById('gallery-filter').addEventListener('change', () => this.renderGallery());
+
+    document.getElementById('save-image-editor').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.saveImageEditor(this.readImageEditor());
+    });
+
+    document.getElementById('clear-image-editor').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.saveImageEditor(null);
+    });
+
+    document.getElementById('close-image-editor').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.openImageEditor(null);
+    });
+
+    document.getElementById('cancel-job').addEventListener('click', (e) => {
+      e.preventDefault();
+      e.stopPropagation();
+      this.cancelJob();
+    });
+
+    document.getElementById('save-selectors').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.saveSelectorProfile();
+    });
+
+    document.getElementById('reset-selectors').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.saveSelectorProfile(null);
+    });
+
+    document.getElementById('copy-diagnostics').addEventListener('click', async (e) => {
+      e.preventDefault();
+      const { lastDiagnostics } = await chrome.storage.local.get(['lastDiagnostics']);
+      await navigator.clipboard.writeText(JSON.stringify(lastDiagnostics, null, 2));
+      this.showStatus('Diagnostics copied to the clipboard', 'success');
+    });
+
+    document.getElementById('undo-update').addEventListener('click', (e) => {
+      e.preventDefault();
+      this.undoUpdate();
+    });
+
     document.getElementById('force-update').addEventListener('click', (e) => {
       e.preventDefault();
       e.stopPropagation();
@@ -143,17 +351,188 @@ class PopupController {
       document.getElementById('custom-interval').classList.remove('hidden');
     }
     document.getElementById('custom-days').value = this.settings.customInterval;
+    document.getElementById('schedule-rules').classList.toggle('hidden', this.settings.frequency !== 'rules');
+    const [rule] = this.settings.scheduleRules;
+    document.querySelectorAll('#weekday-picker input').forEach(input => {
+      input.checked = !!rule?.days.includes(Number(input.value));
+    });
+    document.getElementById('schedule-time').value = rule?.time || '09:00';
+    document.getElementById('jitter-minutes').value = this.settings.jitterMinutes;
+    document.getElementById('quiet-start').value = this.settings.quietHours?.start || '';
+    document.getElementById('quiet-end').value = this.settings.quietHours?.end || '';
+    document.getElementById('catch-up').checked = this.settings.catchUp;
+    this.renderVacations();
+    document.getElementById('rotation-strategy').value = this.settings.rotationStrategy;
+    document.getElementById('overlay-theme').value = this.settings.overlay.colorTheme;
+    document.getElementById('overlay-text').value = this.settings.overlay.text;
+    document.getElementById('overlay-position').value = this.settings.overlay.position;
 
     // Update toggle
     const enabledToggle = document.getElementById('enabled');
     enabledToggle.classList.toggle('active', this.settings.isEnabled);
+    this.updateBannerUI();
+    document.getElementById('cache-max-mb').value = this.settings.offlineCache.maxMB;
+    document.getElementById('cache-max-images').value = this.settings.offlineCache.maxImages;
+  }
+
+  updateBannerUI() {
+    const banner = this.settings.banner;
+    document.getElementById('banner-enabled').checked = banner.isEnabled;
+    document.getElementById('banner-mode').value = banner.mode;
+    document.getElementById('banner-frequency').value = banner.frequency;
+    document.getElementById('banner-custom-days').value = banner.customInterval;
+    document.getElementById('banner-schedule').classList.toggle('hidden', banner.mode !== 'schedule');
+    document.getElementById('banner-custom-interval').classList.toggle('hidden', banner.frequency !== 'custom');
+  }
+
+  async renderBannerStatus() {
+    const { nextBannerRun, lastBannerResult: result } = await chrome.storage.local.get(['nextBannerRun', 'lastBannerResult']);
+    const banner = this.settings.banner;
+    const format = (at) => new Date(at).toLocaleString(undefined, { weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    let next = 'Banner rotation is off';
+    if (banner.isEnabled && banner.mode === 'paired') next = 'The banner changes with the profile photo';
+    else if (banner.isEnabled) next = nextBannerRun ? `Next banner update: ${format(nextBannerRun.at)}` : 'No banner update scheduled';
+    document.getElementById('next-banner-run').textContent = next;
+    document.getElementById('last-banner-update').textContent = !result ? '' : result.verified
+      ? `Last banner update: verified on ${format(result.finishedAt)}`
+      : `Last banner update failed on ${format(result.finishedAt)}: ${this.describeFailure(result)}`;
+  }
+
+  async renderCacheStatus() {
+    const { cacheStatus: status } = await chrome.storage.local.get(['cacheStatus']);
+    const element = document.getElementById('cache-status');
+    element.className = `cache-status ${status?.state || ''}`;
+    const format = (at) => new Date(at).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+    const images = (count) => `${count} image${count === 1 ? '' : 's'}`;
+    const size = (bytes) => `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    let text = 'Not synced yet';
+    if (status?.state === 'syncing') {
+      text = 'Syncing with the backend...';
+    } else if (status?.state === 'synced') {
+      text = `Synced ${images(status.count)} (${size(status.bytes)} of ${status.limits.maxMB} MB) on ${format(status.syncedAt)}`;
+      if (status.skipped) text += `; ${status.skipped} more did not fit the limits`;
+    } else if (status?.state === 'offline') {
+      text = status.count
+        ? `Backend offline, updates use the ${images(status.count)} cached${status.syncedAt ? ` on ${format(status.syncedAt)}` : ''}`
+        : 'Backend offline and nothing cached: updates fail until it is back';
+    } else if (status?.state === 'error') {
+      text = `Sync failed: ${status.error}`;
+    }
+    document.getElementById('cache-status-text').textContent = text;
+  }
+
+  async syncCache() {
+    const response = await chrome.runtime.sendMessage({ action: 'syncCache' }).catch(error => ({ success: false, error: error.message }));
+    if (!response?.success) this.showStatus(`Offline cache not synced: ${response?.cacheStatus?.error || response?.error || 'Unknown error'}`, 'error');
+  }
+
+  // pair: one banner per photo that has none, in that photo's theme
+  async generateBanners(pair) {
+    this.showStatus('Generating banners...', 'info');
+    const numBanners = parseInt(document.getElementById('num-banners').value) || 3;
+    const response = await chrome.runtime.sendMessage({ action: 'generateBanners', numBanners, pair })
+      .catch(error => ({ success: false, error: error.message }));
+    if (!response?.success) {
+      this.showStatus(`Could not generate banners: ${response?.error || 'Unknown error'}`, 'error');
+      return;
+    }
+    this.showStatus(`Generated ${response.count} banner${response.count === 1 ? '' : 's'}`, 'success');
+    await this.loadGallery();
+  }
+
+  async updateBannerNow() {
+    this.showStatus('Updating background banner...', 'info');
+    const report = await chrome.runtime.sendMessage({ action: 'updateBannerNow' }).catch(error => ({ verified: false, error: error.message }));
+    this.showStatus(report?.verified ? 'Background banner updated and verified' : `Banner update failed: ${this.describeFailure(report || {})}`,
+      report?.verified ? 'success' : 'error');
+  }
+
+  addVacation() {
+    const start = document.getElementById('vacation-start').value;
+    const end = document.getElementById('vacation-end').value || start;
+    if (!start || end < start) {
+      this.showStatus('Pick a vacation start and an end that is not before it', 'error');
+      return;
+    }
+    this.settings.vacations = [...this.settings.vacations, { start, end }].sort((a, b) => a.start.localeCompare(b.start));
+    document.getElementById('vacation-start').value = '';
+    document.getElementById('vacation-end').value = '';
+    this.renderVacations();
+  }
+
+  renderVacations() {
+    const list = document.getElementById('vacation-list');
+    list.replaceChildren(...this.settings.vacations.map((vacation, index) => {
+      const item = document.createElement('li');
+      const text = document.createElement('span');
+      text.textContent = vacation.start === vacation.end ? vacation.start : `${vacation.start} to ${vacation.end}`;
+      const remove = document.createElement('button');
+      remove.className = 'button button-secondary button-small';
+      remove.textContent = 'Remove';
+      remove.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.settings.vacations = this.settings.vacations.filter((_, i) => i !== index);
+        this.renderVacations();
+      });
+      item.append(text, remove);
+      return item;
+    }));
+  }
+
+  async renderNextRun() {
+    const element = document.getElementById('next-run');
+    const { nextRun, updatesPaused } = await chrome.storage.local.get(['nextRun', 'updatesPaused']);
+    document.getElementById('updates-paused').classList.toggle('hidden', !updatesPaused);
+    if (updatesPaused) {
+      document.getElementById('updates-paused-text').textContent =
+        `Updates paused after ${updatesPaused.attempts} failed attempts: ${this.describeFailure(updatesPaused)}`;
+    }
+    if (!this.settings.isEnabled || !nextRun) {
+      element.textContent = this.settings.isEnabled ? 'No update scheduled' : 'Auto-updates are off';
+      return;
+    }
+    const when = new Date(nextRun.at).toLocaleString(undefined, {
+      weekday: 'short', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    const notes = [];
+    if (nextRun.reason === 'catch-up') notes.push('catching up a missed update');
+    if (nextRun.reason === 'retry') notes.push(`retry ${nextRun.attempt} of ${nextRun.maxAttempts}`);
+    if (nextRun.deferred === 'quiet-hours') notes.push('moved past quiet hours');
+    if (nextRun.deferred === 'vacation') notes.push('moved past a vacation');
+    element.textContent = `Next update: ${when}${notes.length ? ` (${notes.join(', ')})` : ''}`;
+  }
 
-    // Update base photo if exists
-    if (this.settings.basePhoto) {
-      this.showBasePhoto(this.settings.basePhoto);
+  // `announce` also flashes the outcome of an update that just finished
+  async renderLastResult(announce = false) {
+    const element = document.getElementById('last-update');
+    const { lastUpdateResult: result } = await chrome.storage.local.get(['lastUpdateResult']);
+    if (!result) {
+      element.textContent = '';
+      return;
+    }
+    const when = new Date(result.finishedAt).toLocaleString(undefined, {
+      month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    element.textContent = result.verified
+      ? `Last update: verified on ${when}`
+      : `Last update failed on ${when}${result.failedStep ? ` at "${result.failedStep}"` : ''}: ${this.describeFailure(result)}`;
+    if (announce) {
+      this.showStatus(result.verified ? 'Profile picture updated and verified' : `Update failed: ${this.describeFailure(result)}`,
+        result.verified ? 'success' : 'error');
     }
   }
 
+  describeFailure({ code, error }) {
+    const messages = {
+      'backend-down': 'the image backend is not running',
+      'not-logged-in': 'you are not logged in to LinkedIn',
+      'selector-not-found': 'the LinkedIn page layout was not recognised',
+      'verification-failed': 'the new photo never showed up on your profile',
+      'no-images': 'there are no images to rotate'
+    };
+    return messages[code] || error || 'unknown error';
+  }
+
   async handleFileUpload(file) {
     try {
       if (!file.type.startsWith('image/')) {
@@ -175,11 +554,9 @@ class PopupController {
 
       if (!resp?.ok) throw new Error(resp?.error || 'Upload failed');
 
-      // Save minimal state and update preview; background already stored file
-      this.settings.basePhoto = resp.filename || 'base.jpg';
-      await this.saveSettings();
-
-      this.showBasePhoto(URL.createObjectURL(file));
+      // The backend library now holds the file; select it for the next batch
+      await chrome.runtime.sendMessage({ action: 'setActiveBasePhoto', id: resp.photo.id });
+      await this.loadBasePhotos();
       this.showStatus('Base photo uploaded successfully!', 'success');
     } catch (e) {
       console.error(e);
@@ -187,28 +564,242 @@ class PopupController {
     }
   }
 
-  showBasePhoto(photoUrl) {
-    const uploadArea = document.getElementById('upload-area');
-    uploadArea.style.backgroundImage = `url(${photoUrl})`;
-    uploadArea.style.backgroundSize = 'cover';
-    uploadArea.classList.add('has-image');
+  async loadBasePhotos() {
+    const response = await chrome.runtime.sendMessage({ action: 'listBasePhotos' }).catch(() => null);
+    this.basePhotos = response?.success ? response.photos : [];
+
+    const preview = document.getElementById('photo-preview');
+    const select = document.getElementById('base-photo-select');
+    select.innerHTML = '';
+    for (const photo of this.basePhotos) {
+      const option = document.createElement('option');
+      option.value = photo.id;
+      option.textContent = photo.name;
+      option.selected = photo.active;
+      select.appendChild(option);
+    }
+
+    preview.classList.toggle('hidden', this.basePhotos.length === 0);
+    this.showSelectedBasePhoto();
+  }
+
+  async loadProviders() {
+    const response = await chrome.runtime.sendMessage({ action: 'listProviders' }).catch(() => null);
+    const select = document.getElementById('provider');
+    select.innerHTML = '';
+    for (const provider of response?.success ? response.providers : []) {
+      const option = document.createElement('option');
+      option.value = provider.name;
+      option.textContent = provider.configured ? provider.name : `${provider.name} (not configured)`;
+      option.disabled = !provider.configured;
+      option.selected = provider.default;
+      select.appendChild(option);
+    }
+  }
+
+  async loadGradingPresets() {
+    const response = await chrome.runtime.sendMessage({ action: 'listGradingPresets' }).catch(() => null);
+    const select = document.getElementById('grading');
+    select.innerHTML = '';
+    for (const preset of response?.success ? response.presets : []) {
+      const option = document.createElement('option');
+      option.value = preset.id;
+      option.textContent = preset.label;
+      option.selected = preset.default;
+      select.appendChild(option);
+    }
+  }
+
+  async loadThemes() {
+    const response = await chrome.runtime.sendMessage({ action: 'listThemes' }).catch(() => null);
+    this.themes = response?.success ? response.themes : [];
+    // Forget selections whose theme was deleted on the backend
+    const known = new Set(this.themes.map(t => t.id));
+    this.settings.themeIds = (this.settings.themeIds || []).filter(id => known.has(id));
+    this.renderThemes();
+  }
+
+  renderThemes() {
+    const picker = document.getElementById('theme-picker');
+    picker.innerHTML = '';
+    const selected = this.settings.themeIds;
+
+    for (const theme of this.themes) {
+      const swatch = document.createElement('button');
+      swatch.className = `theme-swatch${selected.includes(theme.id) ? ' selected' : ''}`;
+      swatch.title = theme.name;
+      const img = document.createElement('img');
+      img.src = theme.previewUrl;
+      img.alt = theme.name;
+      img.loading = 'lazy';
+      swatch.appendChild(img);
+      swatch.addEventListener('click', (e) => {
+        e.preventDefault();
+        this.toggleTheme(theme.id);
+      });
+      picker.appendChild(swatch);
+    }
+
+    document.getElementById('theme-summary').textContent = selected.length
+      ? `(${selected.length} selected)`
+      : '(all)';
+  }
+
+  toggleTheme(id) {
+    const selected = this.settings.themeIds;
+    this.settings.themeIds = selected.includes(id) ? selected.filter(t => t !== id) : [...selected, id];
+    chrome.storage.sync.set({ themeIds: this.settings.themeIds });
+    this.renderThemes();
+  }
+
+  async loadOverlayLogos() {
+    const response = await chrome.runtime.sendMessage({ action: 'listOverlays' }).catch(() => null);
+    const logos = response?.success ? response.logos : [];
+    const select = document.getElementById('overlay-logo');
+    select.innerHTML = '<option value="">No badge</option>';
+    logos.forEach((logo, i) => {
+      const option = document.createElement('option');
+      option.value = logo.filename;
+      option.textContent = `Logo ${i + 1}`;
+      select.appendChild(option);
+    });
+    if (!logos.some(l => l.filename === this.settings.overlay.logo)) this.settings.overlay.logo = '';
+    select.value = this.settings.overlay.logo;
+  }
+
+  async uploadOverlayLogo(file) {
+    if (file.type !== 'image/png') {
+      this.showStatus('Badge logos must be PNG files', 'error'); return;
+    }
+    const buffer = await file.arrayBuffer();
+    const response = await chrome.runtime.sendMessage({ action: 'uploadOverlayLogo', name: file.name, buffer }).catch(() => null);
+    if (!response?.success) {
+      this.showStatus(`Logo upload failed: ${response?.error || 'Is the backend running?'}`, 'error');
+      return;
+    }
+    this.settings.overlay = { ...this.settings.overlay, logo: response.logo.filename };
+    await this.loadOverlayLogos();
+    this.showStatus('Logo uploaded', 'success');
+  }
+
+  // Ring and badge definitions for the backend, built from the Frame controls
+  buildOverlays() {
+    const { colorTheme, text, logo, position } = this.settings.overlay;
+    const overlays = [];
+    if (colorTheme) overlays.push({ type: 'ring', colorTheme, text: text.trim() });
+    if (logo) overlays.push({ type: 'badge', logo, position, ...(colorTheme ? { colorTheme } : {}) });
+    return overlays.length ? overlays : undefined;
+  }
+
+  get selectedBasePhoto() {
+    return this.basePhotos.find(p => p.active) || this.basePhotos[0] || null;
+  }
+
+  // The preview shows the photo the way generation crops it, inside LinkedIn's circle
+  showSelectedBasePhoto() {
+    const photo = this.selectedBasePhoto;
+    document.getElementById('preview-img').src = photo ? `${photo.cropPreviewUrl}?v=${Date.now()}` : '';
+    document.getElementById('base-photo-name').value = photo ? photo.name : '';
+    if (this.cropping && this.cropping.photo.id !== photo?.id) this.openCropEditor(null);
+  }
+
+  // Sliders over the photo's square crop: zoom 0 is the largest square, 100 a fifth of it
+  async openCropEditor(photo) {
+    this.cropping = null;
+    document.getElementById('crop-editor').classList.add('hidden');
+    if (!photo) return;
+    const response = await chrome.runtime.sendMessage({ action: 'getBaseCrop', id: photo.id });
+    if (!response?.success) {
+      this.showStatus(`Could not load the crop: ${response?.error || 'Unknown error'}`, 'error');
+      return;
+    }
+    this.cropping = { photo, width: response.detection.width, height: response.detection.height };
+    this.showCrop(response.crop);
+    document.getElementById('crop-editor').classList.remove('hidden');
+  }
+
+  showCrop(crop) {
+    const { width, height } = this.cropping;
+    const largest = Math.min(width, height);
+    const position = (offset, room) => (room > 0 ? Math.round(offset / room * 100) : 50);
+    document.getElementById('crop-size').value = Math.round((1 - crop.size / largest) / 0.8 * 100);
+    document.getElementById('crop-x').value = position(crop.left, width - crop.size);
+    document.getElementById('crop-y').value = position(crop.top, height - crop.size);
+    if (crop.source === 'auto' && crop.headroom !== undefined) document.getElementById('crop-headroom').value = Math.round(crop.headroom * 100);
+    document.getElementById('crop-source').textContent = crop.source === 'manual' ? 'Crop (set by hand)' : 'Crop (automatic)';
+  }
+
+  readCropEditor() {
+    const { width, height } = this.cropping;
+    const value = (id) => parseInt(document.getElementById(id).value) / 100;
+    const size = Math.max(32, Math.round(Math.min(width, height) * (1 - 0.8 * value('crop-size'))));
+    return {
+      left: Math.round((width - size) * value('crop-x')),
+      top: Math.round((height - size) * value('crop-y')),
+      size
+    };
+  }
+
+  // Shows the unsaved crop; the preview is rendered by the backend, so wait for the slider to settle
+  previewCrop() {
+    if (!this.cropping) return;
+    clearTimeout(this.cropPreviewTimer);
+    this.cropPreviewTimer = setTimeout(() => {
+      const { left, top, size } = this.readCropEditor();
+      document.getElementById('preview-img').src = `${this.cropping.photo.cropPreviewUrl}?left=${left}&top=${top}&size=${size}`;
+    }, 150);
+  }
+
+  async saveCrop(crop) {
+    const photo = this.cropping?.photo;
+    if (!photo) return;
+    const response = await chrome.runtime.sendMessage({ action: 'setBaseCrop', id: photo.id, crop });
+    if (!response?.success) {
+      this.showStatus(`Could not save the crop: ${response?.error || 'Unknown error'}`, 'error');
+      return;
+    }
+    photo.crop = response.crop;
+    this.showCrop(response.crop);
+    this.showSelectedBasePhoto();
+    this.showStatus(crop.auto ? 'Photo framed automatically' : 'Crop saved', 'success');
+  }
+
+  async selectBasePhoto(id) {
+    const response = await chrome.runtime.sendMessage({ action: 'setActiveBasePhoto', id });
+    if (!response?.success) {
+      this.showStatus(`Could not select photo: ${response?.error || 'Unknown error'}`, 'error');
+      return;
+    }
+    this.basePhotos.forEach(p => { p.active = p.id === id; });
+    this.showSelectedBasePhoto();
+  }
+
+  async renameBasePhoto() {
+    const photo = this.selectedBasePhoto;
+    const name = document.getElementById('base-photo-name').value.trim();
+    if (!photo || !name) return;
+
+    const response = await chrome.runtime.sendMessage({ action: 'renameBasePhoto', id: photo.id, name });
+    if (response?.success) {
+      await this.loadBasePhotos();
+      this.showStatus('Base photo renamed', 'success');
+    } else {
+      this.showStatus(`Rename failed: ${response?.error || 'Unknown error'}`, 'error');
+    }
   }
 
   async removeBasePhoto() {
+    const photo = this.selectedBasePhoto;
+    if (!photo) return;
+
     try {
-      this.settings.basePhoto = null;
-      
-      // Update UI
-      document.getElementById('upload-area').classList.remove('hidden');
-      document.getElementById('photo-preview').classList.add('hidden');
-      
-      // Remove from chrome storage
-      await chrome.storage.local.remove(['basePhoto']);
-      console.log('Base photo removed from storage');
-      
+      const response = await chrome.runtime.sendMessage({ action: 'deleteBasePhoto', id: photo.id });
+      if (!response?.success) throw new Error(response?.error || 'Delete failed');
+
       // Clear file input
       document.getElementById('base-photo').value = '';
-      
+
+      await this.loadBasePhotos();
       this.showStatus('Base photo removed', 'info');
     } catch (error) {
       console.error('Error removing base photo:', error);
@@ -219,11 +810,21 @@ class PopupController {
   async generateImages() {
     // Prefer generating from local base folder to avoid popup upload issues
     const num = this.settings.numImages || Number(document.getElementById('num-images')?.value) || 10;
-    this.showStatus('Generating images from base folder...', 'info');
+    const basePhoto = this.selectedBasePhoto;
+    this.showStatus(`Generating images from ${basePhoto ? `"${basePhoto.name}"` : 'base folder'}...`, 'info');
     try {
-      const response = await chrome.runtime.sendMessage({ action: 'generateFromBase', numImages: num });
+      const provider = document.getElementById('provider').value || undefined;
+      const grading = document.getElementById('grading').value || undefined;
+      const themes = this.settings.themeIds?.length ? this.settings.themeIds : undefined;
+      const overlays = this.buildOverlays();
+      const response = await chrome.runtime.sendMessage({
+        action: 'generateFromBase', numImages: num, basePhotoId: basePhoto?.id, provider, themes, overlays, grading
+      });
       if (response && response.success) {
-        this.showStatus(`Generated ${response.count} images`, 'success');
+        // Remember the job so reopening the popup picks the progress back up
+        const activeJob = { jobId: response.jobId, eventsUrl: response.eventsUrl };
+        await chrome.storage.local.set({ activeJob });
+        this.watchJob(activeJob);
       } else {
         this.showStatus(`Generation failed: ${response?.error || 'Unknown error'}`, 'error');
       }
@@ -233,14 +834,327 @@ class PopupController {
     }
   }
 
+  async resumeActiveJob() {
+    const { activeJob } = await chrome.storage.local.get(['activeJob']);
+    if (!activeJob) return;
+
+    const response = await chrome.runtime.sendMessage({ action: 'getJob', jobId: activeJob.jobId }).catch(() => null);
+    if (!response?.success) {
+      await chrome.storage.local.remove(['activeJob']);
+      return;
+    }
+    this.watchJob(activeJob);
+  }
+
+  watchJob({ jobId, eventsUrl }) {
+    if (this.jobEvents) this.jobEvents.close();
+    this.activeJobId = jobId;
+    document.getElementById('job-progress').classList.remove('hidden');
+
+    const events = new EventSource(eventsUrl);
+    this.jobEvents = events;
+    const onUpdate = (e) => this.renderJobProgress(JSON.parse(e.data));
+    events.addEventListener('snapshot', onUpdate);
+    events.addEventListener('progress', onUpdate);
+    events.addEventListener('done', async (e) => {
+      events.close();
+      this.jobEvents = null;
+      await chrome.storage.local.remove(['activeJob']);
+      this.finishJob(JSON.parse(e.data));
+    });
+    events.onerror = () => {
+      if (events.readyState === EventSource.CLOSED) {
+        this.showStatus('Lost connection to the backend while generating', 'error');
+      }
+    };
+  }
+
+  renderJobProgress(job) {
+    const settled = job.completed + job.failed;
+    const percent = job.total ? Math.round((settled / job.total) * 100) : 0;
+    document.getElementById('job-progress-bar').style.width = `${percent}%`;
+
+    const failed = job.failed ? `, ${job.failed} failed` : '';
+    const label = job.status === 'queued' ? 'Queued' : `${job.completed}/${job.total} generated${failed}`;
+    document.getElementById('job-progress-text').textContent = label;
+    document.getElementById('cancel-job').disabled = ['completed', 'failed', 'cancelled'].includes(job.status);
+  }
+
+  finishJob(job) {
+    this.renderJobProgress(job);
+    this.activeJobId = null;
+    this.loadGallery();
+    // New images go into the offline cache straight away
+    chrome.runtime.sendMessage({ action: 'syncCache' }).catch(() => {});
+    if (job.status === 'completed') {
+      this.showStatus(`Generated ${job.completed} images`, 'success');
+    } else if (job.status === 'cancelled') {
+      this.showStatus(`Generation cancelled after ${job.completed} images`, 'info');
+    } else {
+      this.showStatus(`Generation failed: ${job.error || 'Unknown error'}`, 'error');
+    }
+  }
+
+  async cancelJob() {
+    if (!this.activeJobId) return;
+    const response = await chrome.runtime.sendMessage({ action: 'cancelJob', jobId: this.activeJobId });
+    if (!response?.success) {
+      this.showStatus(`Could not cancel: ${response?.error || 'Unknown error'}`, 'error');
+    }
+  }
+
+  async loadGallery() {
+    const response = await chrome.runtime.sendMessage({ action: 'listImages' }).catch(() => null);
+    this.galleryImages = response?.success ? response.images : [];
+    this.renderGallery();
+  }
+
+  renderGallery() {
+    const filter = document.getElementById('gallery-filter').value;
+    const images = (this.galleryImages || []).filter(img => {
+      if (filter === 'banners') return img.kind === 'banner';
+      if (img.kind === 'banner') return false;
+      if (filter === 'favorites') return img.favorite;
+      if (filter === 'excluded') return img.excluded;
+      return true;
+    });
+
+    const gallery = document.getElementById('gallery');
+    gallery.innerHTML = '';
+    document.getElementById('gallery-empty').classList.toggle('hidden', images.length > 0);
+
+    for (const image of images) {
+      const item = document.createElement('div');
+      item.className = `gallery-item${image.kind === 'banner' ? ' banner' : ''}${image.excluded ? ' excluded' : ''}`;
+
+      const img = document.createElement('img');
+      img.src = image.thumbnailUrl;
+      img.alt = image.filename;
+      img.loading = 'lazy';
+
+      const actions = document.createElement('div');
+      actions.className = 'gallery-actions';
+      actions.appendChild(this.createGalleryToggle('★', 'Favorite', image.favorite,
+        () => this.curateImage(image, { favorite: !image.favorite })));
+      actions.appendChild(this.createGalleryToggle('🚫', 'Hide from rotation', image.excluded,
+        () => this.curateImage(image, { excluded: !image.excluded })));
+      actions.appendChild(this.createGalleryToggle('✂', 'LinkedIn editor settings', !!image.editor,
+        () => this.openImageEditor(image)));
+
+      const tags = document.createElement('input');
+      tags.type = 'text';
+      tags.placeholder = 'tags';
+      tags.value = (image.tags || []).join(', ');
+      tags.addEventListener('change', () => {
+        this.curateImage(image, { tags: tags.value.split(',').map(t => t.trim()).filter(Boolean) });
+      });
+
+      item.append(img, actions, tags);
+      if (image.quality) item.appendChild(this.createQualityBadge(image.quality));
+      gallery.appendChild(item);
+    }
+  }
+
+  // Scores from the backend's quality gate; the badge shows the face match, the tooltip everything
+  createQualityBadge(quality) {
+    const percent = (value) => `${Math.round(value * 100)}%`;
+    const badge = document.createElement('span');
+    badge.className = 'gallery-quality';
+    badge.textContent = quality.faceSimilarity === null ? 'scored' : `face ${percent(quality.faceSimilarity)}`;
+    badge.title = [
+      `Sharpness: ${quality.sharpness}`,
+      `Exposure: ${quality.exposure}`,
+      `Contrast: ${quality.contrast}`,
+      `Subject in crop: ${percent(quality.coverage)}`,
+      quality.faceSimilarity === null ? null : `Face match: ${percent(quality.faceSimilarity)}`,
+      quality.attempts > 1 ? `Passed on attempt ${quality.attempts}` : null
+    ].filter(Boolean).join('\n');
+    return badge;
+  }
+
+  createGalleryToggle(label, title, on, onClick) {
+    const button = document.createElement('button');
+    button.textContent = label;
+    button.title = title;
+    button.classList.toggle('on', on);
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      onClick();
+    });
+    return button;
+  }
+
+  async curateImage(image, changes) {
+    const response = await chrome.runtime.sendMessage({ action: 'updateImage', id: image.id, changes });
+    if (!response?.success) {
+      this.showStatus(`Could not update image: ${response?.error || 'Unknown error'}`, 'error');
+      return;
+    }
+    Object.assign(image, {
+      favorite: response.image.favorite,
+      excluded: response.image.excluded,
+      tags: response.image.tags
+    });
+    this.renderGallery();
+  }
+
+  // Crop, filter and visibility applied in LinkedIn's photo editor whenever this image goes live
+  openImageEditor(image) {
+    this.editingImage = image;
+    document.getElementById('image-editor').classList.toggle('hidden', !image);
+    if (!image) return;
+    const editor = image.editor || {};
+    document.getElementById('image-editor-title').textContent = `LinkedIn editor settings for ${image.filename}`;
+    document.getElementById('editor-zoom').value = editor.zoom ?? 0;
+    document.getElementById('editor-straighten').value = editor.straighten ?? 0;
+    document.getElementById('editor-offset-x').value = editor.offsetX ?? 0;
+    document.getElementById('editor-offset-y').value = editor.offsetY ?? 0;
+    document.getElementById('editor-filter').value = editor.filter || '';
+    document.getElementById('editor-visibility').value = editor.visibility || '';
+  }
+
+  // Settings left at their default are omitted so LinkedIn keeps its own
+  readImageEditor() {
+    const editor = {};
+    for (const [key, id] of [['zoom', 'editor-zoom'], ['straighten', 'editor-straighten'], ['offsetX', 'editor-offset-x'], ['offsetY', 'editor-offset-y']]) {
+      const value = parseInt(document.getElementById(id).value) || 0;
+      if (value) editor[key] = value;
+    }
+    for (const [key, id] of [['filter', 'editor-filter'], ['visibility', 'editor-visibility']]) {
+      const value = document.getElementById(id).value;
+      if (value) editor[key] = value;
+    }
+    return Object.keys(editor).length ? editor : null;
+  }
+
+  async saveImageEditor(editor) {
+    const image = this.editingImage;
+    if (!image) return;
+    const response = await chrome.runtime.sendMessage({ action: 'setImageEditor', id: image.id, editor });
+    if (!response?.success) {
+      this.showStatus(`Could not save editor settings: ${response?.error || 'Unknown error'}`, 'error');
+      return;
+    }
+    image.editor = response.image.editor;
+    this.openImageEditor(image);
+    this.renderGallery();
+    this.showStatus(image.editor ? 'Editor settings saved' : 'Editor settings reset to LinkedIn defaults', 'success');
+  }
+
+  async loadHistory() {
+    const response = await chrome.runtime.sendMessage({ action: 'getHistory' }).catch(() => null);
+    this.renderHistory(response?.success ? response : { entries: [], source: 'local' });
+  }
+
+  renderHistory({ entries, source }) {
+    const timeline = document.getElementById('history-timeline');
+    document.getElementById('history-empty').classList.toggle('hidden', entries.length > 0);
+    // Newest first, so the first verified entry is the picture that is live now
+    const current = entries.find(e => e.outcome === 'verified');
+
+    timeline.replaceChildren(...entries.map(entry => {
+      const item = document.createElement('li');
+      item.className = `history-entry ${entry.outcome}${entry === current ? ' current' : ''}`;
+
+      let picture;
+      if (entry.thumbnailUrl) {
+        picture = document.createElement('img');
+        picture.src = entry.thumbnailUrl;
+        picture.alt = entry.filename || '';
+        picture.loading = 'lazy';
+      } else {
+        picture = document.createElement('div');
+        picture.className = 'history-placeholder';
+      }
+
+      const text = document.createElement('div');
+      text.className = 'history-text';
+      const when = new Date(entry.at).toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+      const trigger = { manual: 'manual', rollback: 'restored' }[entry.trigger];
+      text.textContent = entry.outcome === 'verified'
+        ? `${when}${trigger ? ` (${trigger})` : ''}${entry === current ? ' - live now' : ''}`
+        : `${when} failed: ${this.describeFailure(entry)}`;
+
+      item.append(picture, text);
+      // Earlier pictures that still exist can be put back; the local mirror has no catalog data
+      if (source === 'backend' && entry.outcome === 'verified' && entry !== current && entry.image && entry.imageId !== current?.imageId) {
+        const restore = document.createElement('button');
+        restore.className = 'button button-secondary button-small';
+        restore.textContent = 'Restore';
+        restore.addEventListener('click', (e) => {
+          e.preventDefault();
+          this.restorePicture(entry.image);
+        });
+        item.append(restore);
+      }
+      return item;
+    }));
+  }
+
+  async loadSelectorProfile() {
+    const response = await chrome.runtime.sendMessage({ action: 'getSelectorProfile' }).catch(() => null);
+    if (response?.success) this.renderSelectorProfile(response.profile);
+    await this.renderDiagnostics();
+  }
+
+  renderSelectorProfile(profile) {
+    document.getElementById('selector-summary').textContent =
+      `${profile.name} v${profile.version} (${profile.source === 'backend' ? 'saved on the backend' : 'built into the extension'})`;
+    document.getElementById('selector-json').value = JSON.stringify({ name: profile.name, phrases: profile.phrases, steps: profile.steps }, null, 2);
+  }
+
+  // profile: edited JSON from the textarea when omitted; null goes back to the built-in profile
+  async saveSelectorProfile(profile) {
+    if (profile === undefined) {
+      try {
+        profile = JSON.parse(document.getElementById('selector-json').value);
+      } catch (error) {
+        this.showStatus(`Invalid JSON: ${error.message}`, 'error');
+        return;
+      }
+    }
+    const response = await chrome.runtime.sendMessage({ action: 'saveSelectorProfile', profile })
+      .catch(error => ({ success: false, error: error.message }));
+    if (!response?.success) {
+      this.showStatus(`Could not save selectors: ${response?.error || 'unknown error'}`, 'error');
+      return;
+    }
+    this.renderSelectorProfile(response.profile);
+    this.showStatus(profile ? 'Selector profile saved' : 'Using the built-in selectors', 'success');
+  }
+
+  async renderDiagnostics() {
+    const { lastDiagnostics: diagnostics } = await chrome.storage.local.get(['lastDiagnostics']);
+    document.getElementById('diagnostics').classList.toggle('hidden', !diagnostics);
+    if (!diagnostics) return;
+    const found = diagnostics.strategies.map(s => s.matches).join('/');
+    document.getElementById('diagnostics-summary').textContent =
+      `Last selector failure: "${diagnostics.failedStep}" (${diagnostics.profileStep}) on ` +
+      `${new Date(diagnostics.capturedAt).toLocaleString()}; matches per strategy ${found || 'none'}, ` +
+      `${diagnostics.candidates.length} candidate elements captured`;
+  }
+
+  async undoUpdate() {
+    const response = await chrome.runtime.sendMessage({ action: 'undoUpdate' }).catch(error => ({ success: false, error: error.message }));
+    if (response?.success) {
+      this.showStatus('Restoring the previous picture...', 'info');
+    } else {
+      this.showStatus(`Cannot undo: ${response?.error || 'unknown error'}`, 'error');
+    }
+  }
+
+  async restorePicture(image) {
+    this.showStatus('Restoring picture...', 'info');
+    await chrome.runtime.sendMessage({ action: 'restorePicture', image: { id: image.id, filename: image.filename, editor: image.editor } });
+  }
+
   async forceUpdate() {
     this.showStatus('Updating profile picture...', 'info');
     
     try {
+      // The outcome arrives later through lastUpdateResult (see renderLastResult)
       const response = await chrome.runtime.sendMessage({ action: 'forceUpdate' });
-      if (response && response.success) {
-        this.showStatus('Profile picture updated successfully', 'success');
-      } else {
+      if (!response || !response.success) {
         this.showStatus('Error updating profile picture', 'error');
       }
     } catch (error) {
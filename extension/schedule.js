@@ -0,0 +1,148 @@
+// Next-run calculation for scheduled updates; loaded by the service worker via importScripts
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+// All times are local wall-clock times of the browser. Settings keys:
+//   frequency: daily | weekly | custom (every customInterval days) | rules
+//   scheduleRules: [{ days: [1, 3], time: '09:00' }]  weekdays 0 = Sunday; used by 'rules'
+//   jitterMinutes: random delay added to every run so updates don't look robotic
+//   quietHours: { start: '22:00', end: '07:00' } or null; runs are pushed past them
+//   vacations: [{ start: 'YYYY-MM-DD', end: 'YYYY-MM-DD' }]; nothing runs on those days
+//   catchUp: run once shortly after start-up when a run was missed while the browser was closed
+class UpdateSchedule {
+  constructor(settings = {}, { random = Math.random } = {}) {
+    this.frequency = settings.frequency || 'weekly';
+    this.customInterval = Math.max(1, Number(settings.customInterval) || 7);
+    this.rules = (settings.scheduleRules || []).filter(r => TIME_PATTERN.test(r.time) && r.days?.length);
+    this.jitterMinutes = Math.max(0, Number(settings.jitterMinutes) || 0);
+    this.quietHours = settings.quietHours && TIME_PATTERN.test(settings.quietHours.start) && TIME_PATTERN.test(settings.quietHours.end)
+      ? settings.quietHours
+      : null;
+    this.vacations = (settings.vacations || []).filter(v => v.start && v.end && v.start <= v.end);
+    this.catchUp = settings.catchUp !== false;
+    this.random = random;
+  }
+
+  // Identifies everything the next run depends on, so a stored result can be reused
+  static basis(settings, lastRun) {
+    const { frequency, customInterval, scheduleRules, jitterMinutes, quietHours, vacations, catchUp } = settings;
+    return JSON.stringify({ frequency, customInterval, scheduleRules, jitterMinutes, quietHours, vacations, catchUp, lastRun });
+  }
+
+  // { at, reason: 'scheduled' | 'catch-up', deferred: null | 'quiet-hours' | 'vacation' }, or null when
+  // no run can be computed (e.g. 'rules' without any rule)
+  nextRun({ lastRun = null, now = Date.now() } = {}) {
+    const due = lastRun ? this.slotAfter(lastRun) : this.slotAfter(now);
+    if (due === null) return null;
+
+    let at = due + this.jitter();
+    let reason = 'scheduled';
+    if (due <= now) {
+      if (this.catchUp) {
+        at = now + MINUTE_MS + this.jitter();
+        reason = 'catch-up';
+      } else {
+        at = this.slotAfter(now) + this.jitter();
+      }
+    }
+
+    return { ...this.defer(at), reason };
+  }
+
+  // Moves `at` past vacations and quiet hours: { at, deferred }
+  defer(at) {
+    let deferred = null;
+    for (let guard = 0; guard < 100; guard++) {
+      const vacation = this.vacationAt(at);
+      if (vacation) {
+        const resume = this.startOfDayAfter(vacation.end);
+        at = (this.frequency === 'rules' ? this.ruleSlotAfter(resume - 1) : resume) + this.jitter();
+        deferred = 'vacation';
+        continue;
+      }
+      if (this.inQuietHours(at)) {
+        at = this.quietHoursEnd(at) + this.jitter();
+        deferred = deferred || 'quiet-hours';
+        continue;
+      }
+      break;
+    }
+    return { at, deferred };
+  }
+
+  // Why nothing may run at `time`, or null when it may
+  blockedReason(time = Date.now()) {
+    if (this.vacationAt(time)) return 'vacation';
+    if (this.inQuietHours(time)) return 'quiet-hours';
+    return null;
+  }
+
+  // First regular slot strictly after `time`, before jitter and deferrals
+  slotAfter(time) {
+    if (this.frequency === 'rules') return this.ruleSlotAfter(time);
+    const days = this.frequency === 'daily' ? 1 : this.frequency === 'custom' ? this.customInterval : 7;
+    return time + days * DAY_MS;
+  }
+
+  ruleSlotAfter(time) {
+    let best = null;
+    const from = new Date(time);
+    for (let offset = 0; offset <= 7; offset++) {
+      const day = new Date(from.getFullYear(), from.getMonth(), from.getDate() + offset);
+      for (const rule of this.rules) {
+        if (!rule.days.map(Number).includes(day.getDay())) continue;
+        const [hours, minutes] = rule.time.split(':').map(Number);
+        const slot = new Date(day.getFullYear(), day.getMonth(), day.getDate(), hours, minutes).getTime();
+        if (slot > time && (best === null || slot < best)) best = slot;
+      }
+      if (best !== null) return best;
+    }
+    return best;
+  }
+
+  jitter() {
+    return Math.floor(this.random() * this.jitterMinutes * MINUTE_MS);
+  }
+
+  inQuietHours(time) {
+    if (!this.quietHours) return false;
+    const date = new Date(time);
+    const minute = date.getHours() * 60 + date.getMinutes();
+    const start = this.minuteOfDay(this.quietHours.start);
+    const end = this.minuteOfDay(this.quietHours.end);
+    return start <= end ? minute >= start && minute < end : minute >= start || minute < end;
+  }
+
+  // The moment the quiet period containing `time` ends
+  quietHoursEnd(time) {
+    const date = new Date(time);
+    const [hours, minutes] = this.quietHours.end.split(':').map(Number);
+    let end = new Date(date.getFullYear(), date.getMonth(), date.getDate(), hours, minutes).getTime();
+    if (end <= time) end = new Date(date.getFullYear(), date.getMonth(), date.getDate() + 1, hours, minutes).getTime();
+    return end;
+  }
+
+  vacationAt(time) {
+    const day = UpdateSchedule.localDate(time);
+    return this.vacations.find(v => day >= v.start && day <= v.end) || null;
+  }
+
+  startOfDayAfter(isoDate) {
+    const [y, m, d] = isoDate.split('-').map(Number);
+    return new Date(y, m - 1, d + 1).getTime();
+  }
+
+  minuteOfDay(value) {
+    const [hours, minutes] = value.split(':').map(Number);
+    return hours * 60 + minutes;
+  }
+
+  static localDate(time = Date.now()) {
+    const date = new Date(time);
+    const pad = n => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+if (typeof module !== 'undefined') module.exports = { UpdateSchedule };